@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// WebSocket relay for remote driving (no dependencies, Node 16+)
+//
+//   npm run relay [-- <port>]        default port 8787
+//
+// The bridge phone connects to ws://<this machine>:<port>/bridge and the
+// remote app to ws://<this machine>:<port>/remote. Every message from one
+// goes to the other unchanged. A new connection replaces the previous one of
+// its role, and each side is told whether the other is there:
+// "RELAY:PEER 1" / "RELAY:PEER 0". Sockets that stop answering pings are
+// dropped, so the bridge notices a remote that vanished off the network.
+//
+// The relay doesn't look at the frames; braking on a lost relay and the
+// latency cap are enforced by the bridge phone. Control lines are tiny, so a
+// client sending a message over MAX_MESSAGE is dropped rather than buffered.
+
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT, 10) || 8787;
+const PING_INTERVAL = 2000;
+const MAX_MESSAGE = 64 * 1024;
+const ROLES = ['bridge', 'remote'];
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xA;
+const CLOSE_TOO_BIG = Buffer.from([0x03, 0xF1]); // status 1009
+
+const clients = { bridge: null, remote: null };
+const peerOf = (role) => (role === 'bridge' ? 'remote' : 'bridge');
+
+function log(message) {
+  console.log(`${new Date().toISOString().slice(11, 23)} ${message}`);
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(length, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pulls complete frames off the front of buffer; returns what is left.
+// Throws as soon as a frame header announces more than MAX_MESSAGE.
+function readFrames(buffer, onFrame) {
+  while (buffer.length >= 2) {
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) break;
+      length = buffer.readUInt32BE(2) > 0 ? Infinity : buffer.readUInt32BE(6);
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE) throw new Error('message too large');
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) break;
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    onFrame({ fin, opcode, payload });
+    buffer = buffer.subarray(offset + length);
+  }
+  return buffer;
+}
+
+function send(client, opcode, payload) {
+  if (client && !client.socket.destroyed) client.socket.write(encodeFrame(opcode, payload));
+}
+
+function sendText(client, text) {
+  send(client, OP_TEXT, Buffer.from(text));
+}
+
+function tellPeer(role) {
+  sendText(clients[peerOf(role)], `RELAY:PEER ${clients[role] ? 1 : 0}\n`);
+}
+
+function drop(client, reason) {
+  if (client.closed) return;
+  client.closed = true;
+  clearInterval(client.pingTimer);
+  client.socket.destroy();
+  if (clients[client.role] === client) {
+    clients[client.role] = null;
+    log(`${client.role} ${client.address} left (${reason})`);
+    tellPeer(client.role);
+  }
+}
+
+function accept(req, socket, role) {
+  const key = req.headers['sec-websocket-key'];
+  const acceptKey = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey}`,
+    '', '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const client = { role, socket, address: req.socket.remoteAddress, alive: true, closed: false, fragments: null };
+  const previous = clients[role];
+  if (previous) {
+    clients[role] = null;
+    drop(previous, 'replaced');
+  }
+  clients[role] = client;
+  log(`${role} ${client.address} joined`);
+  sendText(client, `RELAY:PEER ${clients[peerOf(role)] ? 1 : 0}\n`);
+  tellPeer(role);
+
+  // Messages go to the other side as they arrive
+  const handleFrame = ({ fin, opcode, payload }) => {
+    if (opcode === OP_CLOSE) {
+      send(client, OP_CLOSE, payload.subarray(0, 2));
+      drop(client, 'closed');
+    } else if (opcode === OP_PING) {
+      send(client, OP_PONG, payload);
+    } else if (opcode === OP_PONG) {
+      client.alive = true;
+    } else if (opcode === OP_TEXT || opcode === OP_BINARY || opcode === 0) {
+      if (opcode !== 0) client.fragments = { opcode, parts: [], size: 0 };
+      if (!client.fragments) return;
+      client.fragments.parts.push(payload);
+      client.fragments.size += payload.length;
+      if (client.fragments.size > MAX_MESSAGE) {
+        send(client, OP_CLOSE, CLOSE_TOO_BIG);
+        drop(client, 'message too large');
+        return;
+      }
+      if (!fin) return;
+      const message = client.fragments;
+      client.fragments = null;
+      if (clients[role] === client) send(clients[peerOf(role)], message.opcode, Buffer.concat(message.parts));
+    }
+  };
+
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (data) => {
+    if (client.closed) return;
+    try {
+      buffer = readFrames(Buffer.concat([buffer, data]), handleFrame);
+    } catch (e) {
+      send(client, OP_CLOSE, CLOSE_TOO_BIG);
+      drop(client, e.message);
+    }
+  });
+  socket.on('close', () => drop(client, 'disconnected'));
+  socket.on('error', () => drop(client, 'error'));
+
+  client.pingTimer = setInterval(() => {
+    if (!client.alive) {
+      drop(client, 'no answer');
+      return;
+    }
+    client.alive = false;
+    send(client, OP_PING, Buffer.alloc(0));
+  }, PING_INTERVAL);
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(ROLES.map(role => `${role}: ${clients[role] ? clients[role].address : '-'}`).join('\n') + '\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const role = ROLES.find(r => new URL(req.url, 'http://relay').pathname === '/' + r);
+  if (!role || req.headers.upgrade?.toLowerCase() !== 'websocket' || !req.headers['sec-websocket-key']) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+  accept(req, socket, role);
+});
+
+server.listen(PORT, () => {
+  log(`Kart relay on port ${PORT}`);
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const a of addresses) {
+      if (a.family === 'IPv4' && !a.internal) log(`  ws://${a.address}:${PORT}`);
+    }
+  }
+});
@@ -1,35 +1,187 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import './App.css';
+import { LINK_STATES } from './kartLink';
+import { REMOTE_INPUT, SCREEN_INPUT, createKartManager, padIndexOf } from './kartManager';
+import { BRAKE_FRAME, toControlFrame } from './protocol';
+import { DEFAULT_MAX_MISSED_ACKS, EMPTY_LINK_STATS } from './linkHealth';
+import { DEFAULT_KART, applyCalibration, calibrationFor, loadCalibrations, saveCalibrations } from './calibration';
+import { createShaper, loadShaping, saveShaping } from './inputShaping';
+import { driveInput, loadCustomProfiles, readControls, resolveProfile, saveCustomProfiles } from './gamepadProfiles';
+import { EMPTY_TELEMETRY, appendTelemetry, parseTelemetryLine } from './telemetry';
+import { startRecording } from './sessionStore';
+import { ESTOP_SOURCES, appendEstopEvent, createShakeDetector, formatEstopTime, loadEstopLog, loadEstopSettings, padButtonPressed, saveEstopLog, saveEstopSettings } from './estop';
+import { CAP_KEYS, DEFAULT_CAP, KEY_ACTIONS, MAX_CAP, MIN_CAP, heldActions, keyboardInput } from './keyboardDrive';
+import { loadManeuvers, maneuverDuration, sampleManeuver, saveManeuvers } from './maneuvers';
+import { lockOrientation } from './pwa';
+import { LOG_LENGTH, loadQuickCommands, saveQuickCommands } from './devConsole';
+import { isKartMoving, parseOtaLine } from './firmwareUpdate';
+import { parseParamLine } from './kartParams';
+import { CRUISE_BUTTON, CRUISE_KEY, createDriveAssist, loadAssists, saveAssists } from './driveAssist';
+import { fpvFor, loadFpvSettings, saveFpvSettings } from './fpvCamera';
+import { formatVehicleFrame, loadVehicleProfiles, profileFor, saveVehicleProfiles } from './vehicleProfiles';
+import { BRAKE_LABELS, createRemoteBridge, loadBridgeSettings, parseBridgeLine, saveBridgeSettings } from './remoteBridge';
+import { LAP_BUTTON, addResult, advanceRace, formatLapTime, isLapLine, loadLeaderboard, loadRaceSettings, newRace, recordLap, saveLeaderboard, saveRaceSettings, stopRace } from './raceTimer';
+import CalibrationScreen from './components/CalibrationScreen';
+import DevConsole from './components/DevConsole';
+import DriveAssists from './components/DriveAssists';
+import EStopOverlay from './components/EStopOverlay';
+import FirmwareUpdate from './components/FirmwareUpdate';
+import FpvSettings from './components/FpvSettings';
+import FpvView from './components/FpvView';
+import GamepadSetup from './components/GamepadSetup';
+import KartManager from './components/KartManager';
+import LinkIndicator from './components/LinkIndicator';
+import LinkMenu from './components/LinkMenu';
+import ManeuverEditor from './components/ManeuverEditor';
+import ParamEditor from './components/ParamEditor';
+import PwaBanner from './components/PwaBanner';
+import RaceScreen from './components/RaceScreen';
+import RemoteBridge from './components/RemoteBridge';
+import SessionBrowser from './components/SessionBrowser';
+import SafetySettings from './components/SafetySettings';
+import ShapingEditor from './components/ShapingEditor';
+import SimulatorView from './components/SimulatorView';
+import TelemetryPanel from './components/TelemetryPanel';
+import VehicleProfile from './components/VehicleProfile';
 
-// BLE Service and Characteristic UUIDs
-const BLE_SERVICE_UUID = 0xFFA0;
-const BLE_CHARACTERISTIC_UUID = 0xFFE1;
+const DEFAULT_WS_URL = 'ws://192.168.4.1:81';
+const IDLE_LINK = { state: LINK_STATES.IDLE, attempt: 0, retryAt: null };
+
+const LINK_STATE_LABELS = {
+  idle: '○ OFF',
+  scanning: '◌ SCAN',
+  connecting: '◌ LINK',
+  connected: '● ON',
+  reconnecting: '↻ RETRY',
+  failed: '✕ FAILED',
+};
 
 function App() {
   // Control Mode: null = selection screen, 'buttons' or 'controller'
   const [controlMode, setControlMode] = useState(null);
   const [gamepadConnected, setGamepadConnected] = useState(false);
   
-  // BLE State
-  const [isConnected, setIsConnected] = useState(false);
+  // Link State
   const [logs, setLogs] = useState([]);
   
+  // Developer console (full log, raw commands) and its quick-command buttons
+  const [showConsole, setShowConsole] = useState(false);
+  const [quickCommands, setQuickCommands] = useState(loadQuickCommands);
+  
+  // Firmware parameter editor (PLIST / PSET over the command channel)
+  const [showParams, setShowParams] = useState(false);
+  
+  // Over-the-air firmware update of the selected kart
+  const [showUpdate, setShowUpdate] = useState(false);
+  const [showLinkMenu, setShowLinkMenu] = useState(false);
+  const [wsUrl, setWsUrl] = useState(() => localStorage.getItem('kart.wsUrl') || DEFAULT_WS_URL);
+  const [preferBinary, setPreferBinary] = useState(() => localStorage.getItem('kart.preferBinary') !== 'false');
+  const [now, setNow] = useState(Date.now());
+  
+  // Heartbeat misses before the watchdog brakes
+  const [maxMissedAcks, setMaxMissedAcks] = useState(() => parseInt(localStorage.getItem('kart.maxMissedAcks'), 10) || DEFAULT_MAX_MISSED_ACKS);
+  
   // Servo & Motor State (steering: -90 to +90, center is 0)
+  // Output of the input-shaping pipeline; modes write raw input to inputRef
   const [steering, setSteering] = useState(0);
   const [motorSpeed, setMotorSpeed] = useState(0);
   const [direction, setDirection] = useState(1); // 1 = forward, -1 = backward, 0 = brake
   
-  // Refs for BLE
-  const deviceCacheRef = useRef(null);
-  const characteristicCacheRef = useRef(null);
-  const intervalRef = useRef(null);
-  const readBufferRef = useRef('');
+  // Input shaping (per-mode deadzone, expo, rate limits)
+  const [shaping, setShaping] = useState(loadShaping);
+  const [showShaping, setShowShaping] = useState(false);
+  const inputRef = useRef({ steer: 0, throttle: 0 });
+  const shaperRef = useRef(createShaper());
+  const shapingRef = useRef(shaping);
+  
+  // Cruise, launch and traction control after shaping, and what they're doing
+  const [assists, setAssists] = useState(loadAssists);
+  const [assistStatus, setAssistStatus] = useState({ cruise: false, launch: false, traction: false });
+  const assistRef = useRef(createDriveAssist());
+  const assistsRef = useRef(assists);
+  
+  // Telemetry reported by the kart (latest values + short histories)
+  const [telemetry, setTelemetry] = useState(EMPTY_TELEMETRY);
+  
+  // Kart manager: every kart link (BLE, WebSocket or Serial) and the one the
+  // header, telemetry and calibration screens show
+  const managerRef = useRef(null);
+  const [karts, setKarts] = useState([]);
+  const [selectedKartId, setSelectedKartId] = useState(null);
+  const [showKarts, setShowKarts] = useState(false);
+  const selectedKartIdRef = useRef(null);
+  const linkRef = useRef(null);
+  // Speed of the last frame written to the selected kart, whatever drives it
+  const selectedOutputSpeedRef = useRef(0);
+  const padShapersRef = useRef(new Map());
+  const reservedPadsRef = useRef(new Set());
+  
+  // Link state, health (heartbeat round-trip, loss) and brake hold of the
+  // selected kart
+  const selectedKart = karts.find(k => k.id === selectedKartId) || null;
+  const linkState = selectedKart || IDLE_LINK;
+  const linkStats = selectedKart ? selectedKart.stats : EMPTY_LINK_STATS;
+  const holdReason = selectedKart ? selectedKart.holdReason : null;
+  const kartName = selectedKart ? selectedKart.name : null;
+  
+  // Per-kart calibration (servo trim/limits, PWM range) and its live preview
+  const [calibrations, setCalibrations] = useState(loadCalibrations);
+  const [calibrationPreview, setCalibrationPreview] = useState(null);
+  const calibrationsRef = useRef(calibrations);
+  const calibrationPreviewRef = useRef(null);
+  
+  // Per-kart vehicle profile: motor mixing and frame format
+  const [vehicleProfiles, setVehicleProfiles] = useState(loadVehicleProfiles);
+  const [showVehicle, setShowVehicle] = useState(false);
+  const vehicleProfilesRef = useRef(vehicleProfiles);
+  
+  // FPV camera view (per-kart stream URL and overlay layout)
+  const [fpvSettings, setFpvSettings] = useState(loadFpvSettings);
+  const [fpvOn, setFpvOn] = useState(false);
+  const [showFpvSettings, setShowFpvSettings] = useState(false);
+  
+  // Session recording (IndexedDB) and replay of a recorded run to the kart
+  const [recording, setRecording] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const recorderRef = useRef(null);
+  
+  // Scripted maneuvers and the one currently playing
+  const [maneuvers, setManeuvers] = useState(loadManeuvers);
+  const [showManeuvers, setShowManeuvers] = useState(false);
+  const [maneuverRun, setManeuverRun] = useState(null);
+  const [maneuverProgress, setManeuverProgress] = useState(null);
+  
+  // Latched e-stop ({ source, time } while latched), its triggers and log
+  const [estop, setEstop] = useState(null);
+  const [estopSettings, setEstopSettings] = useState(loadEstopSettings);
+  const [estopLog, setEstopLog] = useState(loadEstopLog);
+  const [showSafety, setShowSafety] = useState(false);
+  const estopRef = useRef(null);
+  
+  // Race timing over the current mode, its settings and the leaderboard
+  const [showRace, setShowRace] = useState(false);
+  const [race, setRace] = useState(null);
+  const [raceSettings, setRaceSettings] = useState(loadRaceSettings);
+  const [leaderboard, setLeaderboard] = useState(loadLeaderboard);
+  
+  // Bridge mode: a remote app on the relay drives a kart linked to this phone
+  const [showBridge, setShowBridge] = useState(false);
+  const [bridgeSettings, setBridgeSettings] = useState(loadBridgeSettings);
+  const [bridgeStatus, setBridgeStatus] = useState(null);
+  const bridgeRef = useRef(null);
+  
+  // Frame that replaces the mode's inputs (session replay, maneuver playback)
+  const overrideFrameRef = useRef(null);
   
   // Refs for current values
   const steeringRef = useRef(0);
   const motorSpeedRef = useRef(0);
   const directionRef = useRef(1);
   
+  // Button mode state (raw slider speed and direction toggle)
+  const [buttonSpeed, setButtonSpeed] = useState(0);
+  const [buttonDirection, setButtonDirection] = useState(1);
+  
   // Refs for steering (button mode)
   const steeringIntervalRef = useRef(null);
   const steeringDirectionRef = useRef(null);
@@ -37,8 +189,16 @@ function App() {
   
   // Refs for gamepad
   const gamepadLoopRef = useRef(null);
-  const smoothedSteeringRef = useRef(0);
-  const lastGamepadTimeRef = useRef(0);
+  const cruiseButtonRef = useRef(false);
+  
+  // Gamepad mapping: custom profiles per gamepad.id and which pad drives
+  const [padProfiles, setPadProfiles] = useState(loadCustomProfiles);
+  const [activePadIndex, setActivePadIndex] = useState(null);
+  const [showGamepadSetup, setShowGamepadSetup] = useState(false);
+  const [gamepadName, setGamepadName] = useState('');
+  const padProfilesRef = useRef(padProfiles);
+  const activePadIndexRef = useRef(null);
+  const gamepadSetupOpenRef = useRef(false);
   
   // Refs for virtual joystick (combined steering + throttle)
   const joystickBaseRef = useRef(null);
@@ -46,11 +206,19 @@ function App() {
   const joystickActiveRef = useRef(false);
   const joystickCenterRef = useRef({ x: 0, y: 0 });
   
+  // Keyboard mode: held key codes (e.code) and the speed cap in percent
+  const [keysDown, setKeysDown] = useState([]);
+  const [keyboardCap, setKeyboardCap] = useState(() => parseInt(localStorage.getItem('kart.keyboardCap'), 10) || DEFAULT_CAP);
+  const keysDownRef = useRef(new Set());
+  const keyboardCapRef = useRef(keyboardCap);
+  
   // Accelerometer state
   const [accelEnabled, setAccelEnabled] = useState(false);
   const [accelSupported, setAccelSupported] = useState(true);
   const [accelThrottle, setAccelThrottle] = useState(0);
-  const smoothedAccelRef = useRef(0);
+
+  const isConnected = linkState.state === LINK_STATES.CONNECTED;
+  const anyKartLinked = karts.some(k => k.state !== LINK_STATES.IDLE && k.state !== LINK_STATES.FAILED);
 
   useEffect(() => {
     steeringRef.current = steering;
@@ -64,176 +232,878 @@ function App() {
     directionRef.current = direction;
   }, [direction]);
 
+  useEffect(() => {
+    localStorage.setItem('kart.wsUrl', wsUrl);
+  }, [wsUrl]);
+
+  useEffect(() => {
+    shapingRef.current = shaping;
+    saveShaping(shaping);
+  }, [shaping]);
+
+  useEffect(() => {
+    assistsRef.current = assists;
+    saveAssists(assists);
+  }, [assists]);
+
+  useEffect(() => {
+    saveRaceSettings(raceSettings);
+  }, [raceSettings]);
+
+  useEffect(() => {
+    saveLeaderboard(leaderboard);
+  }, [leaderboard]);
+
+  useEffect(() => {
+    saveBridgeSettings(bridgeSettings);
+    if (bridgeRef.current) bridgeRef.current.setLatencyCap(bridgeSettings.latencyCap);
+  }, [bridgeSettings]);
+
+  const calibration = calibrationFor(kartName, calibrations);
+  const vehicleProfile = profileFor(kartName, vehicleProfiles);
+  const fpv = fpvFor(kartName, fpvSettings);
+  const fpvActive = fpvOn && !!fpv.url;
+
+  useEffect(() => {
+    calibrationsRef.current = calibrations;
+    saveCalibrations(calibrations);
+  }, [calibrations]);
+
+  useEffect(() => {
+    calibrationPreviewRef.current = calibrationPreview;
+  }, [calibrationPreview]);
+
+  useEffect(() => {
+    saveFpvSettings(fpvSettings);
+  }, [fpvSettings]);
+
+  useEffect(() => {
+    vehicleProfilesRef.current = vehicleProfiles;
+    saveVehicleProfiles(vehicleProfiles);
+  }, [vehicleProfiles]);
+
+  useEffect(() => {
+    saveManeuvers(maneuvers);
+  }, [maneuvers]);
+
+  useEffect(() => {
+    saveEstopSettings(estopSettings);
+  }, [estopSettings]);
+
+  useEffect(() => {
+    saveQuickCommands(quickCommands);
+  }, [quickCommands]);
+
+  useEffect(() => {
+    saveEstopLog(estopLog);
+  }, [estopLog]);
+
+  useEffect(() => {
+    padProfilesRef.current = padProfiles;
+    saveCustomProfiles(padProfiles);
+  }, [padProfiles]);
+
+  useEffect(() => {
+    activePadIndexRef.current = activePadIndex;
+  }, [activePadIndex]);
+
+  // Pads assigned straight to a kart are left out of gamepad mode
+  useEffect(() => {
+    reservedPadsRef.current = new Set(karts.map(k => padIndexOf(k.input)).filter(i => i !== null));
+  }, [karts]);
+
+  useEffect(() => {
+    gamepadSetupOpenRef.current = showGamepadSetup;
+  }, [showGamepadSetup]);
+
+  useEffect(() => {
+    localStorage.setItem('kart.preferBinary', String(preferBinary));
+  }, [preferBinary]);
+
+  useEffect(() => {
+    localStorage.setItem('kart.maxMissedAcks', String(maxMissedAcks));
+    if (managerRef.current) managerRef.current.setMaxMissed(maxMissedAcks);
+  }, [maxMissedAcks]);
+
+  // Installed app: lock the screen to the layout of each mode (tilt mode is
+  // portrait, everything else landscape)
+  useEffect(() => {
+    lockOrientation(controlMode === 'accel' ? 'portrait' : 'landscape');
+  }, [controlMode]);
+
+  // Tick the retry countdown while reconnecting
+  useEffect(() => {
+    if (linkState.state !== LINK_STATES.RECONNECTING) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [linkState.state]);
+
   const log = useCallback((message, type = '') => {
-    setLogs(prev => [...prev, { message, type, id: Date.now() + Math.random() }].slice(-20));
+    setLogs(prev => [...prev, { message, type, time: Date.now(), id: Date.now() + Math.random() }].slice(-LOG_LENGTH));
   }, []);
 
-  const writeToCharacteristic = useCallback((characteristic, data) => {
-    characteristic.writeValue(new TextEncoder().encode(data));
+  // Raw text line to the selected kart (developer console)
+  const send = useCallback((data) => {
+    const link = linkRef.current;
+    if (!link || link.state !== LINK_STATES.CONNECTED) return false;
+    link.send(data + '\n');
+    log(data, 'out');
+    return true;
+  }, [log]);
+
+  // The frame for this screen's control mode (a replay or maneuver takes over)
+  const currentFrame = useCallback(() => {
+    if (overrideFrameRef.current) return overrideFrameRef.current;
+    return toControlFrame(steeringRef.current, motorSpeedRef.current, directionRef.current);
   }, []);
 
-  const send = useCallback((data, logging = true) => {
-    data = String(data);
-    if (!data || !characteristicCacheRef.current) return;
-    
-    data += '\n';
-    
-    if (data.length > 20) {
-      const chunks = data.match(/(.|[\r\n]){1,20}/g);
-      writeToCharacteristic(characteristicCacheRef.current, chunks[0]);
-      for (let i = 1; i < chunks.length; i++) {
-        setTimeout(() => {
-          writeToCharacteristic(characteristicCacheRef.current, chunks[i]);
-        }, i * 100);
-      }
-    } else {
-      writeToCharacteristic(characteristicCacheRef.current, data);
+  // A gamepad assigned straight to a kart, read with its mapping profile and
+  // shaped with the gamepad-mode settings
+  const padFrame = useCallback((kartId, index) => {
+    let entry = padShapersRef.current.get(kartId);
+    if (!entry || entry.index !== index) {
+      entry = { index, shaper: createShaper(), last: performance.now() };
+      padShapersRef.current.set(kartId, entry);
     }
+    const now = performance.now();
+    const dt = Math.min(100, now - entry.last);
+    entry.last = now;
     
-    if (logging) log(data, 'out');
-  }, [writeToCharacteristic, log]);
+    const pad = navigator.getGamepads ? navigator.getGamepads()[index] : null;
+    if (!pad) {
+      entry.shaper.reset();
+      return BRAKE_FRAME;
+    }
+    const input = driveInput(readControls(pad, resolveProfile(pad.id, padProfilesRef.current)));
+    const out = entry.shaper.step(input, shapingRef.current.controller, dt);
+    const speed = Math.round(Math.abs(out.throttle) * 100);
+    return toControlFrame(Math.round(out.steer * 90), speed, Math.sign(out.throttle));
+  }, []);
 
-  // Convert steering (-90 to +90) to servo angle (0 to 180) for BLE
-  // Format: angle;speed;direction (direction: 1=forward, -1=backward, 0=brake)
-  const sendingBLEinfo = useCallback(() => {
-    const servoAngle = steeringRef.current + 90;
-    // Send direction 0 when speed is 0 (braking)
-    const dir = motorSpeedRef.current === 0 ? 0 : directionRef.current;
-    send(servoAngle + ";" + motorSpeedRef.current + ";" + dir, false);
-  }, [send]);
+  // The frame each kart's control loop sends, from the input assigned to it
+  // (the calibration screen's test sliders take over the selected kart)
+  const kartFrame = useCallback((kart) => {
+    // A latched e-stop overrides every input
+    if (estopRef.current) return BRAKE_FRAME;
+    const preview = calibrationPreviewRef.current;
+    if (preview && kart.id === selectedKartIdRef.current) {
+      return toControlFrame(preview.steering, preview.speed, preview.direction);
+    }
+    if (kart.input === SCREEN_INPUT) return currentFrame();
+    if (kart.input === REMOTE_INPUT) return bridgeRef.current ? bridgeRef.current.frame() : BRAKE_FRAME;
+    const padIndex = padIndexOf(kart.input);
+    if (padIndex !== null) return padFrame(kart.id, padIndex);
+    return BRAKE_FRAME;
+  }, [currentFrame, padFrame]);
 
-  const receive = useCallback((data) => {
-    log(data, 'in');
-  }, [log]);
+  // Output stage applied to every frame, brake included (a kart behind a
+  // relay is calibrated by the bridge phone it is linked to)
+  const outputStage = useCallback((kart, frame) => {
+    if (kart.link.type === 'relay') return frame;
+    return applyCalibration(frame, calibrationFor(kart.link.name, calibrationsRef.current));
+  }, []);
 
-  const handleCharacteristicValueChanged = useCallback((event) => {
-    const value = new TextDecoder().decode(event.target.value);
-    for (const c of value) {
-      if (c === '\n') {
-        const data = readBufferRef.current.trim();
-        readBufferRef.current = '';
-        if (data) receive(data);
-      } else {
-        readBufferRef.current += c;
-      }
-    }
-  }, [receive]);
+  // The line the kart's vehicle profile sends instead of the servo frame
+  // (a relay kart is the bridge phone's, which applies its own)
+  const formatFrame = useCallback((kart, frame, brake) => {
+    if (kart.link.type === 'relay') return null;
+    const centre = 90 + calibrationFor(kart.link.name, calibrationsRef.current).trim;
+    return formatVehicleFrame(profileFor(kart.link.name, vehicleProfilesRef.current), frame, { centre, brake });
+  }, []);
 
-  const startNotifications = useCallback((characteristic) => {
-    log('Starting notifications...');
-    return characteristic.startNotifications().then(() => {
-      log('Notifications started');
-      characteristic.addEventListener('characteristicvaluechanged', handleCharacteristicValueChanged);
-    });
-  }, [log, handleCharacteristicValueChanged]);
+  const record = useCallback((kind, data) => {
+    if (recorderRef.current) recorderRef.current.add(kind, data);
+  }, []);
 
-  const connectDeviceAndCacheCharacteristic = useCallback((device) => {
-    if (device.gatt.connected && characteristicCacheRef.current) {
-      return Promise.resolve(characteristicCacheRef.current);
+  // Gamepad button, on-screen tap or trackside beacon
+  const lap = useCallback(() => {
+    setRace(prev => (prev ? recordLap(prev, performance.now()) : prev));
+  }, []);
+
+  const receive = useCallback((data) => {
+    record('line', { line: data });
+    if (isLapLine(data)) lap();
+    const values = parseTelemetryLine(data);
+    if (values) {
+      assistRef.current.telemetry(values, assistsRef.current, performance.now());
+      setTelemetry(prev => appendTelemetry(prev, values));
+      return;
     }
-    log('Connecting...');
-    return device.gatt.connect()
-      .then(server => server.getPrimaryService(BLE_SERVICE_UUID))
-      .then(service => service.getCharacteristic(BLE_CHARACTERISTIC_UUID))
-      .then(characteristic => {
-        log('Connected!');
-        characteristicCacheRef.current = characteristic;
-        return characteristicCacheRef.current;
-      });
-  }, [log]);
+    // Block acknowledgements of a firmware update would flood the log, and
+    // parameter replies belong to the settings screen's session
+    if (parseOtaLine(data)?.kind === 'ack') return;
+    if (parseParamLine(data)) return;
+    const bridgeLine = parseBridgeLine(data);
+    if (bridgeLine) {
+      log(bridgeLine.reason ? `⚠️ Bridge braking: ${BRAKE_LABELS[bridgeLine.reason] || bridgeLine.reason}` : '✅ Bridge: driving');
+      return;
+    }
+    log(data, 'in');
+  }, [log, record, lap]);
 
-  const handleDisconnection = useCallback((event) => {
-    log('⚠️ Connection lost!');
+  // Neutral input and output, skipping any ramps still in progress
+  const resetInputs = useCallback(() => {
+    inputRef.current = { steer: 0, throttle: 0 };
+    shaperRef.current.reset();
+    assistRef.current.reset();
     setSteering(0);
     setMotorSpeed(0);
     setDirection(1);
+    setButtonSpeed(0);
+    setAccelThrottle(0);
+  }, []);
+
+  useEffect(() => {
+    const assist = assistRef.current;
+    assist.on('log', log);
+    return () => assist.off('log', log);
+  }, [log]);
+
+  // Cruise engages at the speed and direction being sent right now
+  const toggleCruise = useCallback(() => {
+    assistRef.current.toggleCruise({ throttle: (motorSpeedRef.current / 100) * directionRef.current });
+  }, []);
+
+  const resetToSafeState = useCallback(() => {
+    resetInputs();
+    log('⚠️ Safety: Reset to safe state');
+  }, [resetInputs, log]);
+
+  const handleDisconnection = useCallback(() => {
+    resetInputs();
     log('⚠️ Safety: Wheels straight, speed 0');
+  }, [resetInputs, log]);
+
+  // ============ KART MANAGER ============
+  useEffect(() => {
+    const manager = createKartManager({ getFrame: kartFrame, outputStage, formatFrame });
+    const prefix = (kart) => (manager.list().length > 1 ? `${kart.label}: ` : '');
+    manager.on('change', setKarts);
+    manager.on('log', (kart, message) => log(prefix(kart) + message));
+    // Telemetry and recording follow the selected kart
+    manager.on('line', (kart, line) => {
+      if (kart.input === REMOTE_INPUT && bridgeRef.current) bridgeRef.current.send(line);
+      if (kart.id === selectedKartIdRef.current) receive(line);
+      else if (!parseTelemetryLine(line)) log(prefix(kart) + line, 'in');
+    });
+    manager.on('frame', (kart, frame) => {
+      if (kart.id !== selectedKartIdRef.current) return;
+      selectedOutputSpeedRef.current = frame.output.speed;
+      record('frame', frame);
+    });
+    manager.on('lost', (kart) => {
+      padShapersRef.current.delete(kart.id);
+      if (kart.id === selectedKartIdRef.current) selectedOutputSpeedRef.current = 0;
+      if (kart.input === SCREEN_INPUT) handleDisconnection();
+    });
+    managerRef.current = manager;
     
-    log('Reconnecting...');
-    connectDeviceAndCacheCharacteristic(event.target)
-      .then(characteristic => startNotifications(characteristic))
-      .catch(error => {
-        log(error.toString());
-        setIsConnected(false);
-      });
-  }, [log, connectDeviceAndCacheCharacteristic, startNotifications]);
-
-  const requestBluetoothDevice = useCallback(() => {
-    log('Searching...');
-    return navigator.bluetooth.requestDevice({
-      filters: [{ services: [BLE_SERVICE_UUID] }],
-    }).then(device => {
-      log('Found: ' + device.name);
-      deviceCacheRef.current = device;
-      deviceCacheRef.current.addEventListener('gattserverdisconnected', handleDisconnection);
-      return deviceCacheRef.current;
+    return () => {
+      manager.disconnectAll();
+      managerRef.current = null;
+    };
+  }, [kartFrame, outputStage, formatFrame, log, receive, record, handleDisconnection]);
+
+  const selectKart = useCallback((id) => {
+    const kart = managerRef.current.get(id);
+    selectedKartIdRef.current = kart ? id : null;
+    linkRef.current = kart ? kart.link : null;
+    selectedOutputSpeedRef.current = 0;
+    setSelectedKartId(selectedKartIdRef.current);
+    setTelemetry(EMPTY_TELEMETRY);
+  }, []);
+
+  // Adds a kart; a selected kart that never connected (or failed) is replaced
+  const connect = useCallback((linkType) => {
+    const manager = managerRef.current;
+    setShowLinkMenu(false);
+    
+    const previous = manager.get(selectedKartIdRef.current);
+    if (previous && (previous.state.state === LINK_STATES.IDLE || previous.state.state === LINK_STATES.FAILED)) {
+      manager.remove(previous.id);
+    }
+    const kart = manager.add({ type: linkType, url: wsUrl, preferBinary, maxMissedAcks });
+    selectKart(kart.id);
+    return kart.link.connect();
+  }, [wsUrl, preferBinary, maxMissedAcks, selectKart]);
+
+  const disconnectKart = useCallback((id) => {
+    const manager = managerRef.current;
+    const kart = manager.get(id);
+    if (!kart) return;
+    manager.remove(id);
+    padShapersRef.current.delete(id);
+    if (kart.input === SCREEN_INPUT) resetToSafeState();
+    if (id === selectedKartIdRef.current) {
+      const next = manager.list()[0];
+      selectKart(next ? next.id : null);
+    }
+  }, [resetToSafeState, selectKart]);
+
+  const disconnect = useCallback(() => {
+    if (selectedKartIdRef.current !== null) disconnectKart(selectedKartIdRef.current);
+    else resetToSafeState();
+  }, [disconnectKart, resetToSafeState]);
+
+  const rearmKart = useCallback((id) => {
+    const kart = managerRef.current.get(id);
+    if (kart && kart.link.rearm()) log(`✅ Controls re-armed${karts.length > 1 ? ` (${kart.label})` : ''}`);
+  }, [log, karts.length]);
+
+  const rearm = useCallback(() => {
+    if (selectedKartIdRef.current !== null) rearmKart(selectedKartIdRef.current);
+  }, [rearmKart]);
+
+  const broadcastStop = useCallback(() => {
+    const count = managerRef.current.broadcastStop();
+    log(`⛔ Broadcast stop: ${count} kart${count === 1 ? '' : 's'} braking`);
+  }, [log]);
+
+  // ============ REMOTE BRIDGE ============
+  const startBridge = useCallback(() => {
+    const manager = managerRef.current;
+    const bridge = createRemoteBridge({ url: bridgeSettings.url, latencyCap: bridgeSettings.latencyCap, maxMissedAcks });
+    bridge.on('log', log);
+    bridge.on('change', setBridgeStatus);
+    // Console and parameter commands from the remote
+    bridge.on('line', (line) => {
+      const kart = manager.list().find(k => k.input === REMOTE_INPUT);
+      if (!kart || kart.state !== LINK_STATES.CONNECTED) return;
+      manager.get(kart.id).link.send(line + '\n');
+      log(line, 'out');
     });
-  }, [log, handleDisconnection]);
-
-  const connect = useCallback(() => {
-    return (deviceCacheRef.current ? Promise.resolve(deviceCacheRef.current) : requestBluetoothDevice())
-      .then(device => connectDeviceAndCacheCharacteristic(device))
-      .then(characteristic => startNotifications(characteristic))
-      .then(() => {
-        setIsConnected(true);
-        intervalRef.current = setInterval(sendingBLEinfo, 100);
-      })
-      .catch(error => log(error.toString()));
-  }, [requestBluetoothDevice, connectDeviceAndCacheCharacteristic, startNotifications, sendingBLEinfo, log]);
+    bridgeRef.current = bridge;
+    if (selectedKartIdRef.current !== null) manager.update(selectedKartIdRef.current, { input: REMOTE_INPUT });
+    bridge.start();
+  }, [bridgeSettings, maxMissedAcks, log]);
 
-  const resetToSafeState = useCallback(() => {
-    setSteering(0);
-    setMotorSpeed(0);
-    setDirection(1);
-    log('⚠️ Safety: Reset to safe state');
+  // The remote's kart is left without an input, so it holds brake
+  const stopBridge = useCallback(() => {
+    const bridge = bridgeRef.current;
+    if (!bridge) return;
+    bridgeRef.current = null;
+    bridge.stop();
+    setBridgeStatus(null);
+    const manager = managerRef.current;
+    if (manager) {
+      manager.list().filter(k => k.input === REMOTE_INPUT).forEach(k => manager.update(k.id, { input: null }));
+    }
+    log('🛰 Bridge stopped');
   }, [log]);
 
-  const disconnect = useCallback(() => {
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
+  useEffect(() => () => {
+    if (bridgeRef.current) bridgeRef.current.stop();
+  }, []);
+
+  // ============ RACE ============
+  const racePhase = race ? race.phase : null;
+  const raceLaps = race ? race.laps.length : 0;
+  const lastLap = raceLaps ? race.laps[raceLaps - 1] : null;
+
+  const startRace = useCallback(() => {
+    setRace(newRace({ ...raceSettings, kart: kartName }, performance.now()));
+    log(raceSettings.countdown ? '🏁 Race: countdown' : '🏁 Race: cross the line to start');
+  }, [raceSettings, kartName, log]);
+
+  const closeRace = useCallback(() => {
+    setRace(prev => (prev ? stopRace(prev) : prev));
+    setShowRace(false);
+  }, []);
+
+  // Countdown to GO (the selected kart moving before it is a false start, from
+  // any input), and the gamepad lap button on any pad (on the press edge, like
+  // the e-stop button)
+  useEffect(() => {
+    if (racePhase !== 'countdown' && racePhase !== 'armed' && racePhase !== 'running') return;
+    let wasPressed = true;
+    const timer = setInterval(() => {
+      setRace(prev => (prev ? advanceRace(prev, performance.now(), selectedOutputSpeedRef.current) : prev));
+      if (!navigator.getGamepads) return;
+      const pressed = padButtonPressed(navigator.getGamepads(), LAP_BUTTON);
+      if (pressed && !wasPressed) lap();
+      wasPressed = pressed;
+    }, 20);
+    return () => clearInterval(timer);
+  }, [racePhase, lap]);
+
+  useEffect(() => {
+    if (racePhase === 'running' && raceLaps === 0) log('🏁 GO!');
+    if (racePhase === 'false-start') log('🚩 False start');
+  }, [racePhase, raceLaps, log]);
+
+  useEffect(() => {
+    if (lastLap !== null) log(`🏁 Lap ${raceLaps}: ${formatLapTime(lastLap)}`);
+  }, [raceLaps, lastLap, log]);
+
+  // A finished race goes on the leaderboard once
+  useEffect(() => {
+    if (!race || race.phase !== 'finished' || race.saved) return;
+    setLeaderboard(prev => addResult(prev, race));
+    setRace({ ...race, saved: true });
+  }, [race]);
+
+  // ============ EMERGENCY STOP ============
+  const triggerEstop = useCallback((source) => {
+    if (estopRef.current) return;
+    const event = { type: 'stop', source, time: Date.now() };
+    estopRef.current = event;
+    setEstop(event);
+    if (managerRef.current) managerRef.current.brakeAll();
+    resetInputs();
+    setEstopLog(prev => appendEstopEvent(prev, event));
+    log(`⛔ E-STOP (${ESTOP_SOURCES[source]}) ${formatEstopTime(event.time)}`);
+  }, [resetInputs, log]);
+
+  const rearmEstop = useCallback(() => {
+    if (!estopRef.current) return;
+    const event = { type: 'rearm', source: null, time: Date.now() };
+    estopRef.current = null;
+    setEstop(null);
+    resetInputs();
+    setEstopLog(prev => appendEstopEvent(prev, event));
+    log(`✅ E-stop re-armed ${formatEstopTime(event.time)}`);
+  }, [resetInputs, log]);
+
+  // Escape / Space (not while typing in a field; Space brakes in keyboard mode)
+  useEffect(() => {
+    if (!estopSettings.keys) return;
+    const handleKey = (e) => {
+      if (e.key !== 'Escape' && e.key !== ' ') return;
+      if (e.key === ' ' && controlMode === 'keyboard') return;
+      if (e.target.closest && e.target.closest('input, textarea, select')) return;
+      e.preventDefault();
+      triggerEstop('key');
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [estopSettings.keys, controlMode, triggerEstop]);
+
+  // Gamepad e-stop button on any pad, in every mode (fires on the press edge
+  // so a button still held after re-arming doesn't stop again)
+  useEffect(() => {
+    if (estopSettings.padButton === null || !navigator.getGamepads) return;
+    let wasPressed = false;
+    const timer = setInterval(() => {
+      const pressed = padButtonPressed(navigator.getGamepads(), estopSettings.padButton);
+      if (pressed && !wasPressed) triggerEstop('gamepad');
+      wasPressed = pressed;
+    }, 50);
+    return () => clearInterval(timer);
+  }, [estopSettings.padButton, triggerEstop]);
+
+  useEffect(() => {
+    if (!estopSettings.shake) return;
+    const handleMotion = createShakeDetector({
+      threshold: estopSettings.shakeThreshold,
+      onShake: () => triggerEstop('shake'),
+    });
+    window.addEventListener('devicemotion', handleMotion);
+    return () => window.removeEventListener('devicemotion', handleMotion);
+  }, [estopSettings.shake, estopSettings.shakeThreshold, triggerEstop]);
+
+  const toggleRecording = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (recorder) {
+      recorderRef.current = null;
+      setRecording(false);
+      recorder.stop()
+        .then(count => log(`⏹ Session saved (${count} events)`))
+        .catch(error => log(error.toString()));
+      return;
     }
+    const startedAt = new Date();
+    startRecording({
+      name: `${startedAt.toLocaleDateString()} ${startedAt.toLocaleTimeString()}`,
+      kartName: linkRef.current ? linkRef.current.name : null,
+      onError: (error) => {
+        recorderRef.current = null;
+        setRecording(false);
+        log(`⚠️ Recording stopped: ${error.message || error}`);
+      },
+    }).then(next => {
+      recorderRef.current = next;
+      setRecording(true);
+      log('⏺ Recording session');
+    }).catch(error => log(error.toString()));
+  }, [log]);
+
+  const setReplayFrame = useCallback((frame) => {
+    overrideFrameRef.current = frame;
+  }, []);
+
+  const runManeuver = useCallback((name, steps) => {
+    setShowManeuvers(false);
+    setManeuverRun({ name, steps, duration: maneuverDuration(steps) });
+    log(`🎬 Running ${name}`);
+  }, [log]);
+
+  // However a run ends (finished, stopped or aborted) the kart stops: the
+  // inputs are zeroed rather than handed back to whatever was driving before
+  // the maneuver took over
+  const stopManeuver = useCallback((reason) => {
+    overrideFrameRef.current = null;
+    resetInputs();
+    setManeuverRun(null);
+    setManeuverProgress(null);
+    log(reason ? `⛔ Maneuver aborted (${reason})` : '✅ Maneuver finished');
+  }, [resetInputs, log]);
+
+  const linkIdle = linkState.state === LINK_STATES.IDLE || linkState.state === LINK_STATES.FAILED;
+  const retrySeconds = linkState.retryAt ? Math.max(0, Math.ceil((linkState.retryAt - now) / 1000)) : null;
+  const canRearm = isConnected && !linkStats.stale;
+  // Updates are refused while the wheels turn or this screen is driving the kart
+  const kartMoving = isKartMoving(telemetry) || (selectedKart?.input === SCREEN_INPUT && motorSpeed > 0);
+
+  const linkControls = (
+    <div className="header-right">
+      <button className="estop-btn" title="Emergency stop" onPointerDown={() => triggerEstop('button')}>⛔</button>
+      <button className="tool-btn" title="Safety" onClick={() => setShowSafety(true)}>⚙</button>
+      <button className="tool-btn" title="Input shaping" onClick={() => setShowShaping(true)}>🎚</button>
+      <button
+        className={`tool-btn ${fpvActive ? 'fpv-on' : ''}`}
+        title="FPV camera"
+        onClick={() => (fpvActive ? setFpvOn(false) : fpv.url ? setFpvOn(true) : setShowFpvSettings(true))}
+      >
+        📹
+      </button>
+      <button className="tool-btn" title="Vehicle profile" onClick={() => setShowVehicle(true)}>🚜</button>
+      <button className="tool-btn" title="Calibration" onClick={() => setCalibrationPreview({ steering: 0, speed: 0, direction: 1 })}>🔧</button>
+      <button className={`tool-btn ${recording ? 'recording' : ''}`} title="Record session" onClick={toggleRecording}>⏺</button>
+      <button className="tool-btn" title="Sessions" onClick={() => setShowSessions(true)}>📼</button>
+      <button className="tool-btn" title="Maneuvers" onClick={() => setShowManeuvers(true)}>🎬</button>
+      <button className="tool-btn" title="Console" onClick={() => setShowConsole(true)}>🖥</button>
+      <button className="tool-btn" title="Kart settings" onClick={() => setShowParams(true)}>🧩</button>
+      <button className="tool-btn" title="Firmware update" onClick={() => setShowUpdate(true)}>🔄</button>
+      <button className="tool-btn" title="Race" onClick={() => setShowRace(true)}>🏁</button>
+      <button className={`tool-btn ${bridgeStatus ? 'bridging' : ''}`} title="Remote bridge" onClick={() => setShowBridge(true)}>🛰</button>
+      <button className="tool-btn" title="Karts" onClick={() => setShowKarts(true)}>
+        🏎{karts.length > 1 && <span className="kart-count">{karts.length}</span>}
+      </button>
+      {karts.length > 1 && <button className="stop-btn stop-all-btn" onClick={broadcastStop}>⛔ ALL</button>}
+      {karts.length > 1 && selectedKart && (
+        <span className="kart-tag" style={{ color: selectedKart.color, borderColor: selectedKart.color }}>{selectedKart.label}</span>
+      )}
+      {isConnected && <LinkIndicator stats={linkStats} />}
+      <button 
+        className={`connect-btn ${linkState.state}`}
+        onClick={linkIdle ? () => setShowLinkMenu(true) : disconnect}
+      >
+        {LINK_STATE_LABELS[linkState.state]}
+        {linkState.state === LINK_STATES.RECONNECTING && retrySeconds !== null && ` ${retrySeconds}s`}
+      </button>
+      {karts.some(k => k.type === 'sim' && k.state !== LINK_STATES.IDLE) && <SimulatorView karts={karts} />}
+      {showLinkMenu && (
+        <LinkMenu
+          wsUrl={wsUrl}
+          onWsUrlChange={setWsUrl}
+          preferBinary={preferBinary}
+          onPreferBinaryChange={setPreferBinary}
+          maxMissedAcks={maxMissedAcks}
+          onMaxMissedAcksChange={setMaxMissedAcks}
+          onSelect={connect}
+          onClose={() => setShowLinkMenu(false)}
+        />
+      )}
+      {showShaping && (
+        <ShapingEditor
+          shaping={shaping}
+          initialMode={controlMode}
+          input={inputRef.current}
+          onChange={setShaping}
+          onClose={() => setShowShaping(false)}
+        />
+      )}
+      {calibrationPreview && (
+        <CalibrationScreen
+          kartName={kartName || DEFAULT_KART}
+          calibration={calibration}
+          profile={vehicleProfile}
+          onChange={(next) => setCalibrations(prev => ({ ...prev, [kartName || DEFAULT_KART]: next }))}
+          preview={calibrationPreview}
+          onPreviewChange={setCalibrationPreview}
+          onClose={() => setCalibrationPreview(null)}
+        />
+      )}
+      {showFpvSettings && (
+        <FpvSettings
+          kartName={kartName || DEFAULT_KART}
+          settings={fpv}
+          onChange={(next) => setFpvSettings(prev => ({ ...prev, [kartName || DEFAULT_KART]: next }))}
+          active={fpvActive}
+          onToggle={() => {
+            setFpvOn(!fpvActive);
+            setShowFpvSettings(false);
+          }}
+          onClose={() => setShowFpvSettings(false)}
+        />
+      )}
+      {showVehicle && (
+        <VehicleProfile
+          kartName={kartName || DEFAULT_KART}
+          profile={vehicleProfile}
+          onChange={(next) => setVehicleProfiles(prev => ({ ...prev, [kartName || DEFAULT_KART]: next }))}
+          onClose={() => setShowVehicle(false)}
+        />
+      )}
+      {showKarts && (
+        <KartManager
+          karts={karts}
+          selectedId={selectedKartId}
+          onSelect={selectKart}
+          onUpdate={(id, changes) => managerRef.current.update(id, changes)}
+          onRearm={rearmKart}
+          onDisconnect={disconnectKart}
+          onAdd={() => {
+            setShowKarts(false);
+            setShowLinkMenu(true);
+          }}
+          onBroadcastStop={broadcastStop}
+          bridging={!!bridgeStatus}
+          onClose={() => setShowKarts(false)}
+        />
+      )}
+      {showSafety && (
+        <SafetySettings
+          settings={estopSettings}
+          onChange={setEstopSettings}
+          log={estopLog}
+          onClearLog={() => setEstopLog([])}
+          onClose={() => setShowSafety(false)}
+        />
+      )}
+      {showSessions && (
+        <SessionBrowser
+          canDrive={isConnected && !holdReason && !estop}
+          onReplayFrame={setReplayFrame}
+          onClose={() => setShowSessions(false)}
+        />
+      )}
+      {showManeuvers && (
+        <ManeuverEditor
+          maneuvers={maneuvers}
+          onSave={(name, steps) => setManeuvers(prev => ({ ...prev, [name]: steps }))}
+          onDelete={(name) => setManeuvers(({ [name]: _, ...rest }) => rest)}
+          onRun={runManeuver}
+          onClose={() => setShowManeuvers(false)}
+        />
+      )}
+      {showConsole && (
+        <DevConsole
+          logs={logs}
+          canSend={isConnected}
+          target={selectedKart && (karts.length > 1 ? selectedKart.label : selectedKart.name)}
+          onSend={send}
+          onClear={() => setLogs([])}
+          quickCommands={quickCommands}
+          onQuickCommandsChange={setQuickCommands}
+          onClose={() => setShowConsole(false)}
+        />
+      )}
+      {showParams && (
+        <ParamEditor
+          link={selectedKart ? linkRef.current : null}
+          kartName={kartName}
+          canSend={isConnected}
+          send={send}
+          onClose={() => setShowParams(false)}
+        />
+      )}
+      {showUpdate && (
+        <FirmwareUpdate
+          link={selectedKart ? linkRef.current : null}
+          kartName={kartName}
+          connected={isConnected}
+          moving={kartMoving}
+          log={log}
+          onClose={() => setShowUpdate(false)}
+        />
+      )}
+      {showRace && (
+        <RaceScreen
+          race={race}
+          settings={raceSettings}
+          onSettingsChange={setRaceSettings}
+          leaderboard={leaderboard}
+          onClearLeaderboard={() => setLeaderboard([])}
+          onStart={startRace}
+          onLap={lap}
+          onStop={() => setRace(prev => stopRace(prev))}
+          onClose={closeRace}
+        />
+      )}
+      {showBridge && (
+        <RemoteBridge
+          settings={bridgeSettings}
+          onSettingsChange={setBridgeSettings}
+          status={bridgeStatus}
+          kartLabel={karts.find(k => k.input === REMOTE_INPUT)?.label}
+          onStart={startBridge}
+          onStop={stopBridge}
+          onClose={() => setShowBridge(false)}
+        />
+      )}
+      {maneuverRun && (
+        <div className="maneuver-overlay">
+          <span className="setup-title">🎬 {maneuverRun.name}</span>
+          <div className="maneuver-progress">
+            <div
+              className="maneuver-progress-fill"
+              style={{ width: `${maneuverProgress ? (maneuverProgress.t / maneuverRun.duration) * 100 : 0}%` }}
+            />
+          </div>
+          {maneuverProgress && (
+            <span className="setup-hint">
+              {maneuverProgress.output.steering > 0 ? '+' : ''}{maneuverProgress.output.steering}° · {maneuverProgress.output.speed}% {maneuverProgress.output.direction < 0 ? '▼' : '▲'}
+            </span>
+          )}
+          <button className="stop-btn" onClick={() => stopManeuver('STOP')}>■ STOP</button>
+        </div>
+      )}
+      {estop && <EStopOverlay estop={estop} onRearm={rearmEstop} />}
+      <PwaBanner busy={anyKartLinked} />
+      {holdReason && !linkIdle && !showUpdate && (
+        <div className="link-warning">
+          <span>
+            {holdReason === 'stop' ? '⛔ STOP - ALL KARTS BRAKING'
+              : holdReason === 'update' ? '🔄 FIRMWARE UPDATE - BRAKING'
+              : holdReason === 'stale' ? '⚠️ LINK LOST - BRAKING'
+              : isConnected ? '⚠️ RECONNECTED - HOLDING BRAKE'
+              : `⚠️ LINK LOST - RECONNECTING (${linkState.attempt + 1})`}
+          </span>
+          <button className="unlock-btn" disabled={!canRearm} onClick={rearm}>
+            {canRearm ? 'RE-ARM CONTROLS' : 'WAITING FOR KART...'}
+          </button>
+          <button className="back-btn" onClick={disconnect}>DISCONNECT</button>
+        </div>
+      )}
+    </div>
+  );
+
+  // Camera picture and HUD behind and over every mode's controls
+  const fpvView = fpvActive && (
+    <FpvView
+      settings={fpv}
+      steering={steering}
+      motorSpeed={motorSpeed}
+      direction={direction}
+      linkState={linkState.state}
+      linkLabel={LINK_STATE_LABELS[linkState.state]}
+      stats={linkStats}
+      holdReason={holdReason}
+      estop={estop}
+      telemetry={telemetry}
+      onSettings={() => setShowFpvSettings(true)}
+    />
+  );
+  const fpvClass = fpvActive ? ` fpv${fpv.panels ? '' : ' fpv-inputs-only'}` : '';
+  const fpvStyle = fpvActive ? { '--fpv-opacity': fpv.opacity } : undefined;
+
+  const assistBar = (
+    <DriveAssists settings={assists} status={assistStatus} onChange={setAssists} onToggleCruise={toggleCruise} />
+  );
+
+  // ============ INPUT SHAPING LOOP ============
+  // Runs while a control mode is open: raw input -> shaping -> drive assists
+  // -> steering/speed
+  useEffect(() => {
+    if (controlMode === null) return;
     
-    if (characteristicCacheRef.current && deviceCacheRef.current?.gatt?.connected) {
-      try {
-        const safeData = '90;0;0\n'; // direction 0 = brake
-        characteristicCacheRef.current.writeValue(new TextEncoder().encode(safeData));
-        log('⚠️ Sent brake state before disconnect');
-      } catch (e) {}
-    }
+    let frame;
+    let last = performance.now();
+    const loop = (timestamp) => {
+      const dt = Math.min(100, Math.max(0, timestamp - last));
+      last = timestamp;
+      const shaped = shaperRef.current.step(inputRef.current, shapingRef.current[controlMode], dt);
+      const assist = assistRef.current;
+      // Nothing is held through an e-stop or a brake hold
+      if (estopRef.current || (linkRef.current && linkRef.current.holdReason)) assist.cancelCruise('brake');
+      const out = assist.step(inputRef.current, shaped, assistsRef.current, dt, timestamp);
+      const status = assist.status();
+      setAssistStatus(prev => (
+        prev.cruise === status.cruise && prev.launch === status.launch && prev.traction === status.traction ? prev : status
+      ));
+      const speed = Math.round(Math.abs(out.throttle) * 100);
+      setSteering(Math.round(out.steer * 90));
+      setMotorSpeed(speed);
+      setDirection(speed === 0 ? 0 : Math.sign(out.throttle));
+      frame = requestAnimationFrame(loop);
+    };
+    frame = requestAnimationFrame(loop);
+    
+    return () => {
+      cancelAnimationFrame(frame);
+      // Leaving a mode always returns to neutral
+      resetInputs();
+    };
+  }, [controlMode, resetInputs]);
+
+  // ============ MANEUVER PLAYBACK ============
+  // Steps through the maneuver on the control loop's output path; any touch,
+  // key, stick movement or brake hold aborts it
+  useEffect(() => {
+    if (!maneuverRun) return;
     
-    if (deviceCacheRef.current) {
-      log('Disconnecting...');
-      deviceCacheRef.current.removeEventListener('gattserverdisconnected', handleDisconnection);
-      if (deviceCacheRef.current.gatt.connected) {
-        deviceCacheRef.current.gatt.disconnect();
-        log('Disconnected');
+    const { steps } = maneuverRun;
+    const baseline = { ...inputRef.current };
+    const start = performance.now();
+    let frame;
+    const loop = () => {
+      const input = inputRef.current;
+      if (Math.abs(input.steer - baseline.steer) > 0.25 || Math.abs(input.throttle - baseline.throttle) > 0.25) {
+        stopManeuver('input');
+        return;
       }
-    }
-    if (characteristicCacheRef.current) {
-      characteristicCacheRef.current.removeEventListener('characteristicvaluechanged', handleCharacteristicValueChanged);
-      characteristicCacheRef.current = null;
-    }
-    deviceCacheRef.current = null;
-    setIsConnected(false);
-    resetToSafeState();
-  }, [log, handleDisconnection, handleCharacteristicValueChanged, resetToSafeState]);
+      if (linkRef.current && linkRef.current.holdReason) {
+        stopManeuver('link');
+        return;
+      }
+      if (estopRef.current) {
+        stopManeuver('E-STOP');
+        return;
+      }
+      const t = performance.now() - start;
+      const output = sampleManeuver(steps, t);
+      if (!output) {
+        stopManeuver(null);
+        return;
+      }
+      overrideFrameRef.current = toControlFrame(output.steering, output.speed, output.direction);
+      setManeuverProgress({ t, output });
+      frame = requestAnimationFrame(loop);
+    };
+    frame = requestAnimationFrame(loop);
+    
+    // The overlay's own STOP button reports itself
+    const abort = (e) => {
+      if (!(e.target.closest && e.target.closest('.maneuver-overlay'))) stopManeuver('input');
+    };
+    window.addEventListener('pointerdown', abort, true);
+    window.addEventListener('keydown', abort, true);
+    
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('pointerdown', abort, true);
+      window.removeEventListener('keydown', abort, true);
+      overrideFrameRef.current = null;
+    };
+  }, [maneuverRun, stopManeuver]);
 
   // ============ BUTTON MODE STEERING ============
+  // Holding an arrow moves the steering input at the mode's max steer rate
   const animateSteering = useCallback((timestamp) => {
     if (!steeringDirectionRef.current) return;
     
     const elapsed = timestamp - lastSteeringTimeRef.current;
     if (elapsed >= 16) {
       lastSteeringTimeRef.current = timestamp;
-      const step = 4;
-      setSteering(prev => {
-        if (steeringDirectionRef.current === 'left') {
-          return Math.max(-90, prev - step);
-        } else {
-          return Math.min(90, prev + step);
-        }
-      });
+      const rate = shapingRef.current.buttons.steerRate || 1000; // degrees per second
+      const step = (rate / 90) * (elapsed / 1000);
+      const input = inputRef.current;
+      if (steeringDirectionRef.current === 'left') {
+        input.steer = Math.max(-1, input.steer - step);
+      } else {
+        input.steer = Math.min(1, input.steer + step);
+      }
     }
     steeringIntervalRef.current = requestAnimationFrame(animateSteering);
   }, []);
@@ -243,7 +1113,8 @@ function App() {
     if (steeringIntervalRef.current) cancelAnimationFrame(steeringIntervalRef.current);
     steeringDirectionRef.current = direction;
     lastSteeringTimeRef.current = performance.now();
-    setSteering(prev => direction === 'left' ? Math.max(-90, prev - 4) : Math.min(90, prev + 4));
+    const input = inputRef.current;
+    input.steer = direction === 'left' ? Math.max(-1, input.steer - 4 / 90) : Math.min(1, input.steer + 4 / 90);
     steeringIntervalRef.current = requestAnimationFrame(animateSteering);
   };
 
@@ -256,7 +1127,15 @@ function App() {
     }
   };
 
-  const resetSteering = () => setSteering(0);
+  const resetSteering = () => {
+    inputRef.current.steer = 0;
+  };
+
+  // Slider speed + direction toggle make up the button-mode throttle input
+  useEffect(() => {
+    if (controlMode !== 'buttons') return;
+    inputRef.current.throttle = (buttonDirection * buttonSpeed) / 100;
+  }, [controlMode, buttonSpeed, buttonDirection]);
 
   // ============ VIRTUAL JOYSTICK MODE (Combined Steering + Throttle) ============
   const handleJoystickStart = useCallback((e) => {
@@ -293,23 +1172,11 @@ function App() {
       joystickKnobRef.current.style.transform = `translate(calc(-50% + ${deltaX}px), calc(-50% + ${deltaY}px))`;
     }
     
-    // Map X to steering (-90 to +90)
-    const steerValue = Math.round((deltaX / maxRadius) * 90);
-    setSteering(steerValue);
-    
-    // Map Y to throttle (up = forward, down = backward)
-    const throttleValue = Math.round((-deltaY / maxRadius) * 100);
-    
-    if (throttleValue > 5) { // Small deadzone
-      setMotorSpeed(throttleValue);
-      setDirection(1);
-    } else if (throttleValue < -5) {
-      setMotorSpeed(Math.abs(throttleValue));
-      setDirection(-1);
-    } else {
-      setMotorSpeed(0);
-      setDirection(0);
-    }
+    // Map X to steering and Y to throttle (up = forward, down = backward)
+    inputRef.current = {
+      steer: deltaX / maxRadius,
+      throttle: -deltaY / maxRadius,
+    };
   }, []);
 
   const handleJoystickEnd = useCallback((e) => {
@@ -318,9 +1185,7 @@ function App() {
     if (joystickKnobRef.current) {
       joystickKnobRef.current.style.transform = 'translate(-50%, -50%)';
     }
-    setSteering(0);
-    setMotorSpeed(0);
-    setDirection(0);
+    inputRef.current = { steer: 0, throttle: 0 };
   }, []);
 
   // Global touch/mouse move and end handlers for joystick
@@ -351,77 +1216,41 @@ function App() {
   }, [controlMode, handleJoystickMove, handleJoystickEnd]);
 
   // ============ GAMEPAD / CONTROLLER MODE ============
-  const gamepadLoop = useCallback((timestamp) => {
-    // Time-based smoothing
-    const deltaTime = timestamp - lastGamepadTimeRef.current;
-    lastGamepadTimeRef.current = timestamp;
-    
+  const gamepadLoop = useCallback(() => {
     const gamepads = navigator.getGamepads();
-    const gp = gamepads[0] || gamepads[1] || gamepads[2] || gamepads[3];
+    // The pad picked in the mapping screen drives, otherwise the first connected
+    // one that isn't assigned to a kart of its own
+    const free = (index) => !reservedPadsRef.current.has(index) && gamepads[index];
+    const picked = activePadIndexRef.current !== null ? free(activePadIndexRef.current) : null;
+    const gp = picked || free(0) || free(1) || free(2) || free(3);
     
-    if (gp) {
+    if (gp && gamepadSetupOpenRef.current) {
+      // Remapping in progress: hold neutral
+      inputRef.current = { steer: 0, throttle: 0 };
+    } else if (gp) {
       if (!gamepadConnected) setGamepadConnected(true);
       
-      // Left stick X-axis for steering (axis 0)
-      // Value is -1 (left) to 1 (right)
-      const stickX = gp.axes[0];
-      // Apply deadzone
-      const deadzone = 0.1;
-      let targetSteering = 0;
-      if (Math.abs(stickX) > deadzone) {
-        targetSteering = stickX * 90;
-      }
-      
-      // Time-based smooth interpolation
-      // smoothSpeed = how many degrees per second to change (higher = faster response)
-      const smoothSpeed = 300; // degrees per second
-      const maxChange = (smoothSpeed * deltaTime) / 1000;
-      const diff = targetSteering - smoothedSteeringRef.current;
-      
-      if (Math.abs(diff) <= maxChange) {
-        smoothedSteeringRef.current = targetSteering;
-      } else {
-        smoothedSteeringRef.current += Math.sign(diff) * maxChange;
-      }
-      
-      setSteering(Math.round(smoothedSteeringRef.current));
-      
-      // R2 for forward, L2 for backward
-      // PS5: R2 = button 7, L2 = button 6
-      let r2Value = 0;
-      let l2Value = 0;
+      const profile = resolveProfile(gp.id, padProfilesRef.current);
+      const controls = readControls(gp, profile);
+      setGamepadName(profile.name);
       
-      // R2 (forward) - button 7
-      if (gp.buttons[7] && gp.buttons[7].value > 0) {
-        r2Value = Math.round(gp.buttons[7].value * 100);
-      }
-      // L2 (backward) - button 6
-      if (gp.buttons[6] && gp.buttons[6].value > 0) {
-        l2Value = Math.round(gp.buttons[6].value * 100);
-      }
+      // R2 / L2 on most pads; deadzone and smoothing come from input shaping
+      inputRef.current = driveInput(controls);
       
-      // R2 = forward (1), L2 = backward (-1), neither = brake (0)
-      if (r2Value > l2Value) {
-        setMotorSpeed(r2Value);
-        setDirection(1);
-      } else if (l2Value > r2Value) {
-        setMotorSpeed(l2Value);
-        setDirection(-1);
-      } else {
-        setMotorSpeed(0);
-        setDirection(0); // brake
-      }
+      const cruisePressed = !!(gp.buttons[CRUISE_BUTTON] && gp.buttons[CRUISE_BUTTON].pressed);
+      if (cruisePressed && !cruiseButtonRef.current) toggleCruise();
+      cruiseButtonRef.current = cruisePressed;
     } else {
       if (gamepadConnected) setGamepadConnected(false);
+      inputRef.current = { steer: 0, throttle: 0 };
     }
     
     gamepadLoopRef.current = requestAnimationFrame(gamepadLoop);
-  }, [gamepadConnected]);
+  }, [gamepadConnected, toggleCruise]);
 
   // Start/stop gamepad loop based on control mode
   useEffect(() => {
     if (controlMode === 'controller') {
-      lastGamepadTimeRef.current = performance.now();
       gamepadLoopRef.current = requestAnimationFrame(gamepadLoop);
       log('🎮 Controller mode active');
     }
@@ -444,9 +1273,7 @@ function App() {
       log('🎮 Controller disconnected');
       setGamepadConnected(false);
       // Safety: reset when controller disconnects
-      setSteering(0);
-      setMotorSpeed(0);
-      setDirection(1);
+      resetInputs();
     };
     
     window.addEventListener('gamepadconnected', handleGamepadConnected);
@@ -456,17 +1283,94 @@ function App() {
       window.removeEventListener('gamepadconnected', handleGamepadConnected);
       window.removeEventListener('gamepaddisconnected', handleGamepadDisconnected);
     };
-  }, [log]);
+  }, [log, resetInputs]);
 
   // Cleanup
   useEffect(() => {
     return () => {
-      if (intervalRef.current) clearInterval(intervalRef.current);
+      if (recorderRef.current) recorderRef.current.stop();
       if (steeringIntervalRef.current) cancelAnimationFrame(steeringIntervalRef.current);
       if (gamepadLoopRef.current) cancelAnimationFrame(gamepadLoopRef.current);
     };
   }, []);
 
+  // ============ KEYBOARD MODE ============
+  useEffect(() => {
+    keyboardCapRef.current = keyboardCap;
+    localStorage.setItem('kart.keyboardCap', String(keyboardCap));
+    if (controlMode === 'keyboard') inputRef.current = keyboardInput(keysDownRef.current, keyboardCap);
+  }, [keyboardCap, controlMode]);
+
+  useEffect(() => {
+    if (controlMode !== 'keyboard') return;
+    
+    const held = keysDownRef.current;
+    const update = () => {
+      inputRef.current = keyboardInput(held, keyboardCapRef.current);
+      setKeysDown([...held]);
+    };
+    // Keys released while the window had no focus never send keyup
+    const release = () => {
+      held.clear();
+      setKeysDown([]);
+      resetInputs();
+    };
+    
+    const handleKeyDown = (e) => {
+      if (e.target.closest && e.target.closest('input, textarea, select')) return;
+      if (e.code === CRUISE_KEY) {
+        e.preventDefault();
+        if (!e.repeat) toggleCruise();
+        return;
+      }
+      const capStep = CAP_KEYS[e.code];
+      if (capStep) {
+        e.preventDefault();
+        if (!e.repeat) setKeyboardCap(c => Math.max(MIN_CAP, Math.min(MAX_CAP, c + capStep)));
+        return;
+      }
+      if (!KEY_ACTIONS[e.code]) return;
+      e.preventDefault();
+      // Auto-repeat of a key already held changes nothing
+      if (e.repeat && held.has(e.code)) return;
+      held.add(e.code);
+      if (KEY_ACTIONS[e.code] === 'brake') {
+        shaperRef.current.cutThrottle();
+        assistRef.current.cancelCruise('brake');
+      }
+      update();
+    };
+    
+    const handleKeyUp = (e) => {
+      // macOS swallows keyup for keys released while Cmd is down
+      if (e.key === 'Meta') {
+        release();
+        return;
+      }
+      if (!held.delete(e.code)) return;
+      update();
+    };
+    
+    const handleVisibility = () => {
+      if (document.hidden) release();
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', release);
+    document.addEventListener('visibilitychange', handleVisibility);
+    log('⌨️ Keyboard mode active');
+    
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', release);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      held.clear();
+      setKeysDown([]);
+    };
+  }, [controlMode, resetInputs, toggleCruise, log]);
+
   // ============ ACCELEROMETER MODE ============
   const requestAccelPermission = useCallback(async () => {
     // Check if DeviceOrientationEvent exists
@@ -504,15 +1408,9 @@ function App() {
       // gamma: left-right tilt in portrait mode (-90 to 90)
       const gamma = event.gamma || 0;
       
-      // Smooth the value
-      const smoothingFactor = 0.15;
-      smoothedAccelRef.current += (gamma - smoothedAccelRef.current) * smoothingFactor;
-      
-      // Map gamma (-45 to 45) to steering (-90 to 90)
-      const clampedGamma = Math.max(-45, Math.min(45, smoothedAccelRef.current));
-      const steerValue = Math.round((clampedGamma / 45) * 90);
-      
-      setSteering(steerValue);
+      // Map gamma (-45 to 45) to full steering; smoothing comes from input shaping
+      const clampedGamma = Math.max(-45, Math.min(45, gamma));
+      inputRef.current.steer = clampedGamma / 45;
     };
     
     window.addEventListener('deviceorientation', handleOrientation);
@@ -522,13 +1420,6 @@ function App() {
     };
   }, [controlMode, accelEnabled]);
 
-  // Reset accelerometer when leaving accel mode
-  useEffect(() => {
-    if (controlMode !== 'accel') {
-      smoothedAccelRef.current = 0;
-    }
-  }, [controlMode]);
-
   const steeringDisplay = steering > 0 ? `+${steering}` : steering.toString();
 
   // ============ SELECTION SCREEN ============
@@ -555,10 +1446,16 @@ function App() {
           </button>
           <button className="select-btn controller" onClick={() => setControlMode('controller')}>
             <span className="select-icon">🎮</span>
-            <span className="select-text">PS5 CONTROLLER</span>
-            <span className="select-desc">Stick + R2 fwd / L2 rev</span>
+            <span className="select-text">GAMEPAD / WHEEL</span>
+            <span className="select-desc">PS5, Xbox, 8BitDo, wheels</span>
+          </button>
+          <button className="select-btn keyboard" onClick={() => setControlMode('keyboard')}>
+            <span className="select-icon">⌨️</span>
+            <span className="select-text">KEYBOARD</span>
+            <span className="select-desc">WASD / arrow keys</span>
           </button>
         </div>
+        <PwaBanner busy={anyKartLinked} showInstall />
       </div>
     );
   }
@@ -566,18 +1463,15 @@ function App() {
   // ============ JOYSTICK MODE UI ============
   if (controlMode === 'joystick') {
     return (
-      <div className="controller joystick-mode">
+      <div className={`controller joystick-mode${fpvClass}`} style={fpvStyle}>
         <div className="header">
           <button className="back-btn" onClick={() => setControlMode(null)}>← Back</button>
           <span className="title">🕹️ JOYSTICK</span>
-          <button 
-            className={`connect-btn ${isConnected ? 'connected' : ''}`}
-            onClick={isConnected ? disconnect : connect}
-          >
-            {isConnected ? '● ON' : '○ OFF'}
-          </button>
+          {linkControls}
         </div>
 
+        {fpvView}
+
         <div className="joystick-area-combined">
           {/* Stats Panel (Left) */}
           <div className="joy-stats-panel">
@@ -595,6 +1489,7 @@ function App() {
           <div className="joystick-container-big">
             <div 
               className="joystick-base-big"
+              data-testid="joystick"
               ref={joystickBaseRef}
               onTouchStart={handleJoystickStart}
               onMouseDown={handleJoystickStart}
@@ -606,7 +1501,7 @@ function App() {
                 <span className="guide-label left">L</span>
                 <span className="guide-label right">R</span>
               </div>
-              <div className="joystick-knob-big" ref={joystickKnobRef}></div>
+              <div className="joystick-knob-big" data-testid="joystick-knob" ref={joystickKnobRef}></div>
             </div>
           </div>
         </div>
@@ -619,7 +1514,10 @@ function App() {
           <span className="bar-label">+90</span>
         </div>
 
-        <div className="terminal">
+        {assistBar}
+        <TelemetryPanel telemetry={telemetry} />
+
+        <div className="terminal" title="Open console" onClick={() => setShowConsole(true)}>
           {logs.slice(-3).map(l => (
             <div key={l.id} className={l.type}>{l.message}</div>
           ))}
@@ -633,33 +1531,20 @@ function App() {
   const handleAccelThrottle = (value) => {
     const throttle = parseInt(value);
     setAccelThrottle(throttle);
-    
-    if (throttle > 0) {
-      setMotorSpeed(throttle);
-      setDirection(1);
-    } else if (throttle < 0) {
-      setMotorSpeed(Math.abs(throttle));
-      setDirection(-1);
-    } else {
-      setMotorSpeed(0);
-      setDirection(0);
-    }
+    inputRef.current.throttle = throttle / 100;
   };
 
   if (controlMode === 'accel') {
     return (
-      <div className="controller accel-mode">
+      <div className={`controller accel-mode${fpvClass}`} style={fpvStyle}>
         <div className="header">
           <button className="back-btn" onClick={() => { setControlMode(null); setAccelEnabled(false); setAccelThrottle(0); }}>← Back</button>
           <span className="title">📐 TILT</span>
-          <button 
-            className={`connect-btn ${isConnected ? 'connected' : ''}`}
-            onClick={isConnected ? disconnect : connect}
-          >
-            {isConnected ? '● ON' : '○ OFF'}
-          </button>
+          {linkControls}
         </div>
 
+        {fpvView}
+
         <div className="accel-area">
           {!accelEnabled ? (
             <div className="accel-permission">
@@ -732,7 +1617,10 @@ function App() {
           <span className="bar-label">+90</span>
         </div>
 
-        <div className="terminal">
+        {assistBar}
+        <TelemetryPanel telemetry={telemetry} />
+
+        <div className="terminal" title="Open console" onClick={() => setShowConsole(true)}>
           {logs.slice(-3).map(l => (
             <div key={l.id} className={l.type}>{l.message}</div>
           ))}
@@ -744,25 +1632,23 @@ function App() {
   // ============ CONTROLLER MODE UI ============
   if (controlMode === 'controller') {
     return (
-      <div className="controller gamepad-mode">
+      <div className={`controller gamepad-mode${fpvClass}`} style={fpvStyle}>
         <div className="header">
           <button className="back-btn" onClick={() => setControlMode(null)}>← Back</button>
           <span className="title">🎮 CONTROLLER</span>
-          <button 
-            className={`connect-btn ${isConnected ? 'connected' : ''}`}
-            onClick={isConnected ? disconnect : connect}
-          >
-            {isConnected ? '● ON' : '○ OFF'}
-          </button>
+          {linkControls}
         </div>
 
+        {fpvView}
+
         <div className="gamepad-display">
           <div className="gamepad-status">
             {gamepadConnected ? (
-              <span className="gp-connected">🎮 Controller Connected</span>
+              <span className="gp-connected">🎮 Controller Connected ({gamepadName})</span>
             ) : (
               <span className="gp-disconnected">🎮 Press any button on controller...</span>
             )}
+            <button className="reset-btn" onClick={() => setShowGamepadSetup(true)}>⚙ MAPPING</button>
           </div>
           
           <div className="gamepad-values">
@@ -771,7 +1657,7 @@ function App() {
               <span className="gp-num">{steeringDisplay}</span>
             </div>
             <div className="gp-value">
-              <span className="gp-label">{direction === 1 ? 'FWD (R2)' : direction === -1 ? 'REV (L2)' : 'BRAKE'}</span>
+              <span className="gp-label">{direction === 1 ? 'FWD' : direction === -1 ? 'REV' : 'BRAKE'}</span>
               <span className={`gp-num speed ${direction === -1 ? 'reverse' : direction === 0 ? 'brake' : ''}`}>{motorSpeed}%</span>
             </div>
           </div>
@@ -789,7 +1675,100 @@ function App() {
           </div>
         </div>
 
-        <div className="terminal">
+        {showGamepadSetup && (
+          <GamepadSetup
+            activePadIndex={activePadIndex}
+            onActivePadChange={setActivePadIndex}
+            customProfiles={padProfiles}
+            onSaveProfile={(id, profile) => setPadProfiles(prev => {
+              const next = { ...prev };
+              if (profile) next[id] = profile;
+              else delete next[id];
+              return next;
+            })}
+            onClose={() => setShowGamepadSetup(false)}
+          />
+        )}
+
+        {assistBar}
+        <TelemetryPanel telemetry={telemetry} />
+
+        <div className="terminal" title="Open console" onClick={() => setShowConsole(true)}>
+          {logs.slice(-4).map(l => (
+            <div key={l.id} className={l.type}>{l.message}</div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  // ============ KEYBOARD MODE UI ============
+  if (controlMode === 'keyboard') {
+    const held = heldActions(keysDown);
+    const keyCap = (action, label) => (
+      <span className={`key-cap ${action} ${held.has(action) ? 'active' : ''}`}>{label}</span>
+    );
+    
+    return (
+      <div className={`controller gamepad-mode keyboard-mode${fpvClass}`} style={fpvStyle}>
+        <div className="header">
+          <button className="back-btn" onClick={() => setControlMode(null)}>← Back</button>
+          <span className="title">⌨️ KEYBOARD</span>
+          {linkControls}
+        </div>
+
+        {fpvView}
+
+        <div className="gamepad-display">
+          <div className="keyboard-layout">
+            <div className="key-grid">
+              {keyCap('up', 'W')}
+              {keyCap('left', 'A')}
+              {keyCap('down', 'S')}
+              {keyCap('right', 'D')}
+            </div>
+            <div className="key-row">
+              {keyCap('boost', 'SHIFT')}
+              {keyCap('brake', 'SPACE')}
+            </div>
+          </div>
+          
+          <div className="gamepad-values">
+            <div className="gp-value">
+              <span className="gp-label">STEERING</span>
+              <span className="gp-num">{steeringDisplay}</span>
+            </div>
+            <div className="gp-value">
+              <span className="gp-label">{direction === 1 ? 'FWD' : direction === -1 ? 'REV' : 'BRAKE'}</span>
+              <span className={`gp-num speed ${direction === -1 ? 'reverse' : direction === 0 ? 'brake' : ''}`}>{motorSpeed}%</span>
+            </div>
+            <div className="gp-value">
+              <span className="gp-label">SPEED CAP [ ]</span>
+              <span className="gp-num">{held.has('boost') ? 'BOOST' : `${keyboardCap}%`}</span>
+            </div>
+          </div>
+          
+          <div className="steering-bar">
+            <span className="bar-label">-90</span>
+            <div className="bar-track">
+              <div className="steering-indicator" style={{ left: `${((steering + 90) / 180) * 100}%` }}></div>
+            </div>
+            <span className="bar-label">+90</span>
+          </div>
+          
+          <div className="speed-bar">
+            <div className="speed-bar-fill" style={{ width: `${motorSpeed}%` }}></div>
+          </div>
+          
+          <span className="setup-hint">
+            WASD / ARROWS DRIVE · SHIFT BOOST · SPACE BRAKE · [ ] OR - + SPEED CAP · ESC E-STOP
+          </span>
+        </div>
+
+        {assistBar}
+        <TelemetryPanel telemetry={telemetry} />
+
+        <div className="terminal" title="Open console" onClick={() => setShowConsole(true)}>
           {logs.slice(-4).map(l => (
             <div key={l.id} className={l.type}>{l.message}</div>
           ))}
@@ -800,18 +1779,15 @@ function App() {
 
   // ============ BUTTON MODE UI ============
   return (
-    <div className="controller">
+    <div className={`controller${fpvClass}`} style={fpvStyle}>
       <div className="header">
         <button className="back-btn" onClick={() => setControlMode(null)}>← Back</button>
         <span className="title">🏎️ KART</span>
-        <button 
-          className={`connect-btn ${isConnected ? 'connected' : ''}`}
-          onClick={isConnected ? disconnect : connect}
-        >
-          {isConnected ? '● ON' : '○ OFF'}
-        </button>
+        {linkControls}
       </div>
 
+      {fpvView}
+
       <div className="main-controls">
         <button 
           className="arrow-btn left"
@@ -830,23 +1806,23 @@ function App() {
           <div className="speed-section">
             <div className="slider-container">
               <input 
-                type="range" min="0" max="100" value={motorSpeed}
-                onChange={(e) => setMotorSpeed(parseInt(e.target.value))}
+                type="range" min="0" max="100" value={buttonSpeed}
+                onChange={(e) => setButtonSpeed(parseInt(e.target.value))}
                 className="slider"
               />
               <div className="slider-bg">
-                <div className="slider-fill" style={{ height: `${motorSpeed}%` }}></div>
+                <div className="slider-fill" style={{ height: `${buttonSpeed}%` }}></div>
               </div>
             </div>
             <div className="speed-info">
               <span className="speed-num">{motorSpeed}%</span>
               <button 
-                className={`dir-btn ${direction === -1 ? 'reverse' : ''}`} 
-                onClick={() => setDirection(d => d === 1 ? -1 : 1)}
+                className={`dir-btn ${buttonDirection === -1 ? 'reverse' : ''}`} 
+                onClick={() => setButtonDirection(d => d === 1 ? -1 : 1)}
               >
-                {direction === 1 ? '⬆ FWD' : '⬇ REV'}
+                {buttonDirection === 1 ? '⬆ FWD' : '⬇ REV'}
               </button>
-              <button className="stop-btn" onClick={() => setMotorSpeed(0)}>STOP</button>
+              <button className="stop-btn" onClick={() => { setButtonSpeed(0); assistRef.current.cancelCruise('brake'); }}>STOP</button>
             </div>
           </div>
           
@@ -878,7 +1854,10 @@ function App() {
         <span className="bar-label right">+90</span>
       </div>
 
-      <div className="terminal">
+      {assistBar}
+      <TelemetryPanel telemetry={telemetry} />
+
+      <div className="terminal" title="Open console" onClick={() => setShowConsole(true)}>
         {logs.slice(-3).map(l => (
           <div key={l.id} className={l.type}>{l.message}</div>
         ))}
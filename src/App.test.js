@@ -1,8 +1,514 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
+import { installMocks } from './mocks';
+import { BRAKE_FRAME } from './protocol';
 
-test('renders learn react link', () => {
+let mocks;
+
+beforeEach(() => {
+  localStorage.clear();
+  mocks = installMocks();
+});
+
+afterEach(() => {
+  mocks.uninstall();
+});
+
+// Lets real time pass in short steps so React commits (and the refs the
+// control loop reads) stay current while frames are being sent
+async function settle(ms) {
+  for (let t = 0; t < ms; t += 50) {
+    await act(() => new Promise(resolve => setTimeout(resolve, 50)));
+  }
+}
+
+function openMode(label) {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByText(label));
+}
+
+async function connectBluetooth() {
+  fireEvent.click(screen.getByText('○ OFF'));
+  fireEvent.click(screen.getByText('BLUETOOTH'));
+  await settle(mocks.bluetooth.firmware.binary ? 200 : 800);
+  expect(screen.getByText('● ON')).toBeInTheDocument();
+}
+
+// jsdom has no layout: give the joystick a 260px base, centred at 130/130
+// (knob travel 100px)
+function joystick() {
+  const base = screen.getByTestId('joystick');
+  base.getBoundingClientRect = () => ({ left: 0, top: 0, width: 260, height: 260, right: 260, bottom: 260 });
+  return {
+    grab: (x, y) => fireEvent.mouseDown(base, { clientX: x, clientY: y }),
+    move: (x, y) => fireEvent.mouseMove(window, { clientX: x, clientY: y }),
+    release: () => fireEvent.mouseUp(window),
+  };
+}
+
+// Steering and speed readouts of the joystick and gamepad screens
+const expectSteering = (text) => expect(screen.getByText(text, { selector: '.joy-num.steer, .gp-num:not(.speed)' })).toBeInTheDocument();
+const expectSpeed = (text) => expect(screen.getByText(text, { selector: '.speed' })).toBeInTheDocument();
+
+test('opens on the control mode selection', () => {
+  render(<App />);
+  expect(screen.getByText('🏎️ KART CONTROLLER')).toBeInTheDocument();
+  expect(screen.getByText('VIRTUAL JOYSTICK')).toBeInTheDocument();
+  expect(screen.getByText('GAMEPAD / WHEEL')).toBeInTheDocument();
+});
+
+describe('frame format', () => {
+  test('legacy firmware gets "angle;speed;dir\\n" text lines', async () => {
+    mocks.bluetooth.firmware.binary = false;
+    openMode('VIRTUAL JOYSTICK');
+    await connectBluetooth();
+
+    const stick = joystick();
+    stick.grab(130, 130);
+    stick.move(180, 130); // half right
+    await settle(300);
+
+    expect(mocks.bluetooth.lines[0]).toBe('?V');
+    expect(mocks.bluetooth.lastFrame()).toEqual({ angle: 135, speed: 0, dir: 0 });
+    const sent = mocks.bluetooth.writes.map(bytes => new TextDecoder().decode(bytes)).join('');
+    expect(sent).toContain('\n135;0;0\n');
+
+    stick.move(130, 230); // full reverse
+    await settle(300);
+    expect(mocks.bluetooth.lastFrame()).toEqual({ angle: 90, speed: 100, dir: -1 });
+  });
+
+  test('binary firmware gets 14-byte frames with a valid CRC', async () => {
+    openMode('VIRTUAL JOYSTICK');
+    await connectBluetooth();
+
+    const stick = joystick();
+    stick.grab(130, 130);
+    stick.move(130, 30); // full forward
+    await settle(300);
+
+    const binary = mocks.bluetooth.writes.filter(bytes => bytes[0] === 0xA5);
+    expect(binary.length).toBeGreaterThan(0);
+    binary.forEach(bytes => expect(bytes).toHaveLength(14));
+    expect(mocks.bluetooth.lastFrame()).toMatchObject({ version: 1, angle: 90, speed: 100, dir: 1 });
+  });
+});
+
+test('disconnect sends a brake frame before closing the link', async () => {
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+
+  const stick = joystick();
+  stick.grab(130, 130);
+  stick.move(230, 130); // full right
+  await settle(300);
+  expect(mocks.bluetooth.lastFrame()).toMatchObject({ angle: 180, speed: 0, dir: 0 });
+  stick.move(130, 30); // full forward
+  await settle(300);
+  expect(mocks.bluetooth.lastFrame()).toMatchObject({ angle: 90, speed: 100, dir: 1 });
+
+  fireEvent.click(screen.getByText('● ON'));
+  await settle(400);
+
+  expect(mocks.bluetooth.lastFrame()).toMatchObject(BRAKE_FRAME);
+  expect(mocks.bluetooth.device.gatt.connected).toBe(false);
+  expect(screen.getByText('○ OFF')).toBeInTheDocument();
+  expectSpeed('0%');
+});
+
+test('a lost link resets the inputs and holds brake after reconnecting', async () => {
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+
+  const stick = joystick();
+  stick.grab(130, 130);
+  stick.move(130, 30); // full forward
+  await settle(300);
+  expectSpeed('100%');
+
+  act(() => mocks.bluetooth.drop());
+  await settle(100);
+
+  expect(screen.getByText('⚠️ Safety: Wheels straight, speed 0')).toBeInTheDocument();
+  expectSteering('0');
+  expectSpeed('0%');
+
+  // Comes back on the first retry, but only brake frames go out until re-armed
+  await settle(800);
+  expect(screen.getByText('⚠️ RECONNECTED - HOLDING BRAKE')).toBeInTheDocument();
+  const sentAfterReconnect = mocks.bluetooth.frames.length;
+  stick.move(130, 30);
+  await settle(400);
+  expect(mocks.bluetooth.frames.length).toBeGreaterThan(sentAfterReconnect);
+  mocks.bluetooth.frames.slice(sentAfterReconnect).forEach(frame => expect(frame).toMatchObject(BRAKE_FRAME));
+});
+
+test('unplugging the gamepad resets steering and speed', async () => {
+  openMode('GAMEPAD / WHEEL');
+  act(() => {
+    mocks.gamepads.connect(0);
+    mocks.gamepads.setAxis(0, 0, 1); // full right
+    mocks.gamepads.setButton(0, 7, 1); // R2 full throttle
+  });
+  await settle(600);
+
+  expect(screen.getByText(/Controller Connected/)).toBeInTheDocument();
+  expectSteering('+90');
+  expectSpeed('100%');
+
+  act(() => mocks.gamepads.disconnect(0));
+  await settle(100);
+
+  expect(screen.getByText('🎮 Press any button on controller...')).toBeInTheDocument();
+  expectSteering('0');
+  expectSpeed('0%');
+});
+
+test('releasing the joystick returns to neutral and the kart gets a brake frame', async () => {
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+
+  const stick = joystick();
+  stick.grab(130, 130);
+  stick.move(30, 130); // full left
+  await settle(300);
+  expectSteering('-90');
+  expect(mocks.bluetooth.lastFrame()).toMatchObject({ angle: 0, speed: 0, dir: 0 });
+  stick.move(30, 30);
+  await settle(300);
+  expect(mocks.bluetooth.lastFrame()).toMatchObject({ angle: 26, dir: 1 });
+
+  stick.release();
+  await settle(300);
+
+  expect(screen.getByTestId('joystick-knob')).toHaveStyle({ transform: 'translate(-50%, -50%)' });
+  expectSteering('0');
+  expectSpeed('0%');
+  expect(mocks.bluetooth.lastFrame()).toMatchObject(BRAKE_FRAME);
+});
+
+test('the console sends raw commands to the kart and keeps a history', async () => {
+  mocks.bluetooth.firmware.binary = false;
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+
+  fireEvent.click(screen.getByTitle('Console'));
+  const input = screen.getByPlaceholderText('RAW COMMAND (↑/↓ HISTORY)');
+  fireEvent.change(input, { target: { value: 'CAL?' } });
+  fireEvent.click(screen.getByText('SEND'));
+  await settle(100);
+
+  expect(mocks.bluetooth.lines).toContain('CAL?');
+  expect(screen.getByText('> CAL?', { selector: '.console-log div', exact: false })).toBeInTheDocument();
+  expect(input).toHaveValue('');
+
+  act(() => mocks.bluetooth.notify('CAL:trim=0'));
+  await settle(50);
+  expect(screen.getByText('CAL:trim=0', { selector: '.console-log div', exact: false })).toBeInTheDocument();
+
+  fireEvent.keyDown(input, { key: 'ArrowUp' });
+  expect(input).toHaveValue('CAL?');
+
+  // Only the kart's replies
+  fireEvent.click(screen.getByText('OUT'));
+  fireEvent.click(screen.getByText('SYS'));
+  expect(screen.queryByText('> CAL?', { selector: '.console-log div', exact: false })).not.toBeInTheDocument();
+  expect(screen.getByText('CAL:trim=0', { selector: '.console-log div', exact: false })).toBeInTheDocument();
+});
+
+test('kart settings are read from the schema, range-checked, written and saved', async () => {
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+
+  fireEvent.click(screen.getByTitle('Kart settings'));
+  await settle(200);
+  expect(screen.getByText('9 parameters')).toBeInTheDocument();
+
+  const maxPwm = screen.getByLabelText(/MAX PWM/);
+  fireEvent.change(maxPwm, { target: { value: '300' } });
+  expect(screen.getByText('Max 255')).toBeInTheDocument();
+  expect(screen.getByText('WRITE (1)')).toBeDisabled();
+
+  fireEvent.change(maxPwm, { target: { value: '200' } });
+  fireEvent.click(screen.getByLabelText(/REVERSE ALLOWED/));
+  fireEvent.click(screen.getByText('WRITE (2)'));
+  await settle(200);
+
+  expect(screen.getByText('Wrote 2 of 2')).toBeInTheDocument();
+  expect(mocks.bluetooth.params.values()).toMatchObject({ maxPwm: 200, reverse: false });
+  expect(mocks.bluetooth.params.saved()).toMatchObject({ maxPwm: 255, reverse: true });
+
+  fireEvent.click(screen.getByText('SAVE TO EEPROM'));
+  await settle(100);
+  expect(screen.getByText('Saved to EEPROM')).toBeInTheDocument();
+  expect(mocks.bluetooth.params.saved()).toMatchObject({ maxPwm: 200, reverse: false });
+
+  // The schema and replies stay out of the log
+  fireEvent.click(screen.getByText('✕'));
+  fireEvent.click(screen.getByTitle('Console'));
+  expect(screen.queryByText(/PDEF:|PVAL:|PSAVED/, { selector: '.console-log div' })).not.toBeInTheDocument();
+});
+
+test('a firmware update waits for the kart to stop, resumes after a dropped link and reboots once verified', async () => {
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+  const stick = joystick();
+  stick.grab(130, 130);
+  stick.move(130, 30);
+  await settle(200);
+
+  fireEvent.click(screen.getByTitle('Firmware update'));
+  const image = Uint8Array.from({ length: 2048 }, (_, i) => (i * 7) & 0xFF);
+  fireEvent.change(screen.getByLabelText('Firmware image'), { target: { files: [new File([image], 'kart.bin')] } });
+  await settle(100);
+  expect(screen.getByText('Stop the kart before updating.')).toBeInTheDocument();
+  expect(screen.getByText('START UPDATE')).toBeDisabled();
+
+  stick.release();
+  await settle(200);
+  fireEvent.click(screen.getByText('START UPDATE'));
+  for (let t = 0; t < 3000 && mocks.bluetooth.ota.received() < 512; t += 50) await settle(50);
+  expect(mocks.bluetooth.lastFrame()).toMatchObject(BRAKE_FRAME);
+
+  act(() => mocks.bluetooth.drop());
+  await settle(100);
+  const kept = mocks.bluetooth.ota.received();
+  expect(kept).toBeGreaterThan(0);
+  expect(screen.getByText(/LINK LOST - WILL RESUME ON RECONNECT/)).toBeInTheDocument();
+
+  for (let t = 0; t < 5000 && !mocks.bluetooth.ota.installed(); t += 50) await settle(50);
+  expect(Array.from(mocks.bluetooth.ota.installed())).toEqual(Array.from(image));
+  // Started again after the reconnect, from the kart's offset rather than 0
+  expect(mocks.bluetooth.lines.filter(l => l.startsWith('OTA:BEGIN'))).toHaveLength(2);
+  expect(mocks.bluetooth.lines.filter(l => l.startsWith('OTA:D 0 '))).toHaveLength(1);
+  expect(mocks.bluetooth.lines.some(l => l.startsWith(`OTA:D ${kept} `))).toBe(true);
+  expect(await screen.findByText('✅ INSTALLED')).toBeInTheDocument();
+  expect(mocks.bluetooth.lines.indexOf('OTA:END')).toBeLessThan(mocks.bluetooth.lines.indexOf('OTA:BOOT'));
+});
+
+test('cruise holds the speed after the trigger is released and lets go on the brake', async () => {
+  openMode('GAMEPAD / WHEEL');
+  act(() => {
+    mocks.gamepads.connect(0);
+    mocks.gamepads.setButton(0, 7, 0.6); // R2 at 60 %
+  });
+  await settle(300);
+  expectSpeed('60%');
+
+  act(() => mocks.gamepads.setButton(0, 5, 1)); // R1
+  await settle(100);
+  act(() => {
+    mocks.gamepads.setButton(0, 5, 0);
+    mocks.gamepads.setButton(0, 7, 0);
+  });
+  await settle(300);
+  expect(screen.getByText('⏩ Cruise 60%')).toBeInTheDocument();
+  expectSpeed('60%');
+
+  act(() => mocks.gamepads.setButton(0, 6, 0.5)); // L2
+  await settle(200);
+  expect(screen.getByText('⏩ Cruise off (brake)')).toBeInTheDocument();
+  expectSpeed('50%');
+});
+
+test('beacon laps are timed from the first crossing, double triggers ignored, and the result saved', async () => {
+  localStorage.setItem('kart.race', JSON.stringify({ driver: 'Ana', laps: 1, countdown: false }));
+  mocks.bluetooth.firmware.binary = false;
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+
+  fireEvent.click(screen.getByTitle('Race'));
+  fireEvent.click(screen.getByText('▶ START RACE'));
+  expect(screen.getByText('CROSS THE LINE TO START')).toBeInTheDocument();
+
+  act(() => mocks.bluetooth.notify('LAP:1'));
+  await settle(100);
+  expect(screen.getByText('LAP 1/1')).toBeInTheDocument();
+  act(() => mocks.bluetooth.notify('LAP:1')); // same crossing, fired twice
+  await settle(2100);
+  expect(screen.getByText('LAP 1/1')).toBeInTheDocument();
+
+  act(() => mocks.bluetooth.notify('LAP:1'));
+  await settle(100);
+  expect(screen.getByText(/🏁 FINISHED · BEST 0:02\.\d{3}/)).toBeInTheDocument();
+
+  const board = JSON.parse(localStorage.getItem('kart.leaderboard'));
+  expect(board).toHaveLength(1);
+  expect(board[0]).toMatchObject({ driver: 'Ana', laps: [expect.any(Number)] });
+  expect(board[0].best).toBeGreaterThanOrEqual(2000);
+
+  fireEvent.click(screen.getByText('RESULTS'));
+  expect(screen.getByText('Ana')).toBeInTheDocument();
+});
+
+test('a kart moving during the countdown is a false start even when a gamepad, not the screen, drives it', async () => {
+  localStorage.setItem('kart.race', JSON.stringify({ driver: 'Ana', laps: 1, countdown: true }));
+  mocks.bluetooth.firmware.binary = false;
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+  act(() => mocks.gamepads.connect(0));
+  await settle(100);
+
+  fireEvent.click(screen.getByTitle('Karts'));
+  fireEvent.change(screen.getByDisplayValue('📱 THIS SCREEN'), { target: { value: 'pad:0' } });
+  fireEvent.click(screen.getAllByText('✕')[0]); // close, not disconnect
+
+  fireEvent.click(screen.getByTitle('Race'));
+  fireEvent.click(screen.getByText('▶ START RACE'));
+  await settle(500);
+  act(() => mocks.gamepads.setButton(0, 7, 1)); // R2 full throttle
+  await settle(300);
+
+  expectSpeed('0%');
+  expect(screen.getByText('🚩 FALSE START')).toBeInTheDocument();
+});
+
+test('a remote app drives through the bridge phone, which brakes over the latency cap and when the relay drops', async () => {
+  localStorage.setItem('kart.bridge', JSON.stringify({ url: 'ws://relay.test:8787', latencyCap: 100 }));
+  localStorage.setItem('kart.wsUrl', 'ws://relay.test:8787');
+  mocks.bluetooth.firmware.binary = false;
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+
+  // This phone bridges the Bluetooth kart...
+  fireEvent.click(screen.getByTitle('Remote bridge'));
+  fireEvent.click(screen.getByText('START BRIDGE'));
+  await settle(100);
+  expect(screen.getByText('ON THE RELAY')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('✕'));
+
+  // ...and, as the remote, drives it over the relay with the joystick
+  fireEvent.click(screen.getByTitle('Karts'));
+  fireEvent.click(screen.getByText('+ ADD KART'));
+  fireEvent.click(screen.getByText('REMOTE (RELAY)'));
+  await settle(800);
+
+  const stick = joystick();
+  stick.grab(130, 130);
+  stick.move(130, 30); // full forward
+  await settle(300);
+  expect(mocks.bluetooth.lastFrame()).toEqual({ angle: 90, speed: 100, dir: 1 });
+
+  mocks.relay.relay.delay = 150; // 300 ms round trip
+  await settle(1200);
+  expect(mocks.bluetooth.lastFrame()).toEqual(BRAKE_FRAME);
+
+  // Latency is back, but the stick has to be let go before driving again
+  mocks.relay.relay.delay = 0;
+  await settle(1500);
+  expect(mocks.bluetooth.lastFrame()).toEqual(BRAKE_FRAME);
+  stick.release();
+  await settle(300);
+  stick.grab(130, 130);
+  stick.move(130, 30);
+  await settle(300);
+  expect(mocks.bluetooth.lastFrame()).toEqual({ angle: 90, speed: 100, dir: 1 });
+
+  mocks.relay.relay.up = false;
+  act(() => mocks.relay.drop('bridge'));
+  await settle(200);
+  expect(mocks.bluetooth.lastFrame()).toEqual(BRAKE_FRAME);
+}, 10000);
+
+test('a differential profile mixes into left;right and a custom template formats the frame', async () => {
+  mocks.bluetooth.firmware.binary = false;
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+  const lastLine = () => mocks.bluetooth.lines.filter(line => !/^(P:\d+|\?V)$/.test(line)).pop();
+
+  fireEvent.click(screen.getByTitle('Vehicle profile'));
+  fireEvent.change(screen.getByDisplayValue('SERVO + MOTOR'), { target: { value: 'differential' } });
+  fireEvent.click(screen.getByLabelText('SPIN IN PLACE WHEN STEERING WITHOUT THROTTLE'));
+  fireEvent.click(screen.getByText('✕'));
+
+  const stick = joystick();
+  stick.grab(130, 130);
+  stick.move(230, 130); // full right, no throttle: spin in place
+  await settle(300);
+  expect(lastLine()).toBe('100;-100');
+
+  fireEvent.click(screen.getByTitle('Vehicle profile'));
+  fireEvent.change(screen.getByDisplayValue('DIFFERENTIAL (TANK)'), { target: { value: 'custom' } });
+  fireEvent.change(screen.getByPlaceholderText('{angle};{speed};{dir}'), { target: { value: 'S{angle}M{bogus}' } });
+  expect(screen.getByText('Unknown field {bogus}')).toBeInTheDocument();
+  fireEvent.change(screen.getByPlaceholderText('{angle};{speed};{dir}'), { target: { value: 'S{angle}L{left}' } });
+  fireEvent.click(screen.getByText('✕'));
+  await settle(300);
+  expect(lastLine()).toBe('S180L100');
+
+  stick.release();
+  await settle(300);
+  expect(lastLine()).toBe('S90L0');
+
+  // An e-stop brakes both motors, however the stick is held
+  fireEvent.click(screen.getByTitle('Vehicle profile'));
+  fireEvent.change(screen.getByDisplayValue('CUSTOM TEMPLATE'), { target: { value: 'differential' } });
+  fireEvent.click(screen.getByText('✕'));
+  stick.grab(130, 130);
+  stick.move(230, 130);
+  await settle(300);
+  expect(lastLine()).toBe('100;-100');
+  fireEvent.pointerDown(screen.getByTitle('Emergency stop'));
+  await settle(300);
+  expect(lastLine()).toBe('0;0');
+}, 10000);
+
+test('the FPV view shows the kart camera behind the joystick with a HUD', async () => {
+  openMode('VIRTUAL JOYSTICK');
+  await connectBluetooth();
+
+  fireEvent.click(screen.getByTitle('FPV camera')); // no stream yet: opens the settings
+  expect(screen.getByText('▶ START FPV')).toBeDisabled();
+  fireEvent.change(screen.getByPlaceholderText('http://192.168.4.2:81/stream'), { target: { value: 'http://cam.local:81/stream' } });
+  fireEvent.click(screen.getByText('▶ START FPV'));
+  expect(screen.getByAltText('FPV camera')).toHaveAttribute('src', 'http://cam.local:81/stream');
+
+  const stick = joystick();
+  stick.grab(130, 130);
+  stick.move(130, 30); // full forward
+  await settle(200);
+  expect(screen.getByText('FWD', { selector: '.fpv-hud-label' })).toBeInTheDocument();
+  expect(screen.getByText('100%', { selector: '.fpv-hud-value' })).toBeInTheDocument();
+  stick.release();
+
+  fireEvent.click(screen.getByTitle('FPV camera'));
+  expect(screen.queryByAltText('FPV camera')).not.toBeInTheDocument();
+});
+
+test('stopping a maneuver brakes instead of handing back to the input it interrupted', async () => {
+  openMode('TOUCH BUTTONS');
+  await connectBluetooth();
+  fireEvent.change(screen.getByRole('slider'), { target: { value: '50' } });
+  await settle(200);
+  expect(mocks.bluetooth.lastFrame()).toMatchObject({ speed: 50, dir: 1 });
+
+  fireEvent.click(screen.getByTitle('Maneuvers'));
+  fireEvent.click(screen.getByText('▶ RUN'));
+  await settle(200);
+  fireEvent.click(screen.getByText('■ STOP'));
+  await settle(200);
+  expect(mocks.bluetooth.lastFrame()).toMatchObject({ speed: 0 });
+  expect(screen.getByRole('slider')).toHaveValue('0');
+});
+
+test('a maneuver that runs to the end leaves the kart braking, not back on the old input', async () => {
+  openMode('TOUCH BUTTONS');
+  await connectBluetooth();
+  fireEvent.change(screen.getByRole('slider'), { target: { value: '50' } });
+
+  fireEvent.click(screen.getByTitle('Maneuvers'));
+  fireEvent.change(screen.getByRole('combobox'), { target: { value: 'ACCEL TEST 0-100' } });
+  // Two short steps, the last one still driving at 80%
+  const [duration1, , , duration2, , speed2] = screen.getAllByRole('spinbutton');
+  fireEvent.change(duration1, { target: { value: '200' } });
+  fireEvent.change(duration2, { target: { value: '200' } });
+  fireEvent.change(speed2, { target: { value: '80' } });
+  fireEvent.click(screen.getByText('▶ RUN'));
+  await settle(200);
+  expect(mocks.bluetooth.lastFrame().speed).toBeGreaterThan(0);
+
+  await settle(600);
+  expect(screen.queryByText('■ STOP')).not.toBeInTheDocument();
+  expect(mocks.bluetooth.lastFrame()).toMatchObject({ speed: 0 });
+  expect(screen.getByRole('slider')).toHaveValue('0');
 });
@@ -0,0 +1,65 @@
+// Per-kart calibration, applied to every control frame in the output stage
+//
+//   trim            servo centre offset in degrees (-30..30)
+//   leftLimit       max servo throw to the left of centre, degrees (0..90)
+//   rightLimit      max servo throw to the right of centre, degrees (0..90)
+//   invertSteering  swap left/right for servos mounted the other way round
+//   minPwm          deadband start: lowest speed that actually moves the motor
+//   maxPwm          top speed cap (forward)
+//   reverseCap      top speed cap in reverse
+//
+// Profiles are stored per kart (link name); "default" is used for karts
+// without their own profile.
+
+export const DEFAULT_KART = 'default';
+const STORAGE_KEY = 'kart.calibration';
+
+export const DEFAULT_CALIBRATION = {
+  trim: 0,
+  leftLimit: 90,
+  rightLimit: 90,
+  invertSteering: false,
+  minPwm: 0,
+  maxPwm: 100,
+  reverseCap: 100,
+};
+
+export function loadCalibrations() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveCalibrations(calibrations) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(calibrations));
+}
+
+export function calibrationFor(kartName, calibrations) {
+  return { ...DEFAULT_CALIBRATION, ...(calibrations[DEFAULT_KART] || {}), ...(kartName && calibrations[kartName] ? calibrations[kartName] : {}) };
+}
+
+// Servo angle (0..180, 90 = straight) after trim, limits and inversion
+export function calibrateAngle(angle, cal) {
+  let steer = angle - 90; // -90 (left) .. 90 (right)
+  if (cal.invertSteering) steer = -steer;
+  const throw_ = steer < 0 ? (steer / 90) * cal.leftLimit : (steer / 90) * cal.rightLimit;
+  return Math.round(Math.max(0, Math.min(180, 90 + cal.trim + throw_)));
+}
+
+// Motor speed (0..100) rescaled into minPwm..cap; 0 stays 0
+export function calibrateSpeed(speed, dir, cal) {
+  if (speed <= 0 || dir === 0) return 0;
+  const cap = dir < 0 ? Math.min(cal.maxPwm, cal.reverseCap) : cal.maxPwm;
+  const min = Math.min(cal.minPwm, cap);
+  return Math.round(min + (Math.min(100, speed) / 100) * (cap - min));
+}
+
+export function applyCalibration(frame, cal) {
+  return {
+    ...frame,
+    angle: calibrateAngle(frame.angle, cal),
+    speed: calibrateSpeed(frame.speed, frame.dir, cal),
+  };
+}
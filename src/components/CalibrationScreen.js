@@ -0,0 +1,119 @@
+import { DEFAULT_CALIBRATION, calibrateAngle, calibrateSpeed } from '../calibration';
+import { encodeTextFrame } from '../protocol';
+import { formatVehicleFrame } from '../vehicleProfiles';
+
+const FIELDS = [
+  { key: 'trim', label: 'SERVO TRIM', min: -30, max: 30, unit: '°' },
+  { key: 'leftLimit', label: 'LEFT LIMIT', min: 0, max: 90, unit: '°' },
+  { key: 'rightLimit', label: 'RIGHT LIMIT', min: 0, max: 90, unit: '°' },
+  { key: 'minPwm', label: 'MIN PWM (DEADBAND)', min: 0, max: 60, unit: '%' },
+  { key: 'maxPwm', label: 'MAX PWM', min: 10, max: 100, unit: '%' },
+  { key: 'reverseCap', label: 'REVERSE CAP', min: 0, max: 100, unit: '%' },
+];
+
+// Servo sweep drawn as an arc: limits, centre and the live output angle
+function ServoPreview({ calibration, angle }) {
+  const point = (deg, r) => {
+    const rad = Math.PI * (1 - deg / 180);
+    return [50 + r * Math.cos(rad), 50 - r * Math.sin(rad)];
+  };
+  const left = calibrateAngle(0, calibration);
+  const right = calibrateAngle(180, calibration);
+  const center = calibrateAngle(90, calibration);
+  const [lx, ly] = point(left, 40);
+  const [rx, ry] = point(right, 40);
+  const [cx, cy] = point(center, 44);
+  const [ax, ay] = point(angle, 36);
+
+  return (
+    <svg className="servo-preview" viewBox="0 0 100 54">
+      <path className="servo-track" d="M 10 50 A 40 40 0 0 1 90 50" />
+      <path className="servo-range" d={`M ${lx} ${ly} A 40 40 0 0 ${left < right ? 1 : 0} ${rx} ${ry}`} />
+      <line className="servo-center" x1="50" y1="50" x2={cx} y2={cy} />
+      <line className="servo-needle" x1="50" y1="50" x2={ax} y2={ay} />
+      <text x="50" y="53" className="servo-label">{angle}°</text>
+    </svg>
+  );
+}
+
+// Calibration editor with live preview; while open, the preview sliders drive
+// the kart so trim and limits can be set against the real servo
+function CalibrationScreen({ kartName, calibration, profile, onChange, preview, onPreviewChange, onClose }) {
+  const set = (key, value) => onChange({ ...calibration, [key]: value });
+  const angle = calibrateAngle(preview.steering + 90, calibration);
+  const speed = calibrateSpeed(preview.speed, preview.direction, calibration);
+  const output = { angle, speed, dir: speed === 0 ? 0 : preview.direction };
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🔧 CALIBRATION · {kartName}</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="calibration-body">
+          <div className="calibration-fields">
+            {FIELDS.map(f => (
+              <label key={f.key} className="calibration-field">
+                <span>{f.label}</span>
+                <input
+                  type="range"
+                  min={f.min}
+                  max={f.max}
+                  value={calibration[f.key]}
+                  onChange={(e) => set(f.key, parseInt(e.target.value, 10))}
+                />
+                <span className="calibration-value">{calibration[f.key]}{f.unit}</span>
+              </label>
+            ))}
+            <label className="link-toggle">
+              <input
+                type="checkbox"
+                checked={calibration.invertSteering}
+                onChange={(e) => set('invertSteering', e.target.checked)}
+              />
+              INVERT SERVO DIRECTION
+            </label>
+          </div>
+
+          <div className="calibration-preview">
+            <ServoPreview calibration={calibration} angle={angle} />
+            <label className="calibration-field">
+              <span>TEST STEERING</span>
+              <input
+                type="range" min="-90" max="90"
+                value={preview.steering}
+                onChange={(e) => onPreviewChange({ ...preview, steering: parseInt(e.target.value, 10) })}
+              />
+            </label>
+            <label className="calibration-field">
+              <span>TEST SPEED</span>
+              <input
+                type="range" min="0" max="100"
+                value={preview.speed}
+                onChange={(e) => onPreviewChange({ ...preview, speed: parseInt(e.target.value, 10) })}
+              />
+            </label>
+            <div className="wizard-actions">
+              <button
+                className={`dir-btn ${preview.direction === -1 ? 'reverse' : ''}`}
+                onClick={() => onPreviewChange({ ...preview, direction: preview.direction === 1 ? -1 : 1 })}
+              >
+                {preview.direction === 1 ? '⬆ FWD' : '⬇ REV'}
+              </button>
+              <button className="stop-btn" onClick={() => onPreviewChange({ ...preview, speed: 0 })}>STOP</button>
+            </div>
+            <span className="setup-hint">OUTPUT: {formatVehicleFrame(profile, output, { centre: 90 + calibration.trim }) ?? encodeTextFrame(output)}</span>
+          </div>
+        </div>
+
+        <div className="wizard-actions">
+          <button className="back-btn" onClick={() => onChange({ ...DEFAULT_CALIBRATION })}>RESET</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalibrationScreen;
@@ -0,0 +1,151 @@
+import { useState, useRef, useEffect } from 'react';
+import { LOG_KINDS, filterLogs, formatLogTime, loadCommandHistory, logKind, logsToText, pushHistory, saveCommandHistory } from '../devConsole';
+import { downloadFile } from '../download';
+
+// Full log with in/out/system filters and search, raw command entry (↑/↓ walk
+// the history) and quick-command buttons; commands go to the selected kart
+function DevConsole({ logs, canSend, target, onSend, onClear, quickCommands, onQuickCommandsChange, onClose }) {
+  const [kinds, setKinds] = useState(LOG_KINDS.map(k => k.key));
+  const [search, setSearch] = useState('');
+  const [command, setCommand] = useState('');
+  const [history, setHistory] = useState(loadCommandHistory);
+  const [historyIndex, setHistoryIndex] = useState(null);
+  const [editQuick, setEditQuick] = useState(false);
+  const logRef = useRef(null);
+  const followRef = useRef(true);
+
+  const shown = filterLogs(logs, kinds, search);
+
+  useEffect(() => {
+    saveCommandHistory(history);
+  }, [history]);
+
+  // Stay at the newest line unless the user scrolled up to read
+  useEffect(() => {
+    const el = logRef.current;
+    if (el && followRef.current) el.scrollTop = el.scrollHeight;
+  }, [shown.length]);
+
+  const handleScroll = () => {
+    const el = logRef.current;
+    followRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < 20;
+  };
+
+  const toggleKind = (key) => setKinds(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+
+  const send = (text) => {
+    if (!text.trim() || !canSend) return;
+    onSend(text);
+    setHistory(prev => pushHistory(prev, text));
+    setHistoryIndex(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    send(command);
+    if (canSend) setCommand('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    if (!history.length) return;
+    e.preventDefault();
+    let next;
+    if (e.key === 'ArrowUp') next = historyIndex === null ? history.length - 1 : Math.max(0, historyIndex - 1);
+    else next = historyIndex === null || historyIndex >= history.length - 1 ? null : historyIndex + 1;
+    setHistoryIndex(next);
+    setCommand(next === null ? '' : history[next]);
+  };
+
+  const addQuick = () => {
+    const text = command.trim();
+    if (!text || quickCommands.some(q => q.command === text)) return;
+    onQuickCommandsChange([...quickCommands, { label: text, command: text }]);
+  };
+
+  const exportLogs = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(`kart-log-${stamp}.txt`, logsToText(shown), 'text/plain');
+  };
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel console-panel">
+        <div className="setup-header">
+          <span className="setup-title">🖥 CONSOLE{target && ` · ${target}`}</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="console-toolbar">
+          {LOG_KINDS.map(k => (
+            <button
+              key={k.key}
+              className={`console-filter ${k.key} ${kinds.includes(k.key) ? 'active' : ''}`}
+              onClick={() => toggleKind(k.key)}
+            >
+              {k.label}
+            </button>
+          ))}
+          <input
+            className="setup-select console-search"
+            placeholder="FILTER"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <span className="setup-hint">{shown.length}/{logs.length}</span>
+          <button className="back-btn" disabled={!logs.length} onClick={onClear}>CLEAR</button>
+          <button className="reset-btn" disabled={!shown.length} onClick={exportLogs}>EXPORT</button>
+        </div>
+
+        <div className="console-log" ref={logRef} onScroll={handleScroll}>
+          {shown.map(l => (
+            <div key={l.id} className={logKind(l)}>
+              <span className="console-time">{formatLogTime(l.time)}</span>
+              {logKind(l) === 'out' ? '> ' : ''}{l.message}
+            </div>
+          ))}
+        </div>
+
+        <div className="console-quick">
+          {quickCommands.map((q, i) => (editQuick ? (
+            <span key={i} className="console-quick-edit">
+              <input
+                className="setup-select"
+                value={q.label}
+                title={q.command}
+                onChange={(e) => onQuickCommandsChange(quickCommands.map((c, j) => (j === i ? { ...c, label: e.target.value } : c)))}
+              />
+              <button className="back-btn" onClick={() => onQuickCommandsChange(quickCommands.filter((_, j) => j !== i))}>✕</button>
+            </span>
+          ) : (
+            <button key={i} className="reset-btn" title={q.command} disabled={!canSend} onClick={() => send(q.command)}>
+              {q.label}
+            </button>
+          )))}
+          <button className="back-btn" disabled={!command.trim()} title="Save the command as a button" onClick={addQuick}>+ QUICK</button>
+          {quickCommands.length > 0 && (
+            <button className="back-btn" onClick={() => setEditQuick(e => !e)}>
+              {editQuick ? 'DONE' : '✎'}
+            </button>
+          )}
+        </div>
+
+        <form className="console-input" onSubmit={handleSubmit}>
+          <input
+            className="setup-select"
+            placeholder={canSend ? 'RAW COMMAND (↑/↓ HISTORY)' : 'NOT CONNECTED'}
+            value={command}
+            autoCapitalize="off"
+            autoCorrect="off"
+            spellCheck={false}
+            onChange={(e) => { setCommand(e.target.value); setHistoryIndex(null); }}
+            onKeyDown={handleKeyDown}
+          />
+          <button type="submit" className="unlock-btn" disabled={!canSend || !command.trim()}>SEND</button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default DevConsole;
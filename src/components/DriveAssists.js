@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { ASSIST_FIELDS, DEFAULT_ASSISTS, launchLimit } from '../driveAssist';
+
+// Throttle cap over the launch ramp
+function LaunchGraph({ settings }) {
+  const points = [];
+  for (let i = 0; i <= 40; i++) {
+    const p = i / 40;
+    points.push(`${(5 + p * 90).toFixed(1)},${(95 - launchLimit(p, settings) * 90).toFixed(1)}`);
+  }
+  return (
+    <svg className="curve-graph" viewBox="0 0 100 100">
+      <line className="curve-axis" x1="5" y1="95" x2="95" y2="95" />
+      <line className="curve-axis" x1="5" y1="5" x2="5" y2="95" />
+      <line className="curve-linear" x1="5" y1="95" x2="95" y2="5" />
+      <polyline className="curve-throttle" points={points.join(' ')} />
+    </svg>
+  );
+}
+
+// Cruise / launch / traction buttons under the drive controls, lit while the
+// assist is doing something; ⚙ opens their settings
+function DriveAssists({ settings, status, onChange, onToggleCruise }) {
+  const [showSettings, setShowSettings] = useState(false);
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="assist-bar">
+      <button className={`assist-btn ${status.cruise ? 'engaged' : ''}`} title="Cruise control (R1 / C)" onClick={onToggleCruise}>
+        ⏩ CRUISE
+      </button>
+      <button
+        className={`assist-btn ${settings.launch ? 'on' : ''} ${status.launch ? 'engaged' : ''}`}
+        title="Launch control"
+        onClick={() => update({ launch: !settings.launch })}
+      >
+        🚀 LAUNCH
+      </button>
+      <button
+        className={`assist-btn ${settings.traction ? 'on' : ''} ${status.traction ? 'engaged' : ''}`}
+        title="Traction control"
+        onClick={() => update({ traction: !settings.traction })}
+      >
+        🛞 TC
+      </button>
+      <button className="assist-btn" title="Assist settings" onClick={() => setShowSettings(true)}>⚙</button>
+
+      {showSettings && (
+        <div className="setup-backdrop">
+          <div className="setup-panel">
+            <div className="setup-header">
+              <span className="setup-title">⏩ DRIVE ASSISTS</span>
+              <button className="back-btn" onClick={() => setShowSettings(false)}>✕</button>
+            </div>
+
+            <div className="calibration-body">
+              <div className="calibration-fields">
+                {ASSIST_FIELDS.map(f => (
+                  <label key={f.key} className="calibration-field">
+                    <span>{f.label}</span>
+                    <input
+                      type="range"
+                      min={f.min}
+                      max={f.max}
+                      step={f.step}
+                      value={settings[f.key]}
+                      onChange={(e) => update({ [f.key]: parseFloat(e.target.value) })}
+                    />
+                    <span className="calibration-value">
+                      {f.unit ? `${settings[f.key]}${f.unit}` : settings[f.key].toFixed(2)}
+                    </span>
+                  </label>
+                ))}
+              </div>
+
+              <div className="calibration-preview">
+                <LaunchGraph settings={settings} />
+                <span className="setup-hint"><span className="legend throttle">■</span> LAUNCH THROTTLE CAP</span>
+              </div>
+            </div>
+
+            <span className="setup-hint">
+              Cruise holds the throttle until you brake or press the throttle again.
+              Traction control needs the kart to report RPM.
+            </span>
+
+            <div className="wizard-actions">
+              <button
+                className="back-btn"
+                onClick={() => update(Object.fromEntries(ASSIST_FIELDS.map(f => [f.key, DEFAULT_ASSISTS[f.key]])))}
+              >
+                DEFAULT
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DriveAssists;
@@ -0,0 +1,56 @@
+import { useState, useRef, useEffect } from 'react';
+import { ESTOP_SOURCES, HOLD_TO_ARM, formatEstopTime } from '../estop';
+
+// Latched e-stop screen; re-arming takes an unbroken HOLD_TO_ARM press
+function EStopOverlay({ estop, onRearm }) {
+  const [progress, setProgress] = useState(0);
+  const holdRef = useRef(null);
+
+  const cancel = () => {
+    if (holdRef.current) cancelAnimationFrame(holdRef.current);
+    holdRef.current = null;
+    setProgress(0);
+  };
+
+  const start = (e) => {
+    e.preventDefault();
+    const began = performance.now();
+    const step = () => {
+      const p = Math.min(1, (performance.now() - began) / HOLD_TO_ARM);
+      setProgress(p);
+      if (p >= 1) {
+        holdRef.current = null;
+        onRearm();
+        return;
+      }
+      holdRef.current = requestAnimationFrame(step);
+    };
+    holdRef.current = requestAnimationFrame(step);
+  };
+
+  useEffect(() => () => {
+    if (holdRef.current) cancelAnimationFrame(holdRef.current);
+  }, []);
+
+  return (
+    <div className="estop-overlay">
+      <span className="estop-title">⛔ EMERGENCY STOP</span>
+      <span className="setup-hint">
+        {ESTOP_SOURCES[estop.source]} · {formatEstopTime(estop.time)} · all karts braking
+      </span>
+      <button
+        className="estop-arm-btn"
+        onPointerDown={start}
+        onPointerUp={cancel}
+        onPointerLeave={cancel}
+        onPointerCancel={cancel}
+        onContextMenu={(e) => e.preventDefault()}
+      >
+        <span className="estop-arm-fill" style={{ width: `${progress * 100}%` }} />
+        <span className="estop-arm-label">HOLD TO RE-ARM</span>
+      </button>
+    </div>
+  );
+}
+
+export default EStopOverlay;
@@ -0,0 +1,197 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { blockSizeFor, crc32, createOtaSession } from '../firmwareUpdate';
+import { readFileBytes } from '../download';
+import { LINK_STATES } from '../kartLink';
+
+const PHASE_LABELS = {
+  sending: 'SENDING',
+  paused: 'LINK LOST - WILL RESUME ON RECONNECT',
+  verifying: 'VERIFYING',
+  rebooting: 'REBOOTING',
+  done: 'DONE',
+};
+const RUNNING = ['sending', 'paused', 'verifying', 'rebooting'];
+
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+// Streams a .bin image to the selected kart in acknowledged blocks, resumes
+// after a dropped link and only reboots the kart once it has checked the image.
+// Output is held at brake for the whole update.
+function FirmwareUpdate({ link, kartName, connected, moving, log, onClose }) {
+  const [file, setFile] = useState(null);
+  const [phase, setPhase] = useState(null);
+  const [sent, setSent] = useState(0);
+  const [error, setError] = useState(null);
+  const sessionRef = useRef(null);
+  const cancelledRef = useRef(false);
+  const fileRef = useRef(null);
+  // Hold the link was under before the update took it over
+  const priorHoldRef = useRef(null);
+
+  useEffect(() => {
+    if (!link) return;
+    const session = createOtaSession((line) => link.send(line + '\n'));
+    const handleLine = (line) => session.handleLine(line);
+    const handleLost = () => session.interrupt(Object.assign(new Error('Connection lost'), { lost: true }));
+    link.on('line', handleLine);
+    link.on('lost', handleLost);
+    sessionRef.current = session;
+    return () => {
+      link.off('line', handleLine);
+      link.off('lost', handleLost);
+      session.interrupt(new Error('Cancelled'));
+      sessionRef.current = null;
+    };
+  }, [link]);
+
+  // Hands the kart back to the hold it was under before the update, and only
+  // lets it drive again if there was none
+  const release = useCallback(() => {
+    link.setMaxChunkSize(null);
+    if (link.holdReason !== 'update') return;
+    if (priorHoldRef.current) link.hold(priorHoldRef.current);
+    else link.rearm();
+  }, [link]);
+
+  const run = useCallback(async () => {
+    const session = sessionRef.current;
+    const image = file.bytes;
+    let stage = 'sending';
+    const enter = (next) => {
+      stage = next;
+      setPhase(next);
+    };
+    cancelledRef.current = false;
+    setError(null);
+    enter('sending');
+    if (link.holdReason !== 'update') priorHoldRef.current = link.holdReason;
+    link.hold('update');
+    try {
+      const ready = await session.begin(image);
+      if (ready.mtu && ready.mtu > link.maxChunkSize) link.setMaxChunkSize(ready.mtu);
+      const size = blockSizeFor(ready);
+      let offset = ready.next;
+      log(offset > 0 ? `🔄 Update resumed at ${kb(offset)}` : `🔄 Update started: ${file.name}, ${kb(image.length)}`);
+      setSent(offset);
+      while (offset < image.length) {
+        offset = await session.block(offset, image.subarray(offset, offset + size));
+        setSent(offset);
+      }
+      enter('verifying');
+      await session.verify(image);
+      log('✅ Image verified, rebooting kart');
+      enter('rebooting');
+      link.setMaxChunkSize(null);
+      await session.boot();
+      enter('done');
+      log('✅ Firmware installed - the kart is restarting');
+    } catch (e) {
+      // A kart that restarts before its answer arrives has still been told to boot
+      if (e.lost && stage === 'rebooting') {
+        enter('done');
+        log('✅ Firmware installed - the kart is restarting');
+        return;
+      }
+      if (e.lost) {
+        enter('paused');
+        log('⚠️ Update paused until the kart is back');
+        return;
+      }
+      release();
+      setPhase(null);
+      if (cancelledRef.current) return;
+      setError(e.message);
+      log(`❌ Update failed: ${e.message}`);
+    }
+  }, [file, link, log, release]);
+
+  // The kart keeps what it received, so the update carries on after a reconnect
+  useEffect(() => {
+    if (phase === 'paused' && connected && link && link.state === LINK_STATES.CONNECTED) run();
+  }, [phase, connected, link, run]);
+
+  const cancel = () => {
+    cancelledRef.current = true;
+    const session = sessionRef.current;
+    session.interrupt(new Error('Cancelled'));
+    if (connected) session.abort().catch(() => {});
+    release();
+    setPhase(null);
+    setSent(0);
+    log('⛔ Update cancelled');
+  };
+
+  const pickFile = (picked) => {
+    if (!picked) return;
+    readFileBytes(picked)
+      .then(bytes => {
+        if (!bytes.length) throw new Error('File is empty');
+        setFile({ name: picked.name, bytes, crc: crc32(bytes) });
+        setPhase(null);
+        setSent(0);
+        setError(null);
+      })
+      .catch(e => setError(`Can't read file: ${e.message}`));
+    fileRef.current.value = '';
+  };
+
+  const running = RUNNING.includes(phase);
+  const total = file ? file.bytes.length : 0;
+  const percent = total ? Math.floor((sent / total) * 100) : 0;
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🔄 FIRMWARE UPDATE{kartName && ` · ${kartName}`}</span>
+          <button className="back-btn" disabled={running} onClick={onClose}>✕</button>
+        </div>
+
+        {!connected && !running && <span className="setup-hint">Connect a kart to update it.</span>}
+
+        <div className="wizard-actions">
+          <button className="reset-btn" disabled={running} onClick={() => fileRef.current.click()}>CHOOSE .BIN</button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".bin,application/octet-stream"
+            aria-label="Firmware image"
+            hidden
+            onChange={(e) => pickFile(e.target.files[0])}
+          />
+          {file && (
+            <span className="setup-hint">
+              {file.name} · {kb(total)} · CRC {file.crc.toString(16).toUpperCase().padStart(8, '0')}
+            </span>
+          )}
+        </div>
+
+        {file && (phase || sent > 0) && (
+          <>
+            <div className="update-progress">
+              <div className={`update-progress-fill ${phase || ''}`} style={{ width: `${percent}%` }} />
+            </div>
+            <span className="setup-hint">
+              {PHASE_LABELS[phase] || 'STOPPED'} · {kb(sent)} / {kb(total)} · {percent}%
+            </span>
+          </>
+        )}
+
+        {moving && !running && <span className="setup-hint param-error">Stop the kart before updating.</span>}
+        {error && <span className="setup-hint param-error">{error}</span>}
+
+        <div className="wizard-actions">
+          {running ? (
+            <button className="stop-btn" disabled={phase === 'rebooting'} onClick={cancel}>■ CANCEL</button>
+          ) : (
+            <button className="unlock-btn" disabled={!file || !connected || moving || phase === 'done'} onClick={run}>
+              {phase === 'done' ? '✅ INSTALLED' : 'START UPDATE'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FirmwareUpdate;
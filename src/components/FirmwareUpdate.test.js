@@ -0,0 +1,43 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import FirmwareUpdate from './FirmwareUpdate';
+import { LINK_STATES } from '../kartLink';
+
+// Just enough of a kart link for the update screen: records holds and re-arms
+function fakeLink(holdReason) {
+  return {
+    state: LINK_STATES.CONNECTED,
+    holdReason,
+    maxChunkSize: 20,
+    sent: [],
+    rearms: 0,
+    send(data) { this.sent.push(data); },
+    hold(reason) { this.holdReason = reason; },
+    rearm() { this.rearms++; this.holdReason = null; return true; },
+    setMaxChunkSize() {},
+    on() {},
+    off() {},
+  };
+}
+
+async function startAndCancel(link) {
+  render(<FirmwareUpdate link={link} kartName="KART-1" connected moving={false} log={() => {}} onClose={() => {}} />);
+  fireEvent.change(screen.getByLabelText('Firmware image'), { target: { files: [new File([new Uint8Array(64)], 'kart.bin')] } });
+  fireEvent.click(await screen.findByText('START UPDATE', { selector: ':enabled' }));
+  expect(link.holdReason).toBe('update');
+  fireEvent.click(screen.getByText('■ CANCEL'));
+  await screen.findByText('START UPDATE');
+}
+
+test('cancelling puts back the hold the kart was under before the update', async () => {
+  const link = fakeLink('stop');
+  await startAndCancel(link);
+  expect(link.holdReason).toBe('stop');
+  expect(link.rearms).toBe(0);
+});
+
+test('cancelling lets a kart that was not held drive again', async () => {
+  const link = fakeLink(null);
+  await startAndCancel(link);
+  expect(link.holdReason).toBeNull();
+  expect(link.rearms).toBe(1);
+});
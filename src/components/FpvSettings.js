@@ -0,0 +1,74 @@
+import { HUD_LAYOUTS } from '../fpvCamera';
+
+// Stream URL and overlay layout of one kart's FPV view
+function FpvSettings({ kartName, settings, onChange, active, onToggle, onClose }) {
+  const set = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">📹 FPV · {kartName}</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <input
+          className="link-url"
+          type="text"
+          value={settings.url}
+          onChange={(e) => set({ url: e.target.value.trim() })}
+          placeholder="http://192.168.4.2:81/stream"
+          spellCheck={false}
+        />
+
+        <div className="calibration-fields">
+          <label className="calibration-field">
+            <span>HUD</span>
+            <select className="setup-select" value={settings.hud} onChange={(e) => set({ hud: e.target.value })}>
+              {HUD_LAYOUTS.map(l => (
+                <option key={l.key} value={l.key}>{l.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="calibration-field">
+            <span>PICTURE</span>
+            <select className="setup-select" value={settings.fit} onChange={(e) => set({ fit: e.target.value })}>
+              <option value="cover">FILL SCREEN</option>
+              <option value="contain">WHOLE PICTURE</option>
+            </select>
+          </label>
+          <label className="calibration-field">
+            <span>OVERLAY</span>
+            <input
+              type="range"
+              min="0.2"
+              max="1"
+              step="0.05"
+              value={settings.opacity}
+              onChange={(e) => set({ opacity: parseFloat(e.target.value) })}
+            />
+            <span className="calibration-value">{Math.round(settings.opacity * 100)}%</span>
+          </label>
+          <label className="link-toggle">
+            <input type="checkbox" checked={settings.panels} onChange={(e) => set({ panels: e.target.checked })} />
+            KEEP STATS, TELEMETRY AND LOG PANELS
+          </label>
+        </div>
+
+        <span className="setup-hint">
+          The stream must be MJPEG the browser can show as an image (the ESP32-CAM web server's /stream).
+        </span>
+
+        <div className="wizard-actions">
+          {active ? (
+            <button className="stop-btn" onClick={onToggle}>■ STOP FPV</button>
+          ) : (
+            <button className="unlock-btn" disabled={!settings.url} onClick={onToggle}>▶ START FPV</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FpvSettings;
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { STREAM_RETRY, streamUrl } from '../fpvCamera';
+import { TELEMETRY_FIELDS } from '../telemetry';
+
+const formatValue = (key, value) => {
+  const field = TELEMETRY_FIELDS[key];
+  return field ? `${value.toFixed(field.decimals)}${field.unit}` : String(value);
+};
+
+// The camera stream behind the control mode, and the HUD over it: steering,
+// speed and direction, link status and whatever telemetry the kart reports
+function FpvView({ settings, steering, motorSpeed, direction, linkState, linkLabel, stats, holdReason, estop, telemetry, onSettings }) {
+  const [attempt, setAttempt] = useState(0);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    setAttempt(0);
+    setFailed(false);
+  }, [settings.url]);
+
+  // Keeps asking for the stream while it is down (camera rebooting, out of range)
+  useEffect(() => {
+    if (!failed) return;
+    const timer = setTimeout(() => {
+      setFailed(false);
+      setAttempt(a => a + 1);
+    }, STREAM_RETRY);
+    return () => clearTimeout(timer);
+  }, [failed]);
+
+  const steer = steering > 0 ? `+${steering}` : steering.toString();
+  const drive = direction === 1 ? 'FWD' : direction === -1 ? 'REV' : 'BRAKE';
+
+  return (
+    <>
+      <div className="fpv-layer">
+        {settings.url && !failed && (
+          <img
+            className={`fpv-stream ${settings.fit}`}
+            src={streamUrl(settings.url, attempt)}
+            alt="FPV camera"
+            onError={() => setFailed(true)}
+          />
+        )}
+        {(!settings.url || failed) && <span className="fpv-no-signal">NO VIDEO{settings.url && ' · RETRYING'}</span>}
+      </div>
+
+      <div className={`fpv-hud ${settings.hud}`} style={{ opacity: settings.opacity }}>
+        <div className="fpv-hud-box steer">
+          <span className="fpv-hud-label">STEER</span>
+          <span className="fpv-hud-value">{steer}</span>
+          <div className="fpv-steer-track">
+            <div className="fpv-steer-mark" style={{ left: `${((steering + 90) / 180) * 100}%` }} />
+          </div>
+        </div>
+        <div className="fpv-hud-box drive">
+          <span className="fpv-hud-label">{drive}</span>
+          <span className={`fpv-hud-value ${direction === -1 ? 'reverse' : ''}`}>{motorSpeed}%</span>
+        </div>
+        <div className="fpv-hud-box link">
+          <span className={`kart-state ${linkState}`}>{linkLabel}</span>
+          {stats.rtt !== null && <span className="fpv-hud-label">{stats.rtt}ms</span>}
+          {estop ? <span className="param-error">⛔ E-STOP</span> : holdReason && <span className="param-error">⚠️ BRAKE HOLD</span>}
+          <button className="fpv-hud-btn" title="FPV settings" onClick={onSettings}>⚙</button>
+        </div>
+        {Object.keys(telemetry.latest).length > 0 && (
+          <div className="fpv-hud-box telemetry">
+            {Object.entries(telemetry.latest).map(([key, value]) => (
+              <span key={key}>
+                <span className="fpv-hud-label">{TELEMETRY_FIELDS[key] ? TELEMETRY_FIELDS[key].label : key.toUpperCase()}</span>{' '}
+                {formatValue(key, value)}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default FpvView;
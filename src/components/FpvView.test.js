@@ -0,0 +1,51 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import FpvView from './FpvView';
+import { DEFAULT_FPV, STREAM_RETRY } from '../fpvCamera';
+import { EMPTY_TELEMETRY } from '../telemetry';
+
+const props = {
+  settings: { ...DEFAULT_FPV, url: 'http://cam.local:81/stream' },
+  steering: -45,
+  motorSpeed: 40,
+  direction: -1,
+  linkState: 'connected',
+  linkLabel: 'ON',
+  stats: { rtt: 35 },
+  holdReason: null,
+  estop: null,
+  telemetry: EMPTY_TELEMETRY,
+  onSettings: () => {},
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('shows steering, speed, direction and the round trip', () => {
+  render(<FpvView {...props} />);
+  expect(screen.getByText('-45')).toBeInTheDocument();
+  expect(screen.getByText('REV')).toBeInTheDocument();
+  expect(screen.getByText('40%')).toHaveClass('reverse');
+  expect(screen.getByText('35ms')).toBeInTheDocument();
+});
+
+test('asks for a dropped stream again after STREAM_RETRY', () => {
+  render(<FpvView {...props} />);
+  fireEvent.error(screen.getByAltText('FPV camera'));
+  expect(screen.getByText('NO VIDEO · RETRYING')).toBeInTheDocument();
+
+  act(() => jest.advanceTimersByTime(STREAM_RETRY - 1));
+  expect(screen.queryByAltText('FPV camera')).not.toBeInTheDocument();
+  act(() => jest.advanceTimersByTime(1));
+  expect(screen.getByAltText('FPV camera')).toHaveAttribute('src', 'http://cam.local:81/stream?retry=1');
+});
+
+test('warns about an e-stop over a brake hold', () => {
+  render(<FpvView {...props} holdReason="stale" estop={{ type: 'stop' }} />);
+  expect(screen.getByText('⛔ E-STOP')).toBeInTheDocument();
+  expect(screen.queryByText('⚠️ BRAKE HOLD')).not.toBeInTheDocument();
+});
@@ -0,0 +1,209 @@
+import { useState, useRef, useEffect } from 'react';
+import {
+  CONTROLS, bindingLabel, detectBinding, readControls, resolveProfile, snapshotInputs,
+} from '../gamepadProfiles';
+
+const CONTROL_LABELS = { steer: 'STEERING', throttle: 'THROTTLE', reverse: 'REVERSE' };
+const WIZARD_PROMPTS = {
+  steer: 'Turn / push the steering control fully RIGHT',
+  throttle: 'Press the control for THROTTLE',
+  reverse: 'Press the control for REVERSE',
+  range: 'Move every control through its full range, then press DONE',
+};
+
+function getPads() {
+  return navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+}
+
+// Pad picker, per-pad mapping editor and interactive remap wizard
+function GamepadSetup({ activePadIndex, onActivePadChange, customProfiles, onSaveProfile, onClose }) {
+  const [pads, setPads] = useState([]);
+  const [live, setLive] = useState(null);
+  const [wizardStep, setWizardStep] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const baselineRef = useRef(null);
+  const rangeRef = useRef({});
+  const draftRef = useRef(null);
+  const stepRef = useRef(null);
+
+  const activePad = pads.find(p => p.index === activePadIndex) || pads[0];
+  const profile = activePad ? resolveProfile(activePad.id, customProfiles) : null;
+  const bindings = draft || (profile && profile.bindings);
+
+  useEffect(() => {
+    draftRef.current = draft;
+  }, [draft]);
+
+  useEffect(() => {
+    stepRef.current = wizardStep;
+    baselineRef.current = null;
+  }, [wizardStep]);
+
+  // Poll pads for the picker, live preview and wizard detection
+  useEffect(() => {
+    let frame;
+    const poll = () => {
+      const gps = getPads();
+      setPads(prev => {
+        const next = gps.map(gp => ({ index: gp.index, id: gp.id }));
+        return JSON.stringify(prev) === JSON.stringify(next) ? prev : next;
+      });
+
+      const gp = gps.find(g => g.index === activePadIndex) || gps[0];
+      if (gp) {
+        const step = stepRef.current;
+        const current = draftRef.current || resolveProfile(gp.id, customProfiles).bindings;
+        setLive(readControls(gp, { bindings: current }));
+
+        if (step && step !== 'range') {
+          const snapshot = snapshotInputs(gp);
+          if (!baselineRef.current) {
+            baselineRef.current = snapshot;
+          } else {
+            const exclude = CONTROLS.filter(c => c !== step).map(c => draftRef.current[c]);
+            const binding = detectBinding(baselineRef.current, snapshot, step, exclude);
+            if (binding) {
+              setDraft(d => ({ ...d, [step]: binding }));
+              setWizardStep(CONTROLS[CONTROLS.indexOf(step) + 1] || 'range');
+            }
+          }
+        } else if (step === 'range') {
+          gp.axes.forEach((value, index) => {
+            const r = rangeRef.current[index] || { min: value, max: value };
+            rangeRef.current[index] = { min: Math.min(r.min, value), max: Math.max(r.max, value) };
+          });
+        }
+      }
+      frame = requestAnimationFrame(poll);
+    };
+    frame = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frame);
+  }, [activePadIndex, customProfiles]);
+
+  const startWizard = () => {
+    rangeRef.current = {};
+    setDraft({ ...profile.bindings, steer: null, throttle: null, reverse: null });
+    setWizardStep('steer');
+  };
+
+  const finishWizard = () => {
+    const calibrated = { ...draft };
+    for (const control of CONTROLS) {
+      const binding = calibrated[control];
+      const range = binding && binding.kind === 'axis' && rangeRef.current[binding.index];
+      if (range && range.max - range.min > 0.2) {
+        calibrated[control] = { ...binding, min: range.min, max: range.max };
+      }
+    }
+    onSaveProfile(activePad.id, { name: 'Custom', bindings: calibrated });
+    setDraft(null);
+    setWizardStep(null);
+  };
+
+  const cancelWizard = () => {
+    setDraft(null);
+    setWizardStep(null);
+  };
+
+  const updateBinding = (control, changes) => {
+    const next = { ...profile.bindings, [control]: { ...profile.bindings[control], ...changes } };
+    onSaveProfile(activePad.id, { name: 'Custom', bindings: next });
+  };
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🎮 CONTROLLER MAPPING</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        {pads.length === 0 ? (
+          <p className="setup-hint">Press any button on a controller...</p>
+        ) : (
+          <>
+            <select
+              className="setup-select"
+              value={activePad.index}
+              onChange={(e) => onActivePadChange(parseInt(e.target.value, 10))}
+              disabled={!!wizardStep}
+            >
+              {pads.map(p => (
+                <option key={p.index} value={p.index}>#{p.index + 1} {p.id}</option>
+              ))}
+            </select>
+
+            {wizardStep ? (
+              <div className="wizard">
+                <p className="wizard-prompt">{WIZARD_PROMPTS[wizardStep]}</p>
+                <div className="wizard-actions">
+                  {wizardStep === 'range' && <button className="reset-btn" onClick={finishWizard}>DONE</button>}
+                  <button className="back-btn" onClick={cancelWizard}>CANCEL</button>
+                </div>
+              </div>
+            ) : (
+              <span className="setup-hint">Profile: {profile.name}{profile.custom ? '' : ' (preset)'}</span>
+            )}
+
+            <div className="mapping-rows">
+              {CONTROLS.map(control => {
+                const binding = bindings[control];
+                const isAxis = binding && binding.kind === 'axis';
+                const value = live ? live[control] : 0;
+                return (
+                  <div key={control} className={`mapping-row ${wizardStep === control ? 'active' : ''}`}>
+                    <span className="mapping-name">{CONTROL_LABELS[control]}</span>
+                    <span className="mapping-binding">{bindingLabel(binding)}</span>
+                    <div className="mapping-meter">
+                      <div
+                        className="mapping-meter-fill"
+                        style={control === 'steer'
+                          ? { left: `${Math.min(50, 50 + value * 50)}%`, width: `${Math.abs(value) * 50}%` }
+                          : { left: 0, width: `${value * 100}%` }}
+                      />
+                    </div>
+                    {isAxis && !wizardStep && (
+                      <>
+                        <label className="mapping-field">
+                          <input
+                            type="checkbox"
+                            checked={binding.invert}
+                            onChange={(e) => updateBinding(control, { invert: e.target.checked })}
+                          />
+                          INV
+                        </label>
+                        <input
+                          className="mapping-number"
+                          type="number" step="0.05" min="-1" max="1"
+                          value={binding.min}
+                          onChange={(e) => updateBinding(control, { min: parseFloat(e.target.value) || 0 })}
+                        />
+                        <input
+                          className="mapping-number"
+                          type="number" step="0.05" min="-1" max="1"
+                          value={binding.max}
+                          onChange={(e) => updateBinding(control, { max: parseFloat(e.target.value) || 0 })}
+                        />
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {!wizardStep && (
+              <div className="wizard-actions">
+                <button className="reset-btn" onClick={startWizard}>REMAP WIZARD</button>
+                {profile.custom && (
+                  <button className="back-btn" onClick={() => onSaveProfile(activePad.id, null)}>RESET TO PRESET</button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GamepadSetup;
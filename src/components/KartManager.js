@@ -0,0 +1,91 @@
+import { KART_COLORS, REMOTE_INPUT, SCREEN_INPUT, padIndexOf, padInput } from '../kartManager';
+import { LINK_STATES } from '../kartLink';
+
+const connectedPads = () => Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean);
+
+// Every kart link with its label, colour, status and input; select which kart
+// the header shows, assign inputs, re-arm, disconnect or stop them all
+function KartManager({ karts, selectedId, onSelect, onUpdate, onRearm, onDisconnect, onAdd, onBroadcastStop, bridging, onClose }) {
+  const pads = connectedPads();
+  const nextColor = (color) => KART_COLORS[(KART_COLORS.indexOf(color) + 1) % KART_COLORS.length];
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🏎 KARTS</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        {karts.length === 0 && <span className="setup-hint">No karts yet - add one to connect.</span>}
+
+        <div className="session-list">
+          {karts.map(k => {
+            const padIndex = padIndexOf(k.input);
+            const missingPad = padIndex !== null && !pads.some(p => p.index === padIndex);
+            return (
+              <div
+                key={k.id}
+                className={`kart-row ${k.id === selectedId ? 'selected' : ''}`}
+                style={{ borderColor: k.id === selectedId ? k.color : undefined }}
+                onClick={() => onSelect(k.id)}
+              >
+                <button
+                  className="kart-swatch"
+                  style={{ background: k.color }}
+                  title="Change colour"
+                  onClick={(e) => { e.stopPropagation(); onUpdate(k.id, { color: nextColor(k.color) }); }}
+                />
+                <div className="session-info">
+                  <input
+                    className="setup-select kart-label"
+                    value={k.label}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => onUpdate(k.id, { label: e.target.value.toUpperCase() })}
+                  />
+                  <span className="setup-hint">
+                    {k.name || k.type.toUpperCase()} · <span className={`kart-state ${k.state}`}>{k.state.toUpperCase()}</span>
+                    {k.stats.rtt !== null && ` · ${Math.round(k.stats.rtt)} ms`}
+                  </span>
+                </div>
+                <select
+                  className="setup-select"
+                  value={k.input || ''}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={(e) => onUpdate(k.id, { input: e.target.value || null })}
+                >
+                  <option value="">NO INPUT</option>
+                  <option value={SCREEN_INPUT}>📱 THIS SCREEN</option>
+                  {(bridging || k.input === REMOTE_INPUT) && <option value={REMOTE_INPUT}>🛰 REMOTE DRIVER</option>}
+                  {pads.map(p => (
+                    <option key={p.index} value={padInput(p.index)}>🎮 PAD {p.index + 1}</option>
+                  ))}
+                  {missingPad && <option value={k.input}>🎮 PAD {padIndex + 1} (GONE)</option>}
+                </select>
+                {k.holdReason && k.state === LINK_STATES.CONNECTED && (
+                  <button
+                    className="reset-btn"
+                    disabled={k.stats.stale}
+                    onClick={(e) => { e.stopPropagation(); onRearm(k.id); }}
+                  >
+                    RE-ARM
+                  </button>
+                )}
+                <button className="back-btn" onClick={(e) => { e.stopPropagation(); onDisconnect(k.id); }}>✕</button>
+              </div>
+            );
+          })}
+        </div>
+
+        <span className="setup-hint">Each input drives one kart. Karts without an input hold brake.</span>
+
+        <div className="wizard-actions">
+          <button className="reset-btn" onClick={onAdd}>+ ADD KART</button>
+          <button className="stop-btn" disabled={karts.length === 0} onClick={onBroadcastStop}>⛔ BROADCAST STOP</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KartManager;
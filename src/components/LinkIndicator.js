@@ -0,0 +1,19 @@
+// Signal-strength style bars with round-trip time and packet loss
+function LinkIndicator({ stats }) {
+  const { quality, rtt, loss } = stats;
+  const measured = quality !== null;
+
+  return (
+    <div className={`link-indicator q${measured ? quality : 'x'}`} title={measured ? `RTT ${rtt} ms, loss ${loss}%` : 'No heartbeat from kart'}>
+      <div className="link-bars">
+        {[1, 2, 3, 4].map(level => (
+          <span key={level} className={`link-bar ${measured && quality >= level ? 'lit' : ''}`} style={{ height: `${level * 25}%` }} />
+        ))}
+      </div>
+      <span className="link-rtt">{measured ? `${rtt}ms` : '--'}</span>
+      {measured && loss > 0 && <span className="link-loss">{loss}%</span>}
+    </div>
+  );
+}
+
+export default LinkIndicator;
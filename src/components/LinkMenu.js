@@ -0,0 +1,58 @@
+import { LINK_TYPES } from '../transports';
+
+// Popover shown from the connect button to pick how to reach the kart
+function LinkMenu({
+  wsUrl, onWsUrlChange,
+  preferBinary, onPreferBinaryChange,
+  maxMissedAcks, onMaxMissedAcksChange,
+  onSelect, onClose,
+}) {
+  return (
+    <div className="link-menu-backdrop" onClick={onClose}>
+      <div className="link-menu" onClick={(e) => e.stopPropagation()}>
+        <span className="link-menu-title">CONNECT VIA</span>
+        {LINK_TYPES.map(link => (
+          <button
+            key={link.type}
+            className={`link-option ${link.type}`}
+            disabled={!link.isSupported()}
+            onClick={() => onSelect(link.type)}
+          >
+            <span className="link-icon">{link.icon}</span>
+            <span className="link-label">{link.label}</span>
+          </button>
+        ))}
+        <input
+          className="link-url"
+          type="text"
+          value={wsUrl}
+          onChange={(e) => onWsUrlChange(e.target.value)}
+          placeholder="ws://192.168.4.1:81"
+          spellCheck={false}
+        />
+        <label className="link-toggle">
+          <input
+            type="checkbox"
+            checked={preferBinary}
+            onChange={(e) => onPreferBinaryChange(e.target.checked)}
+          />
+          BINARY FRAMES IF SUPPORTED
+        </label>
+        <label className="link-toggle">
+          AUTO-BRAKE AFTER
+          <input
+            className="link-number"
+            type="number"
+            min="1"
+            max="20"
+            value={maxMissedAcks}
+            onChange={(e) => onMaxMissedAcksChange(Math.max(1, parseInt(e.target.value, 10) || 1))}
+          />
+          MISSED ACKS
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default LinkMenu;
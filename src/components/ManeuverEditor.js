@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { MANEUVER_PRESETS, NEW_STEP, maneuverDuration } from '../maneuvers';
+
+const COLUMNS = [
+  { key: 'duration', label: 'MS', min: 50, max: 60000, step: 50 },
+  { key: 'steering', label: 'STEER°', min: -90, max: 90, step: 1 },
+  { key: 'speed', label: 'SPEED%', min: 0, max: 100, step: 1 },
+];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Step editor for scripted maneuvers: load a preset or saved maneuver, edit
+// its steps, save it under a name and run it
+function ManeuverEditor({ maneuvers, onSave, onDelete, onRun, onClose }) {
+  const [name, setName] = useState('FIGURE EIGHT');
+  const [steps, setSteps] = useState(MANEUVER_PRESETS['FIGURE EIGHT']);
+
+  const all = { ...MANEUVER_PRESETS, ...maneuvers };
+  const isPreset = name in MANEUVER_PRESETS;
+
+  const load = (next) => {
+    setName(next);
+    setSteps(all[next]);
+  };
+
+  const update = (index, changes) => setSteps(prev => prev.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+  const remove = (index) => setSteps(prev => prev.filter((_, i) => i !== index));
+  const move = (index, by) => setSteps(prev => {
+    const next = [...prev];
+    const [step] = next.splice(index, 1);
+    next.splice(clamp(index + by, 0, prev.length - 1), 0, step);
+    return next;
+  });
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🎬 MANEUVERS</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="gamepad-status">
+          <select className="setup-select" value={name in all ? name : ''} onChange={(e) => load(e.target.value)}>
+            {name in all ? null : <option value="">—</option>}
+            {Object.keys(all).map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+          <input
+            className="setup-select maneuver-name"
+            value={name}
+            onChange={(e) => setName(e.target.value.toUpperCase())}
+          />
+        </div>
+
+        <div className="maneuver-steps">
+          <div className="maneuver-step maneuver-head">
+            <span>#</span>
+            {COLUMNS.map(c => <span key={c.key}>{c.label}</span>)}
+            <span>DIR</span>
+            <span>RAMP</span>
+            <span />
+          </div>
+          {steps.map((step, i) => (
+            <div key={i} className="maneuver-step">
+              <span>{i + 1}</span>
+              {COLUMNS.map(c => (
+                <input
+                  key={c.key}
+                  type="number"
+                  className="mapping-number"
+                  min={c.min}
+                  max={c.max}
+                  step={c.step}
+                  value={step[c.key]}
+                  onChange={(e) => update(i, { [c.key]: clamp(parseInt(e.target.value, 10) || 0, c.min, c.max) })}
+                />
+              ))}
+              <button className={`dir-btn ${step.dir < 0 ? 'reverse' : ''}`} onClick={() => update(i, { dir: -step.dir })}>
+                {step.dir < 0 ? '▼' : '▲'}
+              </button>
+              <input type="checkbox" checked={step.ramp} onChange={(e) => update(i, { ramp: e.target.checked })} />
+              <span className="maneuver-row-actions">
+                <button className="back-btn" disabled={i === 0} onClick={() => move(i, -1)}>↑</button>
+                <button className="back-btn" disabled={i === steps.length - 1} onClick={() => move(i, 1)}>↓</button>
+                <button className="back-btn" onClick={() => remove(i)}>✕</button>
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <span className="setup-hint">
+          {steps.length} steps · {(maneuverDuration(steps) / 1000).toFixed(1)} s · any touch, key or stick movement aborts
+        </span>
+
+        <div className="wizard-actions">
+          <button className="reset-btn" onClick={() => setSteps(prev => [...prev, { ...NEW_STEP }])}>+ STEP</button>
+          <button className="reset-btn" disabled={!name || isPreset || !steps.length} onClick={() => onSave(name, steps)}>SAVE</button>
+          <button className="back-btn" disabled={!(name in maneuvers)} onClick={() => onDelete(name)}>DELETE</button>
+          <button className="unlock-btn" disabled={!steps.length} onClick={() => onRun(name, steps)}>▶ RUN</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ManeuverEditor;
@@ -0,0 +1,190 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { createParamSession, paramsFromJSON, paramsToJSON, validateParam } from '../kartParams';
+import { downloadFile, readFile } from '../download';
+
+const isNumeric = (def) => def.type === 'int' || def.type === 'float';
+
+// Numbers are edited as text so partial input ("1.") survives re-renders
+const toDraft = (def, value) => (isNumeric(def) ? String(value) : value);
+const fromDraft = (def, draft) => (isNumeric(def) ? (draft.trim() === '' ? NaN : Number(draft)) : draft);
+
+// Settings form built from the schema the selected kart reports; edits are
+// checked against the kart's ranges, written with WRITE and kept over a power
+// cycle with SAVE TO EEPROM
+function ParamEditor({ link, kartName, canSend, send, onClose }) {
+  const [defs, setDefs] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [rejected, setRejected] = useState({});
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const sessionRef = useRef(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    if (!link) return;
+    const session = createParamSession(send);
+    const handleLine = (line) => session.handleLine(line);
+    link.on('line', handleLine);
+    sessionRef.current = session;
+    return () => {
+      link.off('line', handleLine);
+      sessionRef.current = null;
+    };
+  }, [link, send]);
+
+  const run = useCallback((label, task) => {
+    setBusy(label);
+    setError(null);
+    setMessage(null);
+    return task()
+      .catch(e => setError(e.message))
+      .finally(() => setBusy(null));
+  }, []);
+
+  const load = useCallback(() => run('READING', () => sessionRef.current.list().then(list => {
+    setDefs(list);
+    setDraft({});
+    setRejected({});
+    setMessage(`${list.length} parameters`);
+  })), [run]);
+
+  useEffect(() => {
+    if (canSend && link && defs === null) load();
+  }, [canSend, link, defs, load]);
+
+  const valueOf = (def) => (def.name in draft ? fromDraft(def, draft[def.name]) : def.value);
+  const changed = (defs || []).filter(d => d.name in draft && valueOf(d) !== d.value);
+  const invalid = changed.filter(d => validateParam(d, valueOf(d)));
+
+  const edit = (def, value) => {
+    setDraft(prev => ({ ...prev, [def.name]: value }));
+    setRejected(({ [def.name]: _, ...rest }) => rest);
+  };
+
+  const write = () => run('WRITING', async () => {
+    let written = 0;
+    for (const def of changed) {
+      try {
+        const value = await sessionRef.current.set(def, valueOf(def));
+        written++;
+        setDefs(prev => prev.map(d => (d.name === def.name ? { ...d, value } : d)));
+        setDraft(({ [def.name]: _, ...rest }) => rest);
+      } catch (e) {
+        setRejected(prev => ({ ...prev, [def.name]: e.message }));
+      }
+    }
+    setMessage(`Wrote ${written} of ${changed.length}`);
+  });
+
+  const save = () => run('SAVING', () => sessionRef.current.save().then(() => setMessage('Saved to EEPROM')));
+
+  const exportParams = () => {
+    const name = (kartName || 'kart').replace(/[^\w-]+/g, '-').toLowerCase();
+    downloadFile(`kart-params-${name}.json`, paramsToJSON(kartName, defs), 'application/json');
+  };
+
+  const importParams = (file) => {
+    if (!file) return;
+    readFile(file)
+      .then(text => {
+        const { values, skipped } = paramsFromJSON(text, defs);
+        setDraft(prev => ({
+          ...prev,
+          ...Object.fromEntries(Object.entries(values).map(([name, value]) => [name, toDraft(defs.find(d => d.name === name), value)])),
+        }));
+        setError(skipped.length ? `Skipped ${skipped.join(', ')}` : null);
+        setMessage(`Imported ${Object.keys(values).length} values - review, then WRITE`);
+      })
+      .catch(e => setError(`Import failed: ${e.message}`));
+    fileRef.current.value = '';
+  };
+
+  const renderInput = (def) => {
+    const value = def.name in draft ? draft[def.name] : toDraft(def, def.value);
+    if (def.type === 'bool') {
+      return <input type="checkbox" checked={value} onChange={(e) => edit(def, e.target.checked)} />;
+    }
+    if (def.type === 'enum') {
+      return (
+        <select className="setup-select" value={value} onChange={(e) => edit(def, e.target.value)}>
+          {def.options.map(o => <option key={o} value={o}>{o.toUpperCase()}</option>)}
+        </select>
+      );
+    }
+    return (
+      <input
+        type="number"
+        className="mapping-number param-number"
+        min={def.min ?? undefined}
+        max={def.max ?? undefined}
+        step={def.step || (def.type === 'int' ? 1 : 'any')}
+        value={value}
+        onChange={(e) => edit(def, e.target.value)}
+      />
+    );
+  };
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🧩 KART SETTINGS{kartName && ` · ${kartName}`}</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        {!canSend && <span className="setup-hint">Connect a kart to read its settings.</span>}
+
+        {defs && (
+          <div className="param-list">
+            {defs.map(def => {
+              const problem = rejected[def.name] || (def.name in draft && validateParam(def, valueOf(def)));
+              const dirty = def.name in draft && valueOf(def) !== def.value;
+              return (
+                <label key={def.name} className={`param-row ${dirty ? 'dirty' : ''} ${problem ? 'invalid' : ''}`}>
+                  <span className="param-label">{def.label}</span>
+                  {renderInput(def)}
+                  <span className="setup-hint">
+                    {problem || (isNumeric(def) && def.min !== null && def.max !== null ? `${def.min}–${def.max}${def.unit}` : def.unit)}
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+        )}
+
+        {busy && <span className="setup-hint">{busy}...</span>}
+        {!busy && message && <span className="setup-hint">{message}</span>}
+        {error && <span className="setup-hint param-error">{error}</span>}
+
+        <div className="wizard-actions">
+          <button className="back-btn" disabled={!canSend || !!busy} onClick={load}>↻ READ</button>
+          <button className="back-btn" disabled={!changed.length || !!busy} onClick={() => { setDraft({}); setRejected({}); }}>UNDO</button>
+          <button
+            className="unlock-btn"
+            disabled={!canSend || !!busy || !changed.length || invalid.length > 0}
+            onClick={write}
+          >
+            WRITE{changed.length > 0 && ` (${changed.length})`}
+          </button>
+          <button className="reset-btn" disabled={!canSend || !!busy || !defs || changed.length > 0} onClick={save}>
+            SAVE TO EEPROM
+          </button>
+        </div>
+        <div className="wizard-actions">
+          <button className="reset-btn" disabled={!defs} onClick={exportParams}>EXPORT JSON</button>
+          <button className="reset-btn" disabled={!defs || !!busy} onClick={() => fileRef.current.click()}>IMPORT JSON</button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(e) => importParams(e.target.files[0])}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ParamEditor;
@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { applyUpdate, dismissUpdate, offPwaChange, onPwaChange, promptInstall, pwaStatus } from '../pwa';
+
+// Update-available prompt and the install button; switching versions reloads
+// the page, so it waits until no kart is connected
+function PwaBanner({ busy, showInstall }) {
+  const [status, setStatus] = useState(pwaStatus);
+
+  useEffect(() => {
+    onPwaChange(setStatus);
+    return () => offPwaChange(setStatus);
+  }, []);
+
+  if (status.updateReady) {
+    return (
+      <div className="pwa-banner">
+        <span>🔄 NEW VERSION AVAILABLE</span>
+        <button className="unlock-btn" disabled={busy} onClick={applyUpdate}>
+          {busy ? 'DISCONNECT TO UPDATE' : 'UPDATE'}
+        </button>
+        <button className="back-btn" onClick={dismissUpdate}>LATER</button>
+      </div>
+    );
+  }
+
+  if (showInstall && status.canInstall) {
+    return (
+      <div className="pwa-banner">
+        <span>📲 WORKS OFFLINE AT THE TRACK</span>
+        <button className="unlock-btn" onClick={promptInstall}>INSTALL APP</button>
+      </div>
+    );
+  }
+
+  return null;
+}
+
+export default PwaBanner;
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import { countdownLeft, driverBests, formatDelta, formatLapTime, lapStats, resultsToCSV } from '../raceTimer';
+import { downloadFile } from '../download';
+
+const ACTIVE = ['countdown', 'armed', 'running'];
+
+// Race setup and leaderboard, and the timing strip shown over the control
+// mode while a race is on
+function RaceScreen({ race, settings, onSettingsChange, leaderboard, onClearLeaderboard, onStart, onLap, onStop, onClose }) {
+  const [showSetup, setShowSetup] = useState(!race);
+  const [now, setNow] = useState(performance.now());
+  const active = !!race && ACTIVE.includes(race.phase);
+
+  // Redraw the running clock
+  useEffect(() => {
+    if (!active) return;
+    const timer = setInterval(() => setNow(performance.now()), 50);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  const start = () => {
+    onStart();
+    setShowSetup(false);
+  };
+
+  const exportResults = (format) => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'csv') downloadFile(`kart-results-${stamp}.csv`, resultsToCSV(leaderboard), 'text/csv');
+    else downloadFile(`kart-results-${stamp}.json`, JSON.stringify(leaderboard, null, 2), 'application/json');
+  };
+
+  if (showSetup || !race) {
+    const bests = driverBests(leaderboard);
+    return (
+      <div className="setup-backdrop">
+        <div className="setup-panel">
+          <div className="setup-header">
+            <span className="setup-title">🏁 RACE</span>
+            <button className="back-btn" onClick={onClose}>✕</button>
+          </div>
+
+          <div className="race-setup">
+            <input
+              className="setup-select"
+              placeholder="DRIVER"
+              value={settings.driver}
+              onChange={(e) => onSettingsChange({ ...settings, driver: e.target.value })}
+            />
+            <label className="calibration-field">
+              <span>LAPS</span>
+              <input
+                type="number"
+                className="mapping-number"
+                min="0"
+                max="99"
+                value={settings.laps}
+                onChange={(e) => onSettingsChange({ ...settings, laps: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              />
+              <span className="setup-hint">{settings.laps === 0 ? 'UNTIL STOPPED' : ''}</span>
+            </label>
+            <label className="link-toggle">
+              <input
+                type="checkbox"
+                checked={settings.countdown}
+                onChange={(e) => onSettingsChange({ ...settings, countdown: e.target.checked })}
+              />
+              COUNTDOWN START (OFF = CLOCK STARTS AT THE FIRST CROSSING)
+            </label>
+          </div>
+
+          {race && race.laps.length > 0 && (
+            <div className="race-laps">
+              {race.laps.map((lap, i) => (
+                <span key={i} className={lap === Math.min(...race.laps) ? 'best' : ''}>
+                  L{i + 1} {formatLapTime(lap)}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="wizard-actions">
+            <button className="unlock-btn" onClick={start}>▶ START RACE</button>
+            {active && <button className="back-btn" onClick={() => setShowSetup(false)}>BACK TO RACE</button>}
+          </div>
+
+          <span className="setup-title">LEADERBOARD</span>
+          {bests.length === 0 && <span className="setup-hint">No laps yet.</span>}
+          <div className="race-board">
+            {bests.map((b, i) => (
+              <div key={b.driver} className="race-board-row">
+                <span>{i + 1}.</span>
+                <span>{b.driver}</span>
+                <span className="race-time">{formatLapTime(b.best)}</span>
+                <span className="setup-hint">{b.races} RACE{b.races === 1 ? '' : 'S'}</span>
+              </div>
+            ))}
+          </div>
+          <div className="wizard-actions">
+            <button className="reset-btn" disabled={!leaderboard.length} onClick={() => exportResults('csv')}>EXPORT CSV</button>
+            <button className="reset-btn" disabled={!leaderboard.length} onClick={() => exportResults('json')}>EXPORT JSON</button>
+            <button className="back-btn" disabled={!leaderboard.length} onClick={onClearLeaderboard}>CLEAR</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const stats = lapStats(race, now);
+  const left = countdownLeft(race, now);
+
+  return (
+    <div className="race-hud">
+      {race.phase === 'countdown' && <span className="race-countdown">{left}</span>}
+      {race.phase === 'running' && !race.laps.length && stats.current < 1000 && <span className="race-countdown go">GO</span>}
+      {race.phase === 'armed' && <span className="race-status">CROSS THE LINE TO START</span>}
+      {race.phase === 'false-start' && <span className="race-status false-start">🚩 FALSE START</span>}
+      {race.phase === 'finished' && <span className="race-status">🏁 FINISHED · BEST {formatLapTime(stats.best)}</span>}
+      {race.phase === 'stopped' && <span className="race-status">STOPPED</span>}
+
+      {(race.phase === 'running' || race.phase === 'finished') && (
+        <div className="race-times">
+          <span className="race-lap-count">
+            LAP {Math.min(race.laps.length + 1, race.targetLaps || Infinity)}{race.targetLaps > 0 && `/${race.targetLaps}`}
+          </span>
+          {race.phase === 'running' && <span className="race-time current">{formatLapTime(stats.current)}</span>}
+          <span className="race-time">LAST {formatLapTime(stats.last)}</span>
+          <span className="race-time">BEST {formatLapTime(stats.best)}</span>
+          {stats.delta !== null && (
+            <span className={`race-time ${stats.delta < 0 ? 'faster' : 'slower'}`}>{formatDelta(stats.delta)}</span>
+          )}
+        </div>
+      )}
+
+      <div className="race-actions">
+        {(race.phase === 'running' || race.phase === 'armed') && (
+          <button className="race-lap-btn" onPointerDown={onLap}>LAP</button>
+        )}
+        {active ? (
+          <button className="stop-btn" onClick={onStop}>■ STOP</button>
+        ) : (
+          <button className="reset-btn" onClick={() => setShowSetup(true)}>RESULTS</button>
+        )}
+        {race.phase === 'false-start' && <button className="unlock-btn" onClick={onStart}>RESTART</button>}
+      </div>
+    </div>
+  );
+}
+
+export default RaceScreen;
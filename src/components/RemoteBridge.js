@@ -0,0 +1,74 @@
+import { BRAKE_LABELS, LATENCY_CAP_RANGE } from '../remoteBridge';
+
+const STATE_LABELS = {
+  idle: 'OFF',
+  connecting: 'CONNECTING TO RELAY',
+  reconnecting: 'RELAY LOST - RECONNECTING',
+  connected: 'ON THE RELAY',
+};
+
+// Bridge mode: this phone keeps the kart link and a remote app on the relay
+// drives through it
+function RemoteBridge({ settings, onSettingsChange, status, kartLabel, onStart, onStop, onClose }) {
+  const on = !!status;
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🛰 REMOTE BRIDGE</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <input
+          className="link-url"
+          type="text"
+          value={settings.url}
+          disabled={on}
+          onChange={(e) => onSettingsChange({ ...settings, url: e.target.value })}
+          placeholder="ws://192.168.1.2:8787"
+          spellCheck={false}
+        />
+        <label className="calibration-field">
+          <span>LATENCY CAP</span>
+          <input
+            type="range"
+            min={LATENCY_CAP_RANGE.min}
+            max={LATENCY_CAP_RANGE.max}
+            step={LATENCY_CAP_RANGE.step}
+            value={settings.latencyCap}
+            onChange={(e) => onSettingsChange({ ...settings, latencyCap: parseInt(e.target.value, 10) })}
+          />
+          <span className="calibration-value">{settings.latencyCap}ms</span>
+        </label>
+
+        {on && (
+          <div className="bridge-status">
+            <span className={`kart-state ${status.state}`}>{STATE_LABELS[status.state]}</span>
+            <span>REMOTE: {status.remote ? 'ON' : '-'}</span>
+            <span>RTT: {status.stats.rtt === null ? '-' : `${status.stats.rtt} ms`}</span>
+            <span>KART: {kartLabel || 'NONE'}</span>
+            <span className={status.brakeReason ? 'param-error' : 'bridge-driving'}>
+              {status.brakeReason ? `BRAKING: ${BRAKE_LABELS[status.brakeReason].toUpperCase()}` : 'REMOTE DRIVING'}
+            </span>
+          </div>
+        )}
+
+        <span className="setup-hint">
+          Run the relay on a computer (npm run relay), then connect the remote app to it with REMOTE (RELAY).
+          The selected kart is driven by the remote while the bridge is on.
+        </span>
+
+        <div className="wizard-actions">
+          {on ? (
+            <button className="stop-btn" onClick={onStop}>■ STOP BRIDGE</button>
+          ) : (
+            <button className="unlock-btn" disabled={!settings.url} onClick={onStart}>START BRIDGE</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RemoteBridge;
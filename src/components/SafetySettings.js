@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { ESTOP_SOURCES, formatEstopTime } from '../estop';
+
+// E-stop triggers (gamepad button, keys, shake) and the e-stop event log
+function SafetySettings({ settings, onChange, log, onClearLog, onClose }) {
+  const [learning, setLearning] = useState(false);
+  const set = (changes) => onChange({ ...settings, ...changes });
+
+  // Waits for any button on any pad and binds it
+  useEffect(() => {
+    if (!learning) return;
+    let frame;
+    const poll = () => {
+      for (const gp of Array.from(navigator.getGamepads ? navigator.getGamepads() : [])) {
+        const index = gp ? gp.buttons.findIndex(b => b.pressed) : -1;
+        if (index >= 0) {
+          onChange({ ...settings, padButton: index });
+          setLearning(false);
+          return;
+        }
+      }
+      frame = requestAnimationFrame(poll);
+    };
+    frame = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frame);
+  }, [learning, settings, onChange]);
+
+  // iOS only delivers motion events after an explicit permission prompt
+  const enableShake = async (enabled) => {
+    if (enabled && typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+      try {
+        if (await DeviceMotionEvent.requestPermission() !== 'granted') return;
+      } catch (e) {
+        return;
+      }
+    }
+    set({ shake: enabled });
+  };
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">⚙ SAFETY</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <span className="setup-hint">The on-screen ⛔ button always works. Extra e-stop triggers:</span>
+
+        <div className="calibration-field">
+          <span>GAMEPAD BUTTON</span>
+          <span className="calibration-value">
+            {learning ? 'PRESS A BUTTON...' : settings.padButton === null ? 'OFF' : `BUTTON ${settings.padButton}`}
+          </span>
+          <span className="wizard-actions">
+            <button className="reset-btn" onClick={() => setLearning(l => !l)}>{learning ? 'CANCEL' : 'SET'}</button>
+            <button className="back-btn" onClick={() => set({ padButton: null })}>OFF</button>
+          </span>
+        </div>
+        <label className="link-toggle">
+          <input type="checkbox" checked={settings.keys} onChange={(e) => set({ keys: e.target.checked })} />
+          ESCAPE / SPACE KEYS
+        </label>
+        <label className="link-toggle">
+          <input type="checkbox" checked={settings.shake} onChange={(e) => enableShake(e.target.checked)} />
+          SHAKE PHONE
+        </label>
+        {settings.shake && (
+          <label className="calibration-field">
+            <span>SHAKE FORCE</span>
+            <input
+              type="range"
+              min="8"
+              max="30"
+              value={settings.shakeThreshold}
+              onChange={(e) => set({ shakeThreshold: parseInt(e.target.value, 10) })}
+            />
+            <span className="calibration-value">{settings.shakeThreshold} m/s²</span>
+          </label>
+        )}
+
+        <div className="setup-header">
+          <span className="setup-title">E-STOP LOG</span>
+          <button className="back-btn" disabled={!log.length} onClick={onClearLog}>CLEAR</button>
+        </div>
+        <div className="terminal estop-log">
+          {log.length === 0 && <div>No e-stops yet</div>}
+          {[...log].reverse().map(event => (
+            <div key={event.time + event.type} className={event.type === 'stop' ? 'out' : 'in'}>
+              {formatEstopTime(event.time)} {event.type === 'stop' ? `⛔ STOP · ${ESTOP_SOURCES[event.source]}` : '✅ RE-ARMED'}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SafetySettings;
@@ -0,0 +1,229 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { downloadFile } from '../download';
+import { deleteSession, listSessions, loadSessionEvents, sessionToCSV, sessionToJSON } from '../sessionStore';
+import { EMPTY_TELEMETRY, appendTelemetry, parseTelemetryLine } from '../telemetry';
+import TelemetryPanel from './TelemetryPanel';
+
+const RATES = [0.5, 1, 2, 4];
+const NEUTRAL = { angle: 90, speed: 0, dir: 0 };
+
+const formatTime = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+const fileName = (session, ext) =>
+  `kart-session-${new Date(session.startedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${ext}`;
+
+// Replays a recorded session: frames drive the on-screen outputs, telemetry
+// lines rebuild the gauges. With "drive kart" on, the recorded input frames
+// are fed to the live control loop instead of the mode's inputs.
+function Replay({ session, events, canDrive, onReplayFrame, onBack }) {
+  const duration = events.length ? events[events.length - 1].t : 0;
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [rate, setRate] = useState(1);
+  const [driveKart, setDriveKart] = useState(false);
+  const [view, setView] = useState({ frame: NEUTRAL, output: NEUTRAL, telemetry: EMPTY_TELEMETRY, lines: [] });
+
+  const cursorRef = useRef(0);
+  const viewRef = useRef(view);
+  const positionRef = useRef(0);
+  const driveRef = useRef(false);
+
+  useEffect(() => {
+    driveRef.current = driveKart && canDrive;
+    if (!driveRef.current) onReplayFrame(null);
+  }, [driveKart, canDrive, onReplayFrame]);
+
+  // Losing the link (or its arming) while driving ends playback
+  useEffect(() => {
+    if (driveKart && !canDrive) setPlaying(false);
+  }, [driveKart, canDrive]);
+
+  useEffect(() => () => onReplayFrame(null), [onReplayFrame]);
+
+  // Applies every event up to time t; seeking backwards rebuilds from the start.
+  // Only playback (drive = true) hands frames to the kart: a paused seek must
+  // not leave it driving the frame it landed on.
+  const seek = useCallback((t, drive = false) => {
+    let next = viewRef.current;
+    if (t < positionRef.current) {
+      cursorRef.current = 0;
+      next = { frame: NEUTRAL, output: NEUTRAL, telemetry: EMPTY_TELEMETRY, lines: [] };
+    }
+    let frame = null;
+    while (cursorRef.current < events.length && events[cursorRef.current].t <= t) {
+      const event = events[cursorRef.current++];
+      if (event.kind === 'frame') {
+        frame = event;
+        next = { ...next, frame: event.input, output: event.output };
+        continue;
+      }
+      const values = parseTelemetryLine(event.line);
+      if (values) next = { ...next, telemetry: appendTelemetry(next.telemetry, values, session.startedAt + event.t) };
+      else next = { ...next, lines: [...next.lines, { ...event, id: event.id || cursorRef.current }].slice(-20) };
+    }
+    positionRef.current = t;
+    viewRef.current = next;
+    setView(next);
+    setPosition(t);
+    if (frame && drive && driveRef.current) onReplayFrame(frame.input);
+  }, [events, session, onReplayFrame]);
+
+  useEffect(() => {
+    if (!playing) {
+      if (driveRef.current) onReplayFrame(null);
+      return;
+    }
+    let raf;
+    let last = performance.now();
+    const loop = (timestamp) => {
+      const t = Math.min(duration, positionRef.current + (timestamp - last) * rate);
+      last = timestamp;
+      seek(t, true);
+      if (t >= duration) {
+        setPlaying(false);
+        return;
+      }
+      raf = requestAnimationFrame(loop);
+    };
+    raf = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, rate, duration, seek, onReplayFrame]);
+
+  const play = () => {
+    if (positionRef.current >= duration) seek(0);
+    setPlaying(true);
+  };
+
+  const steering = view.frame.angle - 90;
+  const dirLabel = view.frame.dir === 1 ? '▲ FWD' : view.frame.dir === -1 ? '▼ REV' : '■ BRAKE';
+
+  return (
+    <>
+      <div className="setup-header">
+        <span className="setup-title">▶ {session.name}</span>
+        <button className="back-btn" onClick={onBack}>◀ LIST</button>
+      </div>
+
+      <div className="replay-outputs">
+        <span>STEER <b>{steering > 0 ? '+' : ''}{steering}°</b></span>
+        <span>SPEED <b>{view.frame.speed}%</b></span>
+        <span className={`replay-dir dir-${view.frame.dir}`}>{dirLabel}</span>
+        <span className="setup-hint">OUT {view.output.angle};{view.output.speed};{view.output.dir}</span>
+      </div>
+
+      <TelemetryPanel telemetry={view.telemetry} />
+
+      <div className="replay-transport">
+        <button className="dir-btn" onClick={playing ? () => setPlaying(false) : play}>
+          {playing ? '❚❚' : '▶'}
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={duration}
+          value={position}
+          onChange={(e) => seek(parseInt(e.target.value, 10))}
+        />
+        <span className="calibration-value">{formatTime(position)} / {formatTime(duration)}</span>
+        <select className="setup-select" value={rate} onChange={(e) => setRate(parseFloat(e.target.value))}>
+          {RATES.map(r => <option key={r} value={r}>{r}×</option>)}
+        </select>
+      </div>
+
+      <label className="link-toggle">
+        <input
+          type="checkbox"
+          checked={driveKart}
+          disabled={!canDrive}
+          onChange={(e) => setDriveKart(e.target.checked)}
+        />
+        DRIVE CONNECTED KART {!canDrive && '(CONNECT & ARM FIRST)'}
+      </label>
+      {driveKart && canDrive && (
+        <span className="setup-hint">⚠️ The kart will repeat this run (through its current calibration)</span>
+      )}
+
+      <div className="terminal replay-log">
+        {view.lines.map(l => (
+          <div key={l.id} className="in">{formatTime(l.t)} {l.line}</div>
+        ))}
+      </div>
+    </>
+  );
+}
+
+// Recorded sessions: list, export (JSON/CSV), delete and replay
+function SessionBrowser({ canDrive, onReplayFrame, onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+  const [replay, setReplay] = useState(null);
+
+  const refresh = useCallback(() => {
+    listSessions().then(setSessions).catch(e => setError(e.message));
+  }, []);
+
+  useEffect(refresh, [refresh]);
+
+  const exportSession = (session, format) => {
+    loadSessionEvents(session.id).then(events => {
+      if (format === 'csv') downloadFile(fileName(session, 'csv'), sessionToCSV(events), 'text/csv');
+      else downloadFile(fileName(session, 'json'), sessionToJSON(session, events), 'application/json');
+    }).catch(e => setError(e.message));
+  };
+
+  const remove = (session) => {
+    deleteSession(session.id).then(refresh).catch(e => setError(e.message));
+  };
+
+  const open = (session) => {
+    loadSessionEvents(session.id).then(events => setReplay({ session, events })).catch(e => setError(e.message));
+  };
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        {replay ? (
+          <Replay
+            session={replay.session}
+            events={replay.events}
+            canDrive={canDrive}
+            onReplayFrame={onReplayFrame}
+            onBack={() => setReplay(null)}
+          />
+        ) : (
+          <>
+            <div className="setup-header">
+              <span className="setup-title">📼 SESSIONS</span>
+              <button className="back-btn" onClick={onClose}>✕</button>
+            </div>
+            {error && <span className="setup-hint">⚠️ {error}</span>}
+            {!error && sessions.length === 0 && (
+              <span className="setup-hint">No sessions yet - press ⏺ while driving to record one.</span>
+            )}
+            <div className="session-list">
+              {sessions.map(s => (
+                <div key={s.id} className="session-row">
+                  <div className="session-info">
+                    <span className="session-name">{s.name}</span>
+                    <span className="setup-hint">
+                      {s.kartName || 'NO KART'} · {s.endedAt ? formatTime(s.endedAt - s.startedAt) : 'RECORDING'} · {s.eventCount} events{s.failed && ' · ⚠️ FAILED'}
+                    </span>
+                  </div>
+                  <button className="dir-btn" disabled={!s.endedAt} onClick={() => open(s)}>▶</button>
+                  <button className="reset-btn" disabled={!s.endedAt} onClick={() => exportSession(s, 'json')}>JSON</button>
+                  <button className="reset-btn" disabled={!s.endedAt} onClick={() => exportSession(s, 'csv')}>CSV</button>
+                  <button className="back-btn" onClick={() => remove(s)}>🗑</button>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SessionBrowser;
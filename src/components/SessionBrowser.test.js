@@ -0,0 +1,26 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import SessionBrowser from './SessionBrowser';
+
+jest.mock('../sessionStore', () => ({
+  listSessions: () => Promise.resolve([
+    { id: 1, name: 'Session 1', kartName: 'KART-1', startedAt: 0, endedAt: 2000, eventCount: 2 },
+  ]),
+  loadSessionEvents: () => Promise.resolve([
+    { t: 0, kind: 'frame', input: { angle: 90, speed: 0, dir: 0 }, output: { angle: 90, speed: 0, dir: 0 } },
+    { t: 1000, kind: 'frame', input: { angle: 90, speed: 80, dir: 1 }, output: { angle: 90, speed: 80, dir: 1 } },
+  ]),
+  deleteSession: () => Promise.resolve(),
+  sessionToCSV: () => '',
+  sessionToJSON: () => '',
+}));
+
+test('seeking a paused replay does not drive the kart', async () => {
+  const onReplayFrame = jest.fn();
+  render(<SessionBrowser canDrive onReplayFrame={onReplayFrame} onClose={() => {}} />);
+  fireEvent.click(await screen.findByText('▶'));
+  fireEvent.click(await screen.findByLabelText(/DRIVE CONNECTED KART/));
+
+  fireEvent.change(screen.getByRole('slider'), { target: { value: '1500' } });
+  expect(screen.getByText('80%')).toBeInTheDocument();
+  expect(onReplayFrame.mock.calls.every(([frame]) => frame === null)).toBe(true);
+});
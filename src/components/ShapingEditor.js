@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { DEFAULT_SHAPING, SHAPING_FIELDS, SHAPING_PRESETS, shapeCurve } from '../inputShaping';
+
+const MODE_LABELS = { buttons: '📱 BUTTONS', joystick: '🕹️ JOYSTICK', accel: '📐 TILT', controller: '🎮 GAMEPAD', keyboard: '⌨️ KEYS' };
+
+function curvePoints(deadzone, expo) {
+  const points = [];
+  for (let i = 0; i <= 40; i++) {
+    const x = -1 + i / 20;
+    const y = shapeCurve(x, deadzone, expo);
+    points.push(`${(50 + x * 45).toFixed(1)},${(50 - y * 45).toFixed(1)}`);
+  }
+  return points.join(' ');
+}
+
+// Input -> output graph for steering and throttle, with the live input marked
+function CurveGraph({ settings, input }) {
+  const steerOut = shapeCurve(input.steer, settings.steerDeadzone, settings.steerExpo);
+  const throttleOut = shapeCurve(input.throttle, settings.throttleDeadzone, settings.throttleExpo);
+
+  return (
+    <svg className="curve-graph" viewBox="0 0 100 100">
+      <line className="curve-axis" x1="5" y1="50" x2="95" y2="50" />
+      <line className="curve-axis" x1="50" y1="5" x2="50" y2="95" />
+      <line className="curve-linear" x1="5" y1="95" x2="95" y2="5" />
+      <polyline className="curve-steer" points={curvePoints(settings.steerDeadzone, settings.steerExpo)} />
+      <polyline className="curve-throttle" points={curvePoints(settings.throttleDeadzone, settings.throttleExpo)} />
+      <circle className="curve-dot steer" cx={50 + input.steer * 45} cy={50 - steerOut * 45} r="2.5" />
+      <circle className="curve-dot throttle" cx={50 + input.throttle * 45} cy={50 - throttleOut * 45} r="2.5" />
+    </svg>
+  );
+}
+
+// Per-mode input shaping settings with a live curve editor
+function ShapingEditor({ shaping, initialMode, input, onChange, onClose }) {
+  const [mode, setMode] = useState(initialMode || 'joystick');
+  const settings = shaping[mode];
+
+  const update = (changes) => onChange({ ...shaping, [mode]: { ...settings, ...changes } });
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🎚 INPUT SHAPING</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="wizard-actions">
+          {Object.keys(MODE_LABELS).map(m => (
+            <button key={m} className={`mode-tab ${m === mode ? 'active' : ''}`} onClick={() => setMode(m)}>
+              {MODE_LABELS[m]}
+            </button>
+          ))}
+        </div>
+
+        <div className="calibration-body">
+          <div className="calibration-fields">
+            {SHAPING_FIELDS.map(f => (
+              <label key={f.key} className="calibration-field">
+                <span>{f.label}</span>
+                <input
+                  type="range"
+                  min={f.min}
+                  max={f.max}
+                  step={f.step}
+                  value={settings[f.key]}
+                  onChange={(e) => update({ [f.key]: parseFloat(e.target.value) })}
+                />
+                <span className="calibration-value">
+                  {f.unit
+                    ? (settings[f.key] === 0 ? 'OFF' : `${settings[f.key]}${f.unit}`)
+                    : settings[f.key].toFixed(2)}
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="calibration-preview">
+            <CurveGraph settings={settings} input={mode === initialMode ? input : { steer: 0, throttle: 0 }} />
+            <span className="setup-hint"><span className="legend steer">■</span> STEER <span className="legend throttle">■</span> THROTTLE</span>
+          </div>
+        </div>
+
+        <div className="wizard-actions">
+          {Object.keys(SHAPING_PRESETS).map(name => (
+            <button key={name} className="reset-btn" onClick={() => update(SHAPING_PRESETS[name])}>{name}</button>
+          ))}
+          <button className="back-btn" onClick={() => update(DEFAULT_SHAPING[mode])}>DEFAULT</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShapingEditor;
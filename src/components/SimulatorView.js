@@ -0,0 +1,96 @@
+import { useState, useRef, useEffect } from 'react';
+import { TRACK, simWorld } from '../kartSim';
+
+const CAR_LENGTH = 0.4;
+const CAR_WIDTH = 0.24;
+
+function roundedRect(ctx, { x, y, w, h, r }) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+function drawTrack(ctx) {
+  ctx.fillStyle = '#0d2a12';
+  ctx.fillRect(0, 0, TRACK.width, TRACK.height);
+  roundedRect(ctx, TRACK.outer);
+  ctx.fillStyle = '#2a2a33';
+  ctx.fill();
+  roundedRect(ctx, TRACK.inner);
+  ctx.fillStyle = '#0d2a12';
+  ctx.fill();
+
+  // Start / finish line across the top straight
+  ctx.strokeStyle = '#fff';
+  ctx.lineWidth = 0.12;
+  ctx.setLineDash([0.25, 0.25]);
+  ctx.beginPath();
+  ctx.moveTo(TRACK.start.x + 0.6, TRACK.outer.y);
+  ctx.lineTo(TRACK.start.x + 0.6, TRACK.inner.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+function drawCar(ctx, car, color) {
+  ctx.save();
+  ctx.translate(car.x, car.y);
+  ctx.rotate(car.heading);
+  ctx.fillStyle = color;
+  ctx.fillRect(-CAR_LENGTH / 2, -CAR_WIDTH / 2, CAR_LENGTH, CAR_WIDTH);
+  // Front wheels show the steering angle
+  ctx.fillStyle = '#fff';
+  for (const side of [-1, 1]) {
+    ctx.save();
+    ctx.translate(CAR_LENGTH / 2 - 0.05, (side * CAR_WIDTH) / 2);
+    ctx.rotate(car.steer);
+    ctx.fillRect(-0.05, -0.025, 0.1, 0.05);
+    ctx.restore();
+  }
+  ctx.restore();
+}
+
+// Top-down view of the simulator track with every simulated kart, drawn in
+// its kart colour; tap to enlarge
+function SimulatorView({ karts }) {
+  const canvasRef = useRef(null);
+  const colorsRef = useRef({});
+  const [large, setLarge] = useState(false);
+
+  useEffect(() => {
+    colorsRef.current = Object.fromEntries(karts.map(k => [k.name, k.color]));
+  }, [karts]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return;
+
+    let frame;
+    const draw = () => {
+      const scale = (canvas.clientWidth * (window.devicePixelRatio || 1)) / TRACK.width;
+      canvas.width = TRACK.width * scale;
+      canvas.height = TRACK.height * scale;
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      drawTrack(ctx);
+      for (const car of simWorld.cars()) drawCar(ctx, car, colorsRef.current[car.name] || '#0cf');
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [large]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={`sim-view ${large ? 'large' : ''}`}
+      title="Simulator"
+      onClick={() => setLarge(l => !l)}
+    />
+  );
+}
+
+export default SimulatorView;
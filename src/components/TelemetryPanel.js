@@ -0,0 +1,67 @@
+import { TELEMETRY_FIELDS } from '../telemetry';
+
+const GAUGES = [
+  { keys: ['bat'] },
+  { keys: ['spd', 'rpm'] }, // speed, or RPM when the kart has no speed sensor
+  { keys: ['temp'] },
+];
+
+function Sparkline({ values, min, max }) {
+  if (!values || values.length < 2) return <svg className="sparkline" viewBox="0 0 60 16" />;
+  const range = max - min || 1;
+  const points = values.map((v, i) => {
+    const x = (i / (values.length - 1)) * 60;
+    const y = 16 - (Math.max(0, Math.min(1, (v - min) / range)) * 16);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  return (
+    <svg className="sparkline" viewBox="0 0 60 16" preserveAspectRatio="none">
+      <polyline points={points} />
+    </svg>
+  );
+}
+
+function Gauge({ field, value, history }) {
+  const hasValue = value !== undefined;
+  const ratio = hasValue ? Math.max(0, Math.min(1, (value - field.min) / (field.max - field.min))) : 0;
+  const warn = hasValue && ((field.warnBelow !== undefined && value < field.warnBelow) ||
+    (field.warnAbove !== undefined && value > field.warnAbove));
+
+  // Half-circle arc, 0..180°
+  const angle = Math.PI * (1 - ratio);
+  const x = 20 + 16 * Math.cos(angle);
+  const y = 20 - 16 * Math.sin(angle);
+
+  return (
+    <div className={`gauge ${warn ? 'warn' : ''}`}>
+      <svg className="gauge-dial" viewBox="0 0 40 22">
+        <path className="gauge-track" d="M 4 20 A 16 16 0 0 1 36 20" />
+        {hasValue && ratio > 0 && (
+          <path className="gauge-fill" d={`M 4 20 A 16 16 0 0 1 ${x.toFixed(2)} ${y.toFixed(2)}`} />
+        )}
+      </svg>
+      <span className="gauge-value">
+        {hasValue ? value.toFixed(field.decimals) : '--'}
+        <small>{field.unit}</small>
+      </span>
+      <span className="gauge-label">{field.label}</span>
+      <Sparkline values={history} min={field.min} max={field.max} />
+    </div>
+  );
+}
+
+// Live dashboard fed from parsed "T:" telemetry lines
+function TelemetryPanel({ telemetry }) {
+  const { latest, history, updatedAt } = telemetry;
+
+  return (
+    <div className={`telemetry-panel ${updatedAt ? '' : 'idle'}`}>
+      {GAUGES.map(({ keys }) => {
+        const key = keys.find(k => latest[k] !== undefined) || keys[0];
+        return <Gauge key={keys[0]} field={TELEMETRY_FIELDS[key]} value={latest[key]} history={history[key]} />;
+      })}
+    </div>
+  );
+}
+
+export default TelemetryPanel;
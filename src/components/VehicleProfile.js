@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { BRAKE_FRAME, encodeTextFrame } from '../protocol';
+import { DEFAULT_PROFILE, TEMPLATE_FIELDS, VEHICLE_TYPES, formatVehicleFrame, templateError } from '../vehicleProfiles';
+
+const SAMPLES = [
+  { label: 'BRAKE', frame: BRAKE_FRAME, brake: true },
+  { label: 'HALF FORWARD', frame: { angle: 90, speed: 50, dir: 1 } },
+  { label: 'FORWARD, HALF RIGHT', frame: { angle: 135, speed: 100, dir: 1 } },
+  { label: 'FULL RIGHT, NO THROTTLE', frame: { angle: 180, speed: 0, dir: 0 } },
+  { label: 'FULL REVERSE', frame: { angle: 90, speed: 100, dir: -1 } },
+];
+
+// Vehicle type, mixing and frame format of one kart, with the line each
+// sample input would send
+function VehicleProfile({ kartName, profile, onChange, onClose }) {
+  const [template, setTemplate] = useState(profile.template);
+  const error = templateError(template);
+  const set = (changes) => onChange({ ...profile, ...changes });
+
+  // A template is only used once it is valid
+  const editTemplate = (value) => {
+    setTemplate(value);
+    if (!templateError(value)) set({ template: value });
+  };
+
+  return (
+    <div className="setup-backdrop">
+      <div className="setup-panel">
+        <div className="setup-header">
+          <span className="setup-title">🚜 VEHICLE · {kartName}</span>
+          <button className="back-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <select className="setup-select" value={profile.type} onChange={(e) => set({ type: e.target.value })}>
+          {VEHICLE_TYPES.map(t => (
+            <option key={t.type} value={t.type}>{t.label}</option>
+          ))}
+        </select>
+
+        {profile.type !== 'servo' && (
+          <div className="calibration-fields">
+            <label className="calibration-field">
+              <span>TURN GAIN</span>
+              <input
+                type="range"
+                min="0.2"
+                max="1"
+                step="0.05"
+                value={profile.turnGain}
+                onChange={(e) => set({ turnGain: parseFloat(e.target.value) })}
+              />
+              <span className="calibration-value">{profile.turnGain.toFixed(2)}</span>
+            </label>
+            <label className="link-toggle">
+              <input type="checkbox" checked={profile.pivot} onChange={(e) => set({ pivot: e.target.checked })} />
+              SPIN IN PLACE WHEN STEERING WITHOUT THROTTLE
+            </label>
+          </div>
+        )}
+
+        {profile.type === 'custom' && (
+          <>
+            <input
+              className="link-url"
+              type="text"
+              value={template}
+              onChange={(e) => editTemplate(e.target.value)}
+              placeholder={DEFAULT_PROFILE.template}
+              spellCheck={false}
+            />
+            {error && <span className="setup-hint param-error">{error}</span>}
+            <span className="setup-hint">
+              {TEMPLATE_FIELDS.map(f => `{${f.key}} ${f.range}`).join(' · ')}. Left/right are the differential mix.
+            </span>
+          </>
+        )}
+
+        <div className="vehicle-samples">
+          {SAMPLES.map(s => (
+            <div key={s.label} className="vehicle-sample">
+              <span className="setup-hint">{s.label}</span>
+              <code>{formatVehicleFrame(profile, s.frame, { brake: s.brake }) ?? encodeTextFrame(s.frame)}</code>
+            </div>
+          ))}
+        </div>
+        <span className="setup-hint">
+          {profile.type === 'servo'
+            ? 'Binary frames are used instead when the kart supports them.'
+            : 'Sent as a text line after calibration, brake frames included.'}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default VehicleProfile;
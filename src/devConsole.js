@@ -0,0 +1,65 @@
+// Developer console: log buffer, filtering and export, raw command history
+// and user-defined quick commands
+//
+// Log entries are { message, type, time, id } where type is 'in' (from the
+// kart), 'out' (raw commands sent) or '' (app / system messages).
+
+export const LOG_LENGTH = 500;
+const HISTORY_KEY = 'kart.commandHistory';
+const HISTORY_LENGTH = 50;
+const QUICK_KEY = 'kart.quickCommands';
+
+export const LOG_KINDS = [
+  { key: 'in', label: 'IN' },
+  { key: 'out', label: 'OUT' },
+  { key: 'system', label: 'SYS' },
+];
+
+export const DEFAULT_QUICK_COMMANDS = [{ label: 'VERSION', command: '?V' }];
+
+export const logKind = (entry) => entry.type || 'system';
+
+export function filterLogs(logs, kinds, search = '') {
+  const needle = search.trim().toLowerCase();
+  return logs.filter(l => kinds.includes(logKind(l)) && (!needle || String(l.message).toLowerCase().includes(needle)));
+}
+
+export function formatLogTime(time) {
+  const d = new Date(time);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+export function logsToText(logs) {
+  return logs.map(l => `${new Date(l.time).toISOString()}  ${logKind(l).toUpperCase().padEnd(6)}  ${l.message}`).join('\n') + '\n';
+}
+
+export function loadCommandHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveCommandHistory(history) {
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+}
+
+// Newest last; repeating the previous command does not add an entry
+export function pushHistory(history, command) {
+  if (history[history.length - 1] === command) return history;
+  return [...history, command].slice(-HISTORY_LENGTH);
+}
+
+export function loadQuickCommands() {
+  try {
+    return JSON.parse(localStorage.getItem(QUICK_KEY)) || DEFAULT_QUICK_COMMANDS;
+  } catch (e) {
+    return DEFAULT_QUICK_COMMANDS;
+  }
+}
+
+export function saveQuickCommands(commands) {
+  localStorage.setItem(QUICK_KEY, JSON.stringify(commands));
+}
@@ -0,0 +1,35 @@
+import { filterLogs, loadQuickCommands, logsToText, pushHistory, DEFAULT_QUICK_COMMANDS } from './devConsole';
+
+const logs = [
+  { message: 'V:1', type: 'in', time: 0, id: 1 },
+  { message: '?V', type: 'out', time: 10, id: 2 },
+  { message: 'Connected!', type: '', time: 20, id: 3 },
+];
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('filterLogs keeps the chosen kinds that match the search', () => {
+  expect(filterLogs(logs, ['in', 'out', 'system']).map(l => l.id)).toEqual([1, 2, 3]);
+  expect(filterLogs(logs, ['system']).map(l => l.id)).toEqual([3]);
+  expect(filterLogs(logs, ['in', 'out', 'system'], ' v').map(l => l.id)).toEqual([1, 2]);
+});
+
+test('logsToText writes one timestamped line per entry', () => {
+  expect(logsToText(logs.slice(0, 1))).toBe('1970-01-01T00:00:00.000Z  IN      V:1\n');
+});
+
+test('pushHistory skips a repeated command and keeps the last 50', () => {
+  expect(pushHistory(['?V'], '?V')).toEqual(['?V']);
+  const history = Array.from({ length: 50 }, (_, i) => `cmd ${i}`);
+  const next = pushHistory(history, 'PLIST');
+  expect(next).toHaveLength(50);
+  expect(next[0]).toBe('cmd 1');
+  expect(next[49]).toBe('PLIST');
+});
+
+test('quick commands fall back to the defaults', () => {
+  localStorage.setItem('kart.quickCommands', '{broken');
+  expect(loadQuickCommands()).toBe(DEFAULT_QUICK_COMMANDS);
+});
@@ -0,0 +1,163 @@
+import { createEmitter } from './transports/emitter';
+
+// Driver assists between input shaping and the control frame
+//
+//   mode input -> shaping -> cruise -> launch control -> traction control -> frame
+//
+// Cruise holds the throttle it was engaged at. It lets go on a brake, on a
+// push the other way, or when the throttle is pressed again after being
+// released (a shallower position while releasing doesn't count).
+// Launch control caps the throttle of a standing start along a ramp from
+// launchStart to full over launchTime; launchCurve bends the ramp (0 linear,
+// 1 slow at first).
+// Traction control watches the RPM the kart reports: when it rises faster
+// than tcMaxRpmRate the wheels are spinning, so the throttle is cut by tcCut
+// and given back at tcRecover.
+
+const STORAGE_KEY = 'kart.assists';
+
+// Standard-mapping R1 toggles cruise in gamepad mode, C on the keyboard
+export const CRUISE_BUTTON = 5;
+export const CRUISE_KEY = 'KeyC';
+
+const CRUISE_INPUT = 0.1; // throttle movement that cancels cruise
+const STANDING_RPM = 100; // below this (or without RPM) a start is a standing start
+const TELEMETRY_MAX_AGE = 1000;
+
+export const ASSIST_FIELDS = [
+  { key: 'launchStart', label: 'LAUNCH START', min: 0, max: 100, step: 5, unit: '%' },
+  { key: 'launchTime', label: 'LAUNCH RAMP', min: 100, max: 3000, step: 100, unit: 'ms' },
+  { key: 'launchCurve', label: 'LAUNCH CURVE', min: 0, max: 1, step: 0.05 },
+  { key: 'tcMaxRpmRate', label: 'TC MAX RPM RISE', min: 500, max: 20000, step: 500, unit: 'rpm/s' },
+  { key: 'tcCut', label: 'TC THROTTLE CUT', min: 10, max: 90, step: 5, unit: '%' },
+  { key: 'tcRecover', label: 'TC RECOVERY', min: 10, max: 500, step: 10, unit: '%/s' },
+];
+
+export const DEFAULT_ASSISTS = {
+  launch: false,
+  traction: false,
+  launchStart: 30,
+  launchTime: 1000,
+  launchCurve: 0.3,
+  tcMaxRpmRate: 6000,
+  tcCut: 40,
+  tcRecover: 100,
+};
+
+export function loadAssists() {
+  try {
+    return { ...DEFAULT_ASSISTS, ...(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}) };
+  } catch (e) {
+    return DEFAULT_ASSISTS;
+  }
+}
+
+export function saveAssists(assists) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(assists));
+}
+
+// Throttle cap (0..1) at progress 0..1 of the launch ramp
+export function launchLimit(progress, settings) {
+  const start = settings.launchStart / 100;
+  const p = Math.max(0, Math.min(1, progress));
+  return start + (1 - start) * p ** (1 + settings.launchCurve * 2);
+}
+
+// Stateful like the shaper: step() once per frame, telemetry() for every
+// telemetry sample
+//
+// Events: 'log' (message) when an assist engages or lets go
+export function createDriveAssist() {
+  const events = createEmitter();
+  const onEvent = (message) => events.emit('log', message);
+  let cruise = null; // { throttle, low }
+  let launchAt = null;
+  let tcLimit = 1;
+  let lastThrottle = 0;
+  let rpm = null; // { value, time }
+
+  const stopCruise = (reason) => {
+    if (!cruise) return;
+    cruise = null;
+    onEvent(`⏩ Cruise off (${reason})`);
+  };
+
+  const standing = (now) => !rpm || now - rpm.time > TELEMETRY_MAX_AGE || rpm.value < STANDING_RPM;
+
+  return {
+    step(input, out, settings, dt, now) {
+      let throttle = out.throttle;
+
+      if (cruise) {
+        const t = input.throttle;
+        const against = Math.abs(t) > CRUISE_INPUT && Math.sign(t) !== Math.sign(cruise.throttle);
+        if (against) {
+          stopCruise('brake');
+        } else {
+          cruise.low = Math.min(cruise.low, Math.abs(t));
+          if (Math.abs(t) > cruise.low + CRUISE_INPUT) stopCruise('throttle');
+          else throttle = cruise.throttle;
+        }
+      }
+
+      if (settings.launch && throttle > 0) {
+        if (launchAt === null && lastThrottle <= 0 && standing(now)) {
+          launchAt = now;
+          onEvent('🚀 Launch');
+        }
+        if (launchAt !== null) {
+          const progress = (now - launchAt) / settings.launchTime;
+          if (progress >= 1) launchAt = null;
+          else throttle = Math.min(throttle, launchLimit(progress, settings));
+        }
+      } else {
+        launchAt = null;
+      }
+
+      if (settings.traction && tcLimit < 1) {
+        tcLimit = Math.min(1, tcLimit + (settings.tcRecover / 100) * (dt / 1000));
+        throttle = Math.sign(throttle) * Math.min(Math.abs(throttle), tcLimit);
+      } else {
+        tcLimit = 1;
+      }
+
+      lastThrottle = throttle;
+      return { steer: out.steer, throttle };
+    },
+    // Spots wheelspin from how fast RPM rises between samples
+    telemetry(values, settings, now) {
+      if (values.rpm === undefined) return;
+      const previous = rpm;
+      rpm = { value: values.rpm, time: now };
+      if (!settings.traction || !previous || now - previous.time > TELEMETRY_MAX_AGE) return;
+      const rate = (rpm.value - previous.value) / Math.max(0.001, (now - previous.time) / 1000);
+      if (rate > settings.tcMaxRpmRate && Math.abs(lastThrottle) > 0) {
+        const limit = Math.abs(lastThrottle) * (1 - settings.tcCut / 100);
+        if (tcLimit >= 1) onEvent(`🛞 Traction control: wheelspin (${Math.round(rate)} rpm/s)`);
+        tcLimit = Math.min(tcLimit, limit);
+      }
+    },
+    // Engages at the current output; false when there's nothing to hold
+    toggleCruise(out) {
+      if (cruise) {
+        stopCruise('off');
+        return false;
+      }
+      if (out.throttle === 0) return false;
+      cruise = { throttle: out.throttle, low: Math.abs(out.throttle) };
+      onEvent(`⏩ Cruise ${Math.round(Math.abs(out.throttle) * 100)}%${out.throttle < 0 ? ' reverse' : ''}`);
+      return true;
+    },
+    cancelCruise: stopCruise,
+    // { cruise, launch, traction }: what is active right now
+    status: () => ({ cruise: cruise !== null, launch: launchAt !== null, traction: tcLimit < 1 }),
+    reset() {
+      cruise = null;
+      launchAt = null;
+      tcLimit = 1;
+      lastThrottle = 0;
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
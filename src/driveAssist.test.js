@@ -0,0 +1,86 @@
+import { DEFAULT_ASSISTS, createDriveAssist, launchLimit } from './driveAssist';
+
+const settings = { ...DEFAULT_ASSISTS, launch: true, traction: true };
+const input = (throttle) => ({ steer: 0, throttle });
+
+test('launchLimit ramps from launchStart to full', () => {
+  expect(launchLimit(0, settings)).toBeCloseTo(0.3);
+  expect(launchLimit(1, settings)).toBeCloseTo(1);
+  expect(launchLimit(2, settings)).toBeCloseTo(1);
+  expect(launchLimit(0.5, { ...settings, launchCurve: 0 })).toBeCloseTo(0.65);
+  // A bent ramp holds back longer
+  expect(launchLimit(0.5, { ...settings, launchCurve: 1 })).toBeLessThan(launchLimit(0.5, { ...settings, launchCurve: 0 }));
+});
+
+describe('cruise', () => {
+  test('holds the engaged throttle after the input is released', () => {
+    const assist = createDriveAssist();
+    expect(assist.toggleCruise({ throttle: 0.6 })).toBe(true);
+    expect(assist.step(input(0.6), input(0.6), DEFAULT_ASSISTS, 20, 0).throttle).toBe(0.6);
+    expect(assist.step(input(0), input(0), DEFAULT_ASSISTS, 20, 20).throttle).toBe(0.6);
+    expect(assist.status().cruise).toBe(true);
+  });
+
+  test('lets go on a brake and on throttle pressed again after releasing', () => {
+    const assist = createDriveAssist();
+    const log = jest.fn();
+    assist.on('log', log);
+
+    assist.toggleCruise({ throttle: 0.6 });
+    assist.step(input(0), input(0), DEFAULT_ASSISTS, 20, 0);
+    expect(assist.step(input(-0.5), input(-0.5), DEFAULT_ASSISTS, 20, 20).throttle).toBe(-0.5);
+    expect(log).toHaveBeenLastCalledWith('⏩ Cruise off (brake)');
+
+    assist.toggleCruise({ throttle: 0.6 });
+    assist.step(input(0.1), input(0.1), DEFAULT_ASSISTS, 20, 40);
+    expect(assist.step(input(0.3), input(0.3), DEFAULT_ASSISTS, 20, 60).throttle).toBe(0.3);
+    expect(log).toHaveBeenLastCalledWith('⏩ Cruise off (throttle)');
+  });
+
+  test('does not engage at standstill', () => {
+    expect(createDriveAssist().toggleCruise({ throttle: 0 })).toBe(false);
+  });
+});
+
+describe('launch control', () => {
+  test('caps a standing start along the ramp', () => {
+    const assist = createDriveAssist();
+    expect(assist.step(input(1), input(1), settings, 20, 0).throttle).toBeCloseTo(0.3);
+    expect(assist.status().launch).toBe(true);
+    expect(assist.step(input(1), input(1), settings, 20, 500).throttle).toBeCloseTo(launchLimit(0.5, settings));
+    expect(assist.step(input(1), input(1), settings, 20, 1000).throttle).toBe(1);
+    expect(assist.status().launch).toBe(false);
+  });
+
+  test('leaves a rolling start alone', () => {
+    const assist = createDriveAssist();
+    assist.telemetry({ rpm: 2000 }, settings, 0);
+    expect(assist.step(input(1), input(1), settings, 20, 10).throttle).toBe(1);
+  });
+});
+
+describe('traction control', () => {
+  test('cuts the throttle on a fast RPM rise and gives it back over time', () => {
+    const assist = createDriveAssist();
+    const rolling = { ...settings, launch: false };
+    assist.telemetry({ rpm: 1000 }, rolling, 0);
+    assist.step(input(1), input(1), rolling, 20, 0);
+    assist.telemetry({ rpm: 3000 }, rolling, 100); // 20000 rpm/s
+    expect(assist.status().traction).toBe(true);
+
+    expect(assist.step(input(1), input(1), rolling, 100, 200).throttle).toBeCloseTo(0.7);
+    for (let t = 300; t <= 800; t += 100) assist.step(input(1), input(1), rolling, 100, t);
+    expect(assist.step(input(1), input(1), rolling, 100, 900).throttle).toBe(1);
+    expect(assist.status().traction).toBe(false);
+  });
+
+  test('ignores a slow rise and stale samples', () => {
+    const assist = createDriveAssist();
+    const rolling = { ...settings, launch: false };
+    assist.step(input(1), input(1), rolling, 20, 0);
+    assist.telemetry({ rpm: 1000 }, rolling, 0);
+    assist.telemetry({ rpm: 1200 }, rolling, 100); // 2000 rpm/s
+    assist.telemetry({ rpm: 9000 }, rolling, 2000); // too long since the last sample
+    expect(assist.status().traction).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+// Latched emergency stop: triggers, settings and the event log
+//
+//   padButton       gamepad button index that triggers the stop on any pad
+//                   (8 = Share / View / Select on standard pads), null = off
+//   keys            Escape / Space trigger the stop
+//   shake           a hard shake of the phone triggers the stop
+//   shakeThreshold  acceleration (m/s², gravity removed) that counts as a jolt
+//
+// Once latched, every kart gets brake frames until the driver holds the
+// re-arm button for HOLD_TO_ARM ms.
+
+const SETTINGS_KEY = 'kart.estop';
+const LOG_KEY = 'kart.estopLog';
+const LOG_LENGTH = 50;
+
+export const HOLD_TO_ARM = 1500;
+
+// A shake is SHAKE_JOLTS jolts within SHAKE_WINDOW ms; samples closer than
+// JOLT_GAP ms belong to the same jolt
+const SHAKE_JOLTS = 3;
+const SHAKE_WINDOW = 600;
+const JOLT_GAP = 80;
+const GRAVITY = 9.81;
+
+export const ESTOP_SOURCES = {
+  button: 'SCREEN BUTTON',
+  gamepad: 'GAMEPAD',
+  key: 'KEYBOARD',
+  shake: 'SHAKE',
+};
+
+export const DEFAULT_ESTOP_SETTINGS = {
+  padButton: 8,
+  keys: true,
+  shake: false,
+  shakeThreshold: 15,
+};
+
+export function loadEstopSettings() {
+  try {
+    return { ...DEFAULT_ESTOP_SETTINGS, ...(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {}) };
+  } catch (e) {
+    return { ...DEFAULT_ESTOP_SETTINGS };
+  }
+}
+
+export function saveEstopSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function loadEstopLog() {
+  try {
+    return JSON.parse(localStorage.getItem(LOG_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveEstopLog(log) {
+  localStorage.setItem(LOG_KEY, JSON.stringify(log));
+}
+
+// event: { type: 'stop' | 'rearm', source, time }
+export function appendEstopEvent(log, event) {
+  return [...log, event].slice(-LOG_LENGTH);
+}
+
+export function formatEstopTime(time) {
+  const d = new Date(time);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString()}.${String(d.getMilliseconds()).padStart(3, '0')}`;
+}
+
+export function padButtonPressed(gamepads, index) {
+  if (index === null || index === undefined) return false;
+  return Array.from(gamepads).some(gp => gp && gp.buttons[index] && gp.buttons[index].pressed);
+}
+
+// devicemotion handler that calls onShake after SHAKE_JOLTS jolts above the
+// threshold within SHAKE_WINDOW ms
+export function createShakeDetector({ threshold, onShake }) {
+  let jolts = [];
+  return (event) => {
+    const a = event.accelerationIncludingGravity;
+    if (!a || a.x === null) return;
+    const force = Math.abs(Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z) - GRAVITY);
+    if (force < threshold) return;
+    const now = performance.now();
+    if (jolts.length && now - jolts[jolts.length - 1] < JOLT_GAP) return;
+    jolts = [...jolts.filter(t => now - t < SHAKE_WINDOW), now];
+    if (jolts.length >= SHAKE_JOLTS) {
+      jolts = [];
+      onShake();
+    }
+  };
+}
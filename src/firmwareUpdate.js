@@ -0,0 +1,223 @@
+import { crc16 } from './protocol';
+
+// Over-the-air firmware update over the command channel
+//
+// App -> kart                            Kart -> app
+//   OTA:BEGIN size=<n>;crc=<crc32>         OTA:READY next=<offset>;block=<n>;mtu=<n>
+//   OTA:D <offset> <base64> <crc16>        OTA:ACK <next offset>   or   OTA:NAK <offset>
+//   OTA:END                                OTA:OK <crc32>          (whole image checked)
+//   OTA:BOOT                               OTA:BOOT, then the kart restarts
+//   OTA:ABORT                              OTA:ABORTED
+//   any of the above, on failure           OTA:ERR <message>
+//
+// Checksums are hex: CRC-32 (IEEE) over the image, CRC-16/CCITT-FALSE over
+// each block. READY answers with next > 0 when the kart already holds the
+// start of the same image (same size and crc), so an interrupted update picks
+// up where it stopped. block is the largest block the kart buffers and mtu
+// the largest single write its radio takes; both are optional. Firmware
+// refuses BEGIN while the kart is moving.
+
+export const OTA_PREFIX = 'OTA:';
+export const OTA_TIMEOUT = 2000;
+export const OTA_RETRIES = 4;
+export const DEFAULT_BLOCK_SIZE = 128;
+const VERIFY_TIMEOUT = 10000;
+
+// Telemetry above these, no older than MOVING_MAX_AGE, counts as moving
+const MOVING_SPEED = 0.3; // km/h
+const MOVING_RPM = 30;
+const MOVING_MAX_AGE = 2000;
+
+let crcTable = null;
+
+// Worth sending the block again (no answer, bad checksum at the kart)
+const retryable = (message) => Object.assign(new Error(message), { retry: true });
+
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+export function toBase64(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+  return btoa(text);
+}
+
+export function fromBase64(text) {
+  const raw = atob(text);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+  return bytes;
+}
+
+export function encodeBegin(image) {
+  return `${OTA_PREFIX}BEGIN size=${image.length};crc=${hex(crc32(image), 8)}`;
+}
+
+export function encodeBlock(offset, bytes) {
+  return `${OTA_PREFIX}D ${offset} ${toBase64(bytes)} ${hex(crc16(bytes), 4)}`;
+}
+
+// { offset, bytes } for a block line with a matching checksum, otherwise null
+export function decodeBlock(line) {
+  const match = /^OTA:D (\d+) ([A-Za-z0-9+/=]+) ([0-9A-Fa-f]{4})$/.exec(line);
+  if (!match) return null;
+  let bytes;
+  try {
+    bytes = fromBase64(match[2]);
+  } catch (e) {
+    return null;
+  }
+  if (crc16(bytes) !== parseInt(match[3], 16)) return null;
+  return { offset: parseInt(match[1], 10), bytes };
+}
+
+const fieldsOf = (text) => Object.fromEntries(text.split(';').filter(Boolean).map(f => f.split('=')));
+
+// { kind: 'ready', next, block, mtu } | { kind: 'ack', next } | { kind: 'nak', offset }
+// | { kind: 'ok', crc } | { kind: 'boot' } | { kind: 'aborted' } | { kind: 'error', message } | null
+export function parseOtaLine(line) {
+  if (!line.startsWith(OTA_PREFIX)) return null;
+  const body = line.slice(OTA_PREFIX.length);
+  const [word, ...rest] = body.split(' ');
+  const arg = rest.join(' ');
+  switch (word) {
+    case 'READY': {
+      const fields = fieldsOf(arg);
+      const number = (key) => (fields[key] ? parseInt(fields[key], 10) : null);
+      return { kind: 'ready', next: number('next') || 0, block: number('block'), mtu: number('mtu') };
+    }
+    case 'ACK':
+      return { kind: 'ack', next: parseInt(arg, 10) };
+    case 'NAK':
+      return { kind: 'nak', offset: parseInt(arg, 10) };
+    case 'OK':
+      return { kind: 'ok', crc: parseInt(arg, 16) };
+    case 'BOOT':
+      return { kind: 'boot' };
+    case 'ABORTED':
+      return { kind: 'aborted' };
+    case 'ERR':
+      return { kind: 'error', message: arg || 'Rejected by the kart' };
+    default:
+      return null;
+  }
+}
+
+// Block payload that fits both the kart's buffer and, with a negotiated MTU,
+// one write per block line
+export function blockSizeFor(ready) {
+  let size = DEFAULT_BLOCK_SIZE;
+  if (ready.block) size = Math.min(size, ready.block);
+  if (ready.mtu) {
+    // "OTA:D " + offset + " " + base64 + " " + crc16 + "\n"
+    const room = ready.mtu - 24;
+    size = Math.max(16, Math.min(size, Math.floor(room / 4) * 3));
+  }
+  return size;
+}
+
+// True while fresh telemetry says the wheels are turning
+export function isKartMoving(telemetry, now = Date.now()) {
+  if (!telemetry.updatedAt || now - telemetry.updatedAt > MOVING_MAX_AGE) return false;
+  const { spd = 0, rpm = 0 } = telemetry.latest;
+  return Math.abs(spd) > MOVING_SPEED || Math.abs(rpm) > MOVING_RPM;
+}
+
+// One request at a time over the kart's line channel; feed every incoming
+// line to handleLine, which returns true for update replies
+export function createOtaSession(send, { timeout = OTA_TIMEOUT, retries = OTA_RETRIES } = {}) {
+  let pending = null;
+
+  const request = (line, onReply, wait = timeout) => new Promise((resolve, reject) => {
+    if (pending) pending.fail(new Error('Busy'));
+    const timer = setTimeout(() => finish(reject, retryable('No answer from the kart')), wait);
+    const finish = (fn, value) => {
+      clearTimeout(timer);
+      pending = null;
+      fn(value);
+    };
+    pending = {
+      onReply: (reply) => onReply(reply, (value) => finish(resolve, value), (error) => finish(reject, error)),
+      fail: (error) => finish(reject, error),
+    };
+    send(line);
+  });
+
+  const failOnError = (reply, fail) => {
+    if (reply.kind === 'error') fail(new Error(reply.message));
+  };
+
+  return {
+    handleLine(line) {
+      const reply = parseOtaLine(line);
+      if (!reply) return false;
+      if (pending) pending.onReply(reply);
+      return true;
+    },
+    // Rejects whatever is waiting (the link dropped, the user cancelled)
+    interrupt(error) {
+      if (pending) pending.fail(error);
+    },
+    // Resolves to the READY reply ({ next, block, mtu })
+    begin(image) {
+      return request(encodeBegin(image), (reply, done, fail) => {
+        if (reply.kind === 'ready') done(reply);
+        else failOnError(reply, fail);
+      });
+    },
+    // Sends one block until the kart acknowledges it; resolves to the next offset
+    async block(offset, bytes) {
+      let lastError = null;
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+          return await request(encodeBlock(offset, bytes), (reply, done, fail) => {
+            if (reply.kind === 'ack') done(reply.next);
+            else if (reply.kind === 'nak') fail(retryable(`Block at ${offset} rejected`));
+            else failOnError(reply, fail);
+          });
+        } catch (e) {
+          if (!e.retry) throw e;
+          lastError = e;
+        }
+      }
+      throw lastError;
+    },
+    // Asks the kart to check the whole image against the app's CRC-32
+    verify(image) {
+      const expected = crc32(image);
+      return request(`${OTA_PREFIX}END`, (reply, done, fail) => {
+        if (reply.kind === 'ok') {
+          if (reply.crc === expected) done();
+          else fail(new Error(`Image check failed (kart has ${hex(reply.crc, 8)}, file is ${hex(expected, 8)})`));
+        } else {
+          failOnError(reply, fail);
+        }
+      }, VERIFY_TIMEOUT);
+    },
+    boot() {
+      return request(`${OTA_PREFIX}BOOT`, (reply, done, fail) => {
+        if (reply.kind === 'boot') done();
+        else failOnError(reply, fail);
+      });
+    },
+    abort() {
+      return request(`${OTA_PREFIX}ABORT`, (reply, done, fail) => {
+        if (reply.kind === 'aborted') done();
+        else failOnError(reply, fail);
+      });
+    },
+  };
+}
@@ -0,0 +1,103 @@
+import { blockSizeFor, createOtaSession, crc32, decodeBlock, encodeBegin, encodeBlock, isKartMoving, parseOtaLine } from './firmwareUpdate';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+test('crc32 is the IEEE check value', () => {
+  expect(crc32(bytes('123456789'))).toBe(0xCBF43926);
+  expect(crc32(new Uint8Array(0))).toBe(0);
+  expect(encodeBegin(bytes('123456789'))).toBe('OTA:BEGIN size=9;crc=CBF43926');
+});
+
+test('block lines round-trip and a bad checksum is refused', () => {
+  const block = Uint8Array.from([0, 1, 2, 250, 255]);
+  const line = encodeBlock(640, block);
+  expect(decodeBlock(line)).toEqual({ offset: 640, bytes: block });
+  expect(decodeBlock(line.slice(0, -4) + '0000')).toBeNull();
+  expect(decodeBlock('OTA:D 0 !!! 0000')).toBeNull();
+});
+
+test('parseOtaLine reads every kart reply', () => {
+  expect(parseOtaLine('OTA:READY next=256;block=64;mtu=185')).toEqual({ kind: 'ready', next: 256, block: 64, mtu: 185 });
+  expect(parseOtaLine('OTA:READY')).toEqual({ kind: 'ready', next: 0, block: null, mtu: null });
+  expect(parseOtaLine('OTA:ACK 128')).toEqual({ kind: 'ack', next: 128 });
+  expect(parseOtaLine('OTA:NAK 64')).toEqual({ kind: 'nak', offset: 64 });
+  expect(parseOtaLine('OTA:OK CBF43926')).toEqual({ kind: 'ok', crc: 0xCBF43926 });
+  expect(parseOtaLine('OTA:BOOT')).toEqual({ kind: 'boot' });
+  expect(parseOtaLine('OTA:ABORTED')).toEqual({ kind: 'aborted' });
+  expect(parseOtaLine('OTA:ERR moving')).toEqual({ kind: 'error', message: 'moving' });
+  expect(parseOtaLine('OTA:ERR')).toEqual({ kind: 'error', message: 'Rejected by the kart' });
+  expect(parseOtaLine('OTA:WHAT')).toBeNull();
+  expect(parseOtaLine('T:V=7.4')).toBeNull();
+});
+
+test('blockSizeFor fits the kart buffer and one write per line', () => {
+  expect(blockSizeFor({})).toBe(128);
+  expect(blockSizeFor({ block: 64 })).toBe(64);
+  // 185 - 24 = 161 characters of base64: 40 groups of 4, 120 bytes
+  expect(blockSizeFor({ mtu: 185 })).toBe(120);
+  expect(blockSizeFor({ mtu: 512 })).toBe(128);
+  expect(blockSizeFor({ mtu: 20 })).toBe(16);
+});
+
+test('isKartMoving only trusts fresh telemetry', () => {
+  const now = 10000;
+  expect(isKartMoving({ updatedAt: now - 100, latest: { spd: 2 } }, now)).toBe(true);
+  expect(isKartMoving({ updatedAt: now - 100, latest: { rpm: 10, spd: 0.1 } }, now)).toBe(false);
+  expect(isKartMoving({ updatedAt: now - 3000, latest: { spd: 2 } }, now)).toBe(false);
+  expect(isKartMoving({ updatedAt: null, latest: {} }, now)).toBe(false);
+});
+
+describe('createOtaSession', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('sends a block again after a NAK or no answer, then gives up', async () => {
+    const sent = [];
+    const session = createOtaSession((line) => sent.push(line), { timeout: 100, retries: 2 });
+    const block = Uint8Array.from([1, 2, 3]);
+
+    const acked = session.block(0, block);
+    session.handleLine('OTA:NAK 0');
+    await Promise.resolve();
+    await Promise.resolve();
+    session.handleLine('OTA:ACK 3');
+    await expect(acked).resolves.toBe(3);
+    expect(sent).toHaveLength(2);
+
+    const lost = session.block(3, block);
+    for (let i = 0; i < 3; i++) {
+      jest.advanceTimersByTime(100);
+      await Promise.resolve();
+      await Promise.resolve();
+    }
+    await expect(lost).rejects.toThrow('No answer from the kart');
+    expect(sent).toHaveLength(5);
+  });
+
+  test('an error reply is not retried', async () => {
+    const session = createOtaSession(() => {});
+    const started = session.begin(bytes('image'));
+    session.handleLine('OTA:ERR Kart is moving');
+    await expect(started).rejects.toThrow('Kart is moving');
+  });
+
+  test('verify fails when the kart holds a different image', async () => {
+    const session = createOtaSession(() => {});
+    const image = bytes('123456789');
+    const checked = session.verify(image);
+    session.handleLine('OTA:OK 00000001');
+    await expect(checked).rejects.toThrow('Image check failed (kart has 00000001, file is CBF43926)');
+  });
+
+  test('interrupt rejects the request in flight', async () => {
+    const session = createOtaSession(() => {});
+    const booting = session.boot();
+    session.interrupt(new Error('Connection lost'));
+    await expect(booting).rejects.toThrow('Connection lost');
+  });
+});
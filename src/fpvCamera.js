@@ -0,0 +1,54 @@
+import { DEFAULT_KART } from './calibration';
+
+// FPV camera view: a kart's MJPEG stream (e.g. an ESP32-CAM) full-screen
+// behind the control mode, with a HUD on top
+//
+//   url      MJPEG stream, e.g. http://192.168.4.2:81/stream
+//   hud      HUD layout: 'top' strip, 'bottom' strip or 'corners'
+//   opacity  of the HUD and the mode's inputs over the picture (0.2..1)
+//   fit      'cover' fills the screen, 'contain' shows the whole picture
+//   panels   keep the mode's stats, telemetry and log panels (off = inputs only)
+//
+// Stored per kart (link name) like calibration; "default" is used for karts
+// without their own.
+
+const STORAGE_KEY = 'kart.fpv';
+
+// Wait before asking for the stream again after it failed
+export const STREAM_RETRY = 2000;
+
+export const HUD_LAYOUTS = [
+  { key: 'top', label: 'TOP STRIP' },
+  { key: 'bottom', label: 'BOTTOM STRIP' },
+  { key: 'corners', label: 'CORNERS' },
+];
+
+export const DEFAULT_FPV = {
+  url: '',
+  hud: 'top',
+  opacity: 0.6,
+  fit: 'cover',
+  panels: false,
+};
+
+export function loadFpvSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveFpvSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function fpvFor(kartName, settings) {
+  return { ...DEFAULT_FPV, ...(settings[DEFAULT_KART] || {}), ...(kartName && settings[kartName] ? settings[kartName] : {}) };
+}
+
+// A retry needs a new URL, or the browser hands back the failed image
+export function streamUrl(url, attempt) {
+  if (!attempt) return url;
+  return url + (url.includes('?') ? '&' : '?') + 'retry=' + attempt;
+}
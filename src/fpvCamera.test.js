@@ -0,0 +1,14 @@
+import { DEFAULT_FPV, fpvFor, streamUrl } from './fpvCamera';
+
+test('streamUrl adds a retry count so the browser asks again', () => {
+  expect(streamUrl('http://cam.local:81/stream', 0)).toBe('http://cam.local:81/stream');
+  expect(streamUrl('http://cam.local:81/stream', 2)).toBe('http://cam.local:81/stream?retry=2');
+  expect(streamUrl('http://cam.local/?action=stream', 1)).toBe('http://cam.local/?action=stream&retry=1');
+});
+
+test('fpvFor layers the kart over the default settings', () => {
+  const settings = { default: { hud: 'corners' }, 'KART-2': { url: 'http://cam2/stream' } };
+  expect(fpvFor('KART-2', settings)).toEqual({ ...DEFAULT_FPV, hud: 'corners', url: 'http://cam2/stream' });
+  expect(fpvFor('KART-3', settings).url).toBe('');
+  expect(fpvFor(null, {})).toEqual(DEFAULT_FPV);
+});
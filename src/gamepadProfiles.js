@@ -0,0 +1,158 @@
+// Gamepad mapping profiles
+//
+// A profile maps three driving controls to gamepad inputs:
+//   steer    -> -1 (left) .. 1 (right)
+//   throttle ->  0 .. 1
+//   reverse  ->  0 .. 1
+// Each binding is either { kind: 'button', index } (analog button value) or
+// { kind: 'axis', index, invert, min, max }, where min/max is the calibrated
+// raw range of the axis. Custom profiles are stored per gamepad.id.
+
+export const CONTROLS = ['steer', 'throttle', 'reverse'];
+const STORAGE_KEY = 'kart.gamepadProfiles';
+
+const axis = (index, { invert = false, min = -1, max = 1 } = {}) => ({ kind: 'axis', index, invert, min, max });
+const button = (index) => ({ kind: 'button', index });
+
+// Built-in presets, matched against gamepad.id in order
+export const PRESETS = [
+  {
+    key: 'ps5',
+    name: 'PlayStation',
+    match: /dualsense|dualshock|054c|wireless controller/i,
+    bindings: { steer: axis(0), throttle: button(7), reverse: button(6) },
+  },
+  {
+    key: 'xbox',
+    name: 'Xbox',
+    match: /xbox|xinput|045e/i,
+    bindings: { steer: axis(0), throttle: button(7), reverse: button(6) },
+  },
+  {
+    key: '8bitdo',
+    name: '8BitDo',
+    match: /8bitdo|2dc8/i,
+    bindings: { steer: axis(0), throttle: button(7), reverse: button(6) },
+  },
+  {
+    key: 'wheel',
+    name: 'Wheel + Pedals',
+    match: /wheel|racing|pedal/i,
+    // Pedal axes rest at +1 and read -1 when fully pressed
+    bindings: { steer: axis(0), throttle: axis(2, { invert: true }), reverse: axis(5, { invert: true }) },
+  },
+  {
+    key: 'standard',
+    name: 'Standard',
+    match: /.*/,
+    bindings: { steer: axis(0), throttle: button(7), reverse: button(6) },
+  },
+];
+
+export function presetFor(gamepadId) {
+  return PRESETS.find(p => p.match.test(gamepadId));
+}
+
+export function loadCustomProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveCustomProfiles(profiles) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+}
+
+// Custom profile for this pad if there is one, else its preset
+export function resolveProfile(gamepadId, customProfiles) {
+  if (customProfiles[gamepadId]) return { ...customProfiles[gamepadId], custom: true };
+  const preset = presetFor(gamepadId);
+  return { name: preset.name, bindings: preset.bindings, custom: false };
+}
+
+// Normalized 0..1 position of an axis within its calibrated range
+function axisPosition(value, { min, max, invert }) {
+  const range = max - min || 1;
+  const n = Math.max(0, Math.min(1, (value - min) / range));
+  return invert ? 1 - n : n;
+}
+
+export function readBinding(gp, binding, control) {
+  if (!binding) return 0;
+  if (binding.kind === 'button') {
+    const b = gp.buttons[binding.index];
+    const value = b ? b.value : 0;
+    return control === 'steer' ? value * 2 - 1 : value;
+  }
+  const raw = gp.axes[binding.index];
+  if (raw === undefined) return 0;
+  const position = axisPosition(raw, binding);
+  return control === 'steer' ? position * 2 - 1 : position;
+}
+
+export function readControls(gp, profile) {
+  return {
+    steer: readBinding(gp, profile.bindings.steer, 'steer'),
+    throttle: readBinding(gp, profile.bindings.throttle, 'throttle'),
+    reverse: readBinding(gp, profile.bindings.reverse, 'reverse'),
+  };
+}
+
+// Throttle = forward, reverse = backward, neither = brake
+export function driveInput(controls) {
+  let throttle = 0;
+  if (controls.throttle > controls.reverse) throttle = controls.throttle;
+  else if (controls.reverse > controls.throttle) throttle = -controls.reverse;
+  return { steer: controls.steer, throttle };
+}
+
+export function bindingLabel(binding) {
+  if (!binding) return '—';
+  return (binding.kind === 'axis' ? 'Axis ' : 'Button ') + binding.index + (binding.invert ? ' (inv)' : '');
+}
+
+// Snapshot of every input, used by the remap wizard to spot what moved
+export function snapshotInputs(gp) {
+  return {
+    axes: Array.from(gp.axes),
+    buttons: Array.from(gp.buttons, b => b.value),
+  };
+}
+
+// Finds the input that moved furthest from the baseline snapshot, ignoring
+// inputs already bound to another control. Returns a binding, or null if
+// nothing moved enough yet.
+export function detectBinding(baseline, current, control, exclude = []) {
+  const taken = (kind, index) => exclude.some(b => b && b.kind === kind && b.index === index);
+  let best = null;
+  let bestDelta = 0.5;
+
+  current.buttons.forEach((value, index) => {
+    if (taken('button', index)) return;
+    const delta = value - (baseline.buttons[index] || 0);
+    if (delta > bestDelta) {
+      bestDelta = delta;
+      best = button(index);
+    }
+  });
+
+  current.axes.forEach((value, index) => {
+    if (taken('axis', index)) return;
+    const rest = baseline.axes[index] || 0;
+    const delta = Math.abs(value - rest);
+    if (delta > bestDelta) {
+      bestDelta = delta;
+      if (control === 'steer') {
+        // The wizard asks for full RIGHT, so a negative swing means inverted
+        best = axis(index, { invert: value < rest });
+      } else {
+        // Pedals/triggers: rest position maps to 0, pressed position to 1
+        best = axis(index, { invert: value < rest, min: Math.min(rest, value), max: Math.max(rest, value) });
+      }
+    }
+  });
+
+  return best;
+}
@@ -3,6 +3,15 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { requestPersistentStorage, setUpdateReady } from './pwa';
+import { installMocks, mockRequested } from './mocks';
+
+// ?mock swaps Web Bluetooth and the Gamepad API for in-page fakes, driven from
+// the console through window.kartMocks (e.g. kartMocks.gamepads.connect())
+if (mockRequested()) {
+  window.kartMocks = installMocks({ telemetry: true });
+}
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,6 +20,11 @@ root.render(
   </React.StrictMode>
 );
 
+// Precache the app for offline use; a new deploy is offered through the
+// update prompt instead of replacing the running version
+serviceWorkerRegistration.register({ onUpdate: setUpdateReady });
+requestPersistentStorage();
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -0,0 +1,129 @@
+// Input shaping pipeline shared by every control mode
+//
+// Modes only report raw, normalized input:
+//   steer     -1 (full left) .. 1 (full right)
+//   throttle  -1 (full reverse) .. 1 (full forward)
+// and the pipeline turns it into steering/speed in this order:
+//   deadzone (rescaled) -> expo curve -> steering smoothing (low-pass)
+//   -> steering rate limit -> throttle ramp up/down
+//
+// Rate fields use 0 for "unlimited".
+
+const STORAGE_KEY = 'kart.shaping';
+
+export const SHAPING_FIELDS = [
+  { key: 'steerDeadzone', label: 'STEER DEADZONE', min: 0, max: 0.5, step: 0.01 },
+  { key: 'steerExpo', label: 'STEER EXPO', min: 0, max: 1, step: 0.05 },
+  { key: 'smoothing', label: 'STEER SMOOTHING', min: 0, max: 500, step: 10, unit: 'ms' },
+  { key: 'steerRate', label: 'MAX STEER RATE', min: 0, max: 1000, step: 10, unit: '°/s' },
+  { key: 'throttleDeadzone', label: 'THROTTLE DEADZONE', min: 0, max: 0.5, step: 0.01 },
+  { key: 'throttleExpo', label: 'THROTTLE EXPO', min: 0, max: 1, step: 0.05 },
+  { key: 'throttleUp', label: 'THROTTLE RAMP UP', min: 0, max: 500, step: 10, unit: '%/s' },
+  { key: 'throttleDown', label: 'THROTTLE RAMP DOWN', min: 0, max: 1000, step: 10, unit: '%/s' },
+];
+
+const NEUTRAL = {
+  steerDeadzone: 0,
+  steerExpo: 0,
+  smoothing: 0,
+  steerRate: 0,
+  throttleDeadzone: 0,
+  throttleExpo: 0,
+  throttleUp: 0,
+  throttleDown: 0,
+};
+
+// Defaults reproduce how each mode felt before shaping was configurable
+export const DEFAULT_SHAPING = {
+  buttons: { ...NEUTRAL, steerRate: 250 },
+  joystick: { ...NEUTRAL, throttleDeadzone: 0.05 },
+  accel: { ...NEUTRAL, smoothing: 100 },
+  controller: { ...NEUTRAL, steerDeadzone: 0.1, steerRate: 300 },
+  keyboard: { ...NEUTRAL, steerRate: 250, throttleUp: 150, throttleDown: 300 },
+};
+
+export const SHAPING_PRESETS = {
+  BEGINNER: { steerExpo: 0.5, throttleExpo: 0.5, steerRate: 180, throttleUp: 60, throttleDown: 300 },
+  SPORT: { steerExpo: 0.2, throttleExpo: 0.2, steerRate: 400, throttleUp: 200, throttleDown: 0 },
+  RACE: { steerExpo: 0, throttleExpo: 0, steerRate: 0, throttleUp: 0, throttleDown: 0 },
+};
+
+export function loadShaping() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const merged = {};
+    for (const mode of Object.keys(DEFAULT_SHAPING)) {
+      merged[mode] = { ...DEFAULT_SHAPING[mode], ...(saved[mode] || {}) };
+    }
+    return merged;
+  } catch (e) {
+    return DEFAULT_SHAPING;
+  }
+}
+
+export function saveShaping(shaping) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(shaping));
+}
+
+// Deadzone with the remaining travel rescaled to 0..1, so there is no jump
+export function applyDeadzone(x, deadzone) {
+  const mag = Math.abs(x);
+  if (mag <= deadzone) return 0;
+  return Math.sign(x) * Math.min(1, (mag - deadzone) / (1 - deadzone));
+}
+
+// Standard RC expo: blend of linear and cubic response
+export function applyExpo(x, expo) {
+  return (1 - expo) * x + expo * x * x * x;
+}
+
+// The static part of the curve (what the curve editor draws)
+export function shapeCurve(x, deadzone, expo) {
+  return applyExpo(applyDeadzone(x, deadzone), expo);
+}
+
+function approach(current, target, maxStep) {
+  const diff = target - current;
+  if (Math.abs(diff) <= maxStep) return target;
+  return current + Math.sign(diff) * maxStep;
+}
+
+// Stateful pipeline: call step() once per frame with the elapsed time
+export function createShaper() {
+  let filtered = 0;
+  let steer = 0;
+  let throttle = 0;
+
+  return {
+    step(input, settings, dt) {
+      const s = settings;
+      const targetSteer = shapeCurve(input.steer, s.steerDeadzone, s.steerExpo);
+      const targetThrottle = shapeCurve(input.throttle, s.throttleDeadzone, s.throttleExpo);
+
+      // Low-pass with a time constant, independent of frame rate
+      filtered = s.smoothing > 0 ? filtered + (targetSteer - filtered) * (1 - Math.exp(-dt / s.smoothing)) : targetSteer;
+
+      // Rate limit in degrees per second (steer is -1..1 for ±90°)
+      steer = s.steerRate > 0 ? approach(steer, filtered, (s.steerRate / 90) * (dt / 1000)) : filtered;
+
+      // Ramp towards zero with throttleDown, away from zero with throttleUp;
+      // a direction change ramps down to zero first
+      const crossing = throttle !== 0 && Math.sign(targetThrottle) !== Math.sign(throttle);
+      const goal = crossing ? 0 : targetThrottle;
+      const rising = Math.abs(goal) > Math.abs(throttle);
+      const rate = rising ? s.throttleUp : s.throttleDown;
+      throttle = rate > 0 ? approach(throttle, goal, (rate / 100) * (dt / 1000)) : goal;
+
+      return { steer, throttle };
+    },
+    // Drops the throttle to zero at once, skipping the ramp down (brake)
+    cutThrottle() {
+      throttle = 0;
+    },
+    reset() {
+      filtered = 0;
+      steer = 0;
+      throttle = 0;
+    },
+  };
+}
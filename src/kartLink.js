@@ -0,0 +1,329 @@
+import { createTransport } from './transports';
+import { createEmitter } from './transports/emitter';
+import { BRAKE_FRAME, encodeBinaryFrame, encodeTextFrame, negotiateProtocol } from './protocol';
+import { DEFAULT_MAX_MISSED_ACKS, EMPTY_LINK_STATS, createLinkMonitor } from './linkHealth';
+import { CONTROL_TICK, KEEPALIVE_INTERVAL, controlInterval, createWriteQueue } from './writeQueue';
+
+// Connection state machine
+//
+//   idle ─▶ scanning ─▶ connecting ─▶ connected ──(lost)──▶ reconnecting ─┐
+//             │             │             ▲                     │  ▲      │
+//             └─────────────┴─▶ failed    └─────────────────────┘  └──────┘
+//                                 ▲                  retry with backoff
+//                                 └──────── (out of attempts) ────────────┘
+//
+// Any state can go back to idle when the user disconnects.
+export const LINK_STATES = {
+  IDLE: 'idle',
+  SCANNING: 'scanning',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed',
+};
+
+const TRANSITIONS = {
+  idle: ['scanning', 'connecting', 'failed'],
+  scanning: ['connecting', 'failed', 'idle'],
+  connecting: ['connected', 'failed', 'idle'],
+  connected: ['reconnecting', 'idle'],
+  reconnecting: ['connected', 'failed', 'idle'],
+  failed: ['idle'],
+};
+
+export const MAX_RECONNECT_ATTEMPTS = 6;
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 8000;
+const DISCONNECT_FLUSH_TIMEOUT = 300;
+
+export function canTransition(from, to) {
+  return TRANSITIONS[from].includes(to);
+}
+
+export function reconnectDelay(attempt) {
+  return Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt);
+}
+
+// One connection to one kart: transport, outbound queue, protocol handshake,
+// heartbeat watchdog, control loop and reconnect logic.
+//
+// Output is held at brake (holdReason !== null) after the watchdog trips or
+// after a reconnect, until the user calls rearm(). Every frame, brake frames
+// included, passes through outputStage (calibration etc.) before encoding.
+// formatFrame(frame, brake) (the vehicle profile) can replace the encoding
+// with its own text line; null keeps the negotiated text or binary frame.
+//
+// Events: 'state', 'log', 'line', 'stats', 'hold', 'lost',
+//         'frame' ({ input, output, brake } for every control frame written)
+export function createKartLink({
+  type,
+  url,
+  preferBinary = true,
+  maxMissedAcks = DEFAULT_MAX_MISSED_ACKS,
+  getFrame,
+  outputStage = (frame) => frame,
+  formatFrame = () => null,
+}) {
+  const events = createEmitter();
+  const transport = createTransport(type, { url });
+  let state = LINK_STATES.IDLE;
+  let attempt = 0;
+  let retryAt = null;
+  let retryTimer = null;
+  let tickTimer = null;
+  let holdReason = null;
+  let stats = EMPTY_LINK_STATS;
+  // The transport dropped while a connect or reconnect was still underway
+  let lostWhileConnecting = false;
+
+  let protocol = { format: 'text', version: 0 };
+  let frameSeq = 0;
+  let epoch = 0;
+  let lastFrame = null;
+  let lastFrameTime = 0;
+
+  const log = (message) => events.emit('log', message);
+
+  const setState = (next) => {
+    if (!canTransition(state, next)) return false;
+    state = next;
+    events.emit('state', { state, attempt, retryAt });
+    return true;
+  };
+
+  const setHold = (reason) => {
+    if (holdReason === reason) return;
+    holdReason = reason;
+    events.emit('hold', reason);
+  };
+
+  const queue = createWriteQueue(transport, {
+    onError: (error) => transport.isConnected() && log(error.toString()),
+  });
+
+  // Brake frames jump the queue; anything else replaces the pending frame
+  const writeFrame = (frame, brake = false) => {
+    if (!transport.isConnected()) return;
+    const input = frame;
+    frame = outputStage(frame);
+    events.emit('frame', { input, output: frame, brake });
+    const line = formatFrame(frame, brake);
+    let data;
+    if (line !== null) {
+      data = line + '\n';
+    } else if (protocol.format === 'binary') {
+      frameSeq = (frameSeq + 1) & 0xFFFF;
+      data = encodeBinaryFrame(frame, frameSeq, Math.round(performance.now() - epoch));
+    } else {
+      data = encodeTextFrame(frame) + '\n';
+    }
+    if (brake) queue.writeBrake(data);
+    else queue.writeControl(data);
+  };
+
+  // Sends on change (paced to the link's throughput) and repeats the last
+  // frame every KEEPALIVE_INTERVAL
+  const tick = () => {
+    const held = holdReason !== null;
+    const frame = held ? BRAKE_FRAME : getFrame();
+    const changed = !lastFrame || lastFrame.angle !== frame.angle || lastFrame.speed !== frame.speed || lastFrame.dir !== frame.dir;
+    const elapsed = performance.now() - lastFrameTime;
+    if (!changed && elapsed < KEEPALIVE_INTERVAL) return;
+    if (changed && elapsed < controlInterval(queue.averageWriteTime())) return;
+
+    lastFrame = frame;
+    lastFrameTime = performance.now();
+    writeFrame(frame, held);
+  };
+
+  const monitor = createLinkMonitor({
+    sendPing: (line) => transport.isConnected() && queue.write(line + '\n'),
+    onUpdate: (next) => {
+      stats = next;
+      events.emit('stats', stats);
+    },
+    onStale: (next) => {
+      setHold('stale');
+      writeFrame(BRAKE_FRAME, true);
+      log(`⚠️ Link stale (${next.missed} missed acks) - auto brake`);
+    },
+    maxMissed: maxMissedAcks,
+  });
+
+  const startLoop = () => {
+    lastFrame = null;
+    if (!tickTimer) tickTimer = setInterval(tick, CONTROL_TICK);
+    monitor.start();
+  };
+
+  const stopLoop = () => {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    monitor.stop();
+  };
+
+  const negotiate = () => {
+    protocol = { format: 'text', version: 0 };
+    return negotiateProtocol(transport, { preferBinary, write: (data) => queue.write(data) }).then(result => {
+      protocol = result;
+      frameSeq = 0;
+      epoch = performance.now();
+      log(result.format === 'binary' ? `Protocol: binary v${result.version}` : 'Protocol: text');
+    });
+  };
+
+  const shutdown = () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryAt = null;
+    stopLoop();
+    queue.close();
+    return transport.disconnect();
+  };
+
+  // A handshake on a transport that dropped meanwhile falls back to text
+  // instead of failing, so the loss has to be checked before going connected
+  const checkNotLost = () => {
+    if (lostWhileConnecting) throw new Error('Connection lost during the handshake');
+  };
+
+  const retry = () => {
+    retryTimer = null;
+    retryAt = null;
+    lostWhileConnecting = false;
+    log(`Reconnecting (attempt ${attempt + 1}/${MAX_RECONNECT_ATTEMPTS})...`);
+    transport.reconnect()
+      .then(negotiate)
+      .then(() => {
+        if (state !== LINK_STATES.RECONNECTING) return transport.disconnect();
+        checkNotLost();
+        attempt = 0;
+        monitor.reset();
+        setState(LINK_STATES.CONNECTED);
+        startLoop();
+        log('Connected! Output held at brake until re-armed');
+      })
+      .catch(error => {
+        if (state !== LINK_STATES.RECONNECTING) return;
+        log(error.toString());
+        attempt++;
+        if (attempt >= MAX_RECONNECT_ATTEMPTS) {
+          log('❌ Reconnect failed, giving up');
+          shutdown();
+          setState(LINK_STATES.FAILED);
+        } else {
+          scheduleRetry();
+        }
+      });
+  };
+
+  const scheduleRetry = () => {
+    const delay = reconnectDelay(attempt);
+    retryAt = Date.now() + delay;
+    retryTimer = setTimeout(retry, delay);
+    events.emit('state', { state, attempt, retryAt });
+  };
+
+  const handleLost = () => {
+    if (state !== LINK_STATES.CONNECTED && state !== LINK_STATES.IDLE) lostWhileConnecting = true;
+    if (state !== LINK_STATES.CONNECTED) return;
+    stopLoop();
+    queue.setChunkSize(null);
+    setHold('reconnected');
+    log('⚠️ Connection lost!');
+    events.emit('lost');
+    attempt = 0;
+    setState(LINK_STATES.RECONNECTING);
+    scheduleRetry();
+  };
+
+  const handleLine = (line) => {
+    if (monitor.handleLine(line)) return;
+    events.emit('line', line);
+  };
+
+  // Transports report scanning/connecting while the first connect is underway
+  const handleTransportState = (next) => {
+    if (state !== LINK_STATES.RECONNECTING) setState(next);
+  };
+
+  transport.on('log', log);
+  transport.on('line', handleLine);
+  transport.on('state', handleTransportState);
+  transport.on('disconnect', handleLost);
+
+  return {
+    type,
+    get name() {
+      return transport.name;
+    },
+    get state() {
+      return state;
+    },
+    get holdReason() {
+      return holdReason;
+    },
+    get protocol() {
+      return protocol;
+    },
+    connect() {
+      if (state !== LINK_STATES.IDLE) return Promise.reject(new Error('Link already used'));
+      lostWhileConnecting = false;
+      return transport.connect()
+        .then(() => log('Connected!'))
+        .then(negotiate)
+        .then(() => {
+          checkNotLost();
+          if (!setState(LINK_STATES.CONNECTED)) return;
+          startLoop();
+        })
+        .catch(error => {
+          log(error.toString());
+          shutdown();
+          // Closing the device chooser is not a failure
+          if (error.name === 'NotFoundError') setState(LINK_STATES.IDLE);
+          else setState(LINK_STATES.FAILED);
+        });
+    },
+    disconnect() {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      retryAt = null;
+      stopLoop();
+      if (transport.isConnected()) {
+        writeFrame(BRAKE_FRAME, true); // direction 0 = brake
+        log('⚠️ Sent brake state before disconnect');
+      }
+      log('Disconnecting...');
+      setState(LINK_STATES.IDLE);
+      // Give the brake frame a moment to leave before closing the link
+      return Promise.race([queue.drain(), new Promise(resolve => setTimeout(resolve, DISCONNECT_FLUSH_TIMEOUT))])
+        .then(shutdown)
+        .then(() => log('Disconnected'));
+    },
+    send(data) {
+      if (transport.isConnected()) queue.write(data);
+    },
+    brake() {
+      writeFrame(BRAKE_FRAME, true);
+    },
+    // Brakes and keeps braking until rearm()
+    hold(reason) {
+      setHold(reason);
+      writeFrame(BRAKE_FRAME, true);
+    },
+    rearm() {
+      if (state !== LINK_STATES.CONNECTED || stats.stale) return false;
+      setHold(null);
+      return true;
+    },
+    setMaxMissed: monitor.setMaxMissed,
+    // Largest single write; firmware can negotiate more than the transport's default
+    get maxChunkSize() {
+      return queue.chunkSize();
+    },
+    setMaxChunkSize: queue.setChunkSize,
+    on: events.on,
+    off: events.off,
+  };
+}
@@ -0,0 +1,118 @@
+import { createKartLink, reconnectDelay, LINK_STATES } from './kartLink';
+import { createEmitter } from './transports/emitter';
+import { BRAKE_FRAME, HANDSHAKE_TIMEOUT } from './protocol';
+
+// The kart's transport, driven by the test: it answers the handshake unless
+// dropOnHandshake is set, in which case the link goes down as the query leaves
+// and the handshake only ends on its timeout
+let mockTransport;
+jest.mock('./transports', () => ({
+  createTransport: () => mockTransport,
+}));
+
+function fakeTransport() {
+  const events = createEmitter();
+  let connected = false;
+  const open = () => {
+    events.emit('state', 'connecting');
+    connected = true;
+    return Promise.resolve();
+  };
+  return {
+    name: 'Fake kart',
+    maxChunkSize: 20,
+    dropOnHandshake: false,
+    reconnects: 0,
+    connect: open,
+    reconnect() {
+      this.reconnects++;
+      return open();
+    },
+    disconnect: () => {
+      connected = false;
+      return Promise.resolve();
+    },
+    isConnected: () => connected,
+    write(data) {
+      if (typeof data === 'string' && data.startsWith('?V')) {
+        if (this.dropOnHandshake) {
+          this.drop();
+          return Promise.reject(new Error('GATT server is disconnected'));
+        }
+        Promise.resolve().then(() => events.emit('line', 'V:1'));
+      }
+      return Promise.resolve();
+    },
+    drop() {
+      connected = false;
+      events.emit('disconnect');
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
+
+describe('createKartLink', () => {
+  let link;
+
+  // Connects, reconnects and handshakes each take a few promise turns
+  const flush = async () => {
+    for (let i = 0; i < 10; i++) await Promise.resolve();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockTransport = fakeTransport();
+    link = createKartLink({ type: 'bluetooth', getFrame: () => BRAKE_FRAME });
+  });
+
+  afterEach(() => {
+    link.disconnect();
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+  });
+
+  test('connects and negotiates the binary protocol', async () => {
+    link.connect();
+    await flush();
+    expect(link.state).toBe(LINK_STATES.CONNECTED);
+    expect(link.protocol).toEqual({ format: 'binary', version: 1 });
+  });
+
+  test('a first connect that drops mid-handshake fails instead of going connected', async () => {
+    mockTransport.dropOnHandshake = true;
+    link.connect();
+    await flush();
+    jest.advanceTimersByTime(HANDSHAKE_TIMEOUT);
+    await flush();
+    expect(link.state).toBe(LINK_STATES.FAILED);
+  });
+
+  test('a reconnect that drops mid-handshake counts as a failed attempt and retries', async () => {
+    const states = [];
+    link.on('state', (next) => states.push(next));
+    link.connect();
+    await flush();
+
+    mockTransport.drop();
+    expect(link.state).toBe(LINK_STATES.RECONNECTING);
+    expect(link.holdReason).toBe('reconnected');
+
+    mockTransport.dropOnHandshake = true;
+    jest.advanceTimersByTime(reconnectDelay(0));
+    await flush();
+    jest.advanceTimersByTime(HANDSHAKE_TIMEOUT);
+    await flush();
+    expect(mockTransport.reconnects).toBe(1);
+    expect(link.state).toBe(LINK_STATES.RECONNECTING);
+    expect(states[states.length - 1]).toMatchObject({ state: 'reconnecting', attempt: 1 });
+    expect(states[states.length - 1].retryAt).not.toBeNull();
+
+    mockTransport.dropOnHandshake = false;
+    jest.advanceTimersByTime(reconnectDelay(1));
+    await flush();
+    expect(mockTransport.reconnects).toBe(2);
+    expect(link.state).toBe(LINK_STATES.CONNECTED);
+    expect(link.holdReason).toBe('reconnected');
+  });
+});
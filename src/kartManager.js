@@ -0,0 +1,131 @@
+import { createEmitter } from './transports/emitter';
+import { LINK_STATES, createKartLink } from './kartLink';
+import { EMPTY_LINK_STATS } from './linkHealth';
+
+// Several kart links at once. Each kart has its own label, colour and input;
+// an input ('screen' = this phone's control mode, 'pad:<index>' = a gamepad,
+// 'remote' = a remote app through the bridge) drives at most one kart, karts
+// without an input get brake frames.
+//
+// Events: 'change' (list of kart snapshots), and 'log', 'line', 'frame',
+//         'lost' forwarded from each link as (kart, data)
+
+export const KART_COLORS = ['#0cf', '#f80', '#0f0', '#f0f', '#ff0', '#f33'];
+export const SCREEN_INPUT = 'screen';
+export const REMOTE_INPUT = 'remote';
+
+export const padInput = (index) => `pad:${index}`;
+
+export function padIndexOf(input) {
+  return input && input.startsWith('pad:') ? parseInt(input.slice(4), 10) : null;
+}
+
+export function createKartManager({ getFrame, outputStage, formatFrame = () => null }) {
+  const events = createEmitter();
+  const karts = new Map();
+  let nextId = 1;
+
+  const snapshot = (kart) => ({
+    id: kart.id,
+    type: kart.link.type,
+    name: kart.link.name || null,
+    label: kart.label,
+    color: kart.color,
+    input: kart.input,
+    ...kart.state,
+    stats: kart.stats,
+    holdReason: kart.link.holdReason,
+  });
+
+  const list = () => [...karts.values()].map(snapshot);
+  const changed = () => events.emit('change', list());
+
+  const remove = (id) => {
+    const kart = karts.get(id);
+    if (!kart) return Promise.resolve();
+    karts.delete(id);
+    changed();
+    return kart.link.disconnect();
+  };
+
+  const unassign = (input) => {
+    for (const kart of karts.values()) {
+      if (kart.input === input) kart.input = null;
+    }
+  };
+
+  return {
+    list,
+    get(id) {
+      return karts.get(id) || null;
+    },
+    // The new kart takes over the screen input unless another kart has it
+    add({ type, url, preferBinary, maxMissedAcks }) {
+      const id = nextId++;
+      const hasScreen = [...karts.values()].some(k => k.input === SCREEN_INPUT);
+      const kart = {
+        id,
+        label: `KART ${id}`,
+        color: KART_COLORS[(id - 1) % KART_COLORS.length],
+        input: hasScreen ? null : SCREEN_INPUT,
+        state: { state: LINK_STATES.IDLE, attempt: 0, retryAt: null },
+        stats: EMPTY_LINK_STATS,
+      };
+      kart.link = createKartLink({
+        type,
+        url,
+        preferBinary,
+        maxMissedAcks,
+        getFrame: () => getFrame(kart),
+        outputStage: (frame) => outputStage(kart, frame),
+        formatFrame: (frame, brake) => formatFrame(kart, frame, brake),
+      });
+      kart.link.on('state', (next) => {
+        kart.state = next;
+        changed();
+      });
+      kart.link.on('stats', (next) => {
+        kart.stats = next;
+        changed();
+      });
+      kart.link.on('hold', changed);
+      for (const name of ['log', 'line', 'frame', 'lost']) {
+        kart.link.on(name, (data) => events.emit(name, kart, data));
+      }
+      karts.set(id, kart);
+      changed();
+      return kart;
+    },
+    remove,
+    update(id, changes) {
+      const kart = karts.get(id);
+      if (!kart) return;
+      if (changes.input) unassign(changes.input);
+      Object.assign(kart, changes);
+      changed();
+    },
+    // Latches brake on every kart with a live link; each needs re-arming
+    broadcastStop() {
+      let count = 0;
+      for (const kart of karts.values()) {
+        if (kart.state.state === LINK_STATES.CONNECTED || kart.state.state === LINK_STATES.RECONNECTING) {
+          kart.link.hold('stop');
+          count++;
+        }
+      }
+      return count;
+    },
+    // One immediate brake frame to every kart
+    brakeAll() {
+      for (const kart of karts.values()) kart.link.brake();
+    },
+    setMaxMissed(maxMissed) {
+      for (const kart of karts.values()) kart.link.setMaxMissed(maxMissed);
+    },
+    disconnectAll() {
+      return Promise.all([...karts.keys()].map(remove));
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
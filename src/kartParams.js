@@ -0,0 +1,199 @@
+// Firmware parameters over the command channel
+//
+// App -> kart                      Kart -> app
+//   PLIST                            PDEF:<field>=<value>;... per parameter, then PDEF:END
+//   PGET <name>                      PVAL:<name>=<value>
+//   PSET <name>=<value>              PVAL:<name>=<value>   (the value now in use)
+//   PSAVE                            PSAVED                (written to EEPROM)
+//   any of the above, on failure     PERR:<name or SAVE>=<message>
+//
+// PDEF fields: name, type (int | float | bool | enum), value, label, unit,
+// min, max, step (numbers) and options (enum, separated by |). Bools are
+// sent as 1/0. Names, labels and values can't contain ';', '=' or '|'.
+
+export const PARAM_TIMEOUT = 1500;
+export const PARAM_TYPES = ['int', 'float', 'bool', 'enum'];
+
+const splitOnce = (text, separator) => {
+  const i = text.indexOf(separator);
+  return i < 0 ? [text, ''] : [text.slice(0, i), text.slice(i + 1)];
+};
+
+export function parseParamDef(fields) {
+  const raw = Object.fromEntries(fields.split(';').filter(Boolean).map(f => splitOnce(f, '=')));
+  if (!raw.name || !PARAM_TYPES.includes(raw.type)) return null;
+  const number = (key) => (raw[key] === undefined || raw[key] === '' ? null : Number(raw[key]));
+  const def = {
+    name: raw.name,
+    type: raw.type,
+    label: raw.label || raw.name,
+    unit: raw.unit || '',
+    min: number('min'),
+    max: number('max'),
+    step: number('step'),
+    options: raw.options ? raw.options.split('|') : [],
+  };
+  return { ...def, value: parseParamValue(def, raw.value) };
+}
+
+export function parseParamValue(def, text) {
+  switch (def.type) {
+    case 'int':
+      return parseInt(text, 10);
+    case 'float':
+      return parseFloat(text);
+    case 'bool':
+      return text === '1' || text === 'true';
+    default:
+      return text;
+  }
+}
+
+export function formatParamValue(def, value) {
+  if (def.type === 'bool') return value ? '1' : '0';
+  return String(value);
+}
+
+// { kind: 'def', def } | { kind: 'end' } | { kind: 'value', name, raw }
+// | { kind: 'saved' } | { kind: 'error', name, message } | null
+export function parseParamLine(line) {
+  if (line === 'PDEF:END') return { kind: 'end' };
+  if (line === 'PSAVED') return { kind: 'saved' };
+  if (line.startsWith('PDEF:')) {
+    const def = parseParamDef(line.slice(5));
+    return def ? { kind: 'def', def } : null;
+  }
+  if (line.startsWith('PVAL:')) {
+    const [name, raw] = splitOnce(line.slice(5), '=');
+    return { kind: 'value', name, raw };
+  }
+  if (line.startsWith('PERR:')) {
+    const [name, message] = splitOnce(line.slice(5), '=');
+    return { kind: 'error', name, message: message || 'Rejected by the kart' };
+  }
+  return null;
+}
+
+// Error message for a value the kart would reject, or null
+export function validateParam(def, value) {
+  switch (def.type) {
+    case 'bool':
+      return typeof value === 'boolean' ? null : 'Must be on or off';
+    case 'enum':
+      return def.options.includes(value) ? null : `Must be one of ${def.options.join(', ')}`;
+    default:
+      break;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'Not a number';
+  if (def.type === 'int' && !Number.isInteger(value)) return 'Must be a whole number';
+  if (def.min !== null && value < def.min) return `Min ${def.min}${def.unit}`;
+  if (def.max !== null && value > def.max) return `Max ${def.max}${def.unit}`;
+  if (def.step) {
+    const steps = (value - (def.min || 0)) / def.step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6) return `Steps of ${def.step}`;
+  }
+  return null;
+}
+
+// Parameter set file: { kart, exported, params: { name: value } }
+export function paramsToJSON(kartName, defs) {
+  return JSON.stringify({
+    kart: kartName,
+    exported: new Date().toISOString(),
+    params: Object.fromEntries(defs.map(d => [d.name, d.value])),
+  }, null, 2);
+}
+
+// Values from a parameter set file that fit this kart's schema, plus what
+// had to be skipped
+export function paramsFromJSON(text, defs) {
+  const data = JSON.parse(text);
+  const params = data && data.params;
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) throw new Error('Not a parameter set');
+  const values = {};
+  const skipped = [];
+  for (const [name, value] of Object.entries(params)) {
+    const def = defs.find(d => d.name === name);
+    if (!def) {
+      skipped.push(`${name} (unknown)`);
+      continue;
+    }
+    const error = validateParam(def, value);
+    if (error) skipped.push(`${name} (${error})`);
+    else values[name] = value;
+  }
+  return { values, skipped };
+}
+
+// One request at a time over the kart's line channel; feed every incoming
+// line to handleLine, which returns true for parameter replies
+export function createParamSession(send, { timeout = PARAM_TIMEOUT } = {}) {
+  let pending = null;
+  let queue = Promise.resolve();
+
+  const request = (command, onReply) => {
+    const run = () => new Promise((resolve, reject) => {
+      let timer = null;
+      const finish = (fn, value) => {
+        clearTimeout(timer);
+        pending = null;
+        fn(value);
+      };
+      // Every reply restarts the timeout, so long lists don't time out
+      const restart = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => finish(reject, new Error('No answer from the kart')), timeout);
+      };
+      pending = {
+        onReply: (reply) => {
+          restart();
+          onReply(reply, (value) => finish(resolve, value), (error) => finish(reject, error));
+        },
+      };
+      restart();
+      send(command);
+    });
+    const result = queue.then(run, run);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const failOn = (name) => (reply, fail) => {
+    if (reply.kind === 'error' && reply.name === name) fail(new Error(`${name}: ${reply.message}`));
+  };
+
+  return {
+    handleLine(line) {
+      const reply = parseParamLine(line);
+      if (!reply) return false;
+      if (pending) pending.onReply(reply);
+      return true;
+    },
+    list() {
+      const defs = [];
+      return request('PLIST', (reply, done, fail) => {
+        if (reply.kind === 'def') defs.push(reply.def);
+        else if (reply.kind === 'end') done(defs);
+        else if (reply.kind === 'error') fail(new Error(reply.message));
+      });
+    },
+    get(name) {
+      return request(`PGET ${name}`, (reply, done, fail) => {
+        if (reply.kind === 'value' && reply.name === name) done(reply.raw);
+        else failOn(name)(reply, fail);
+      });
+    },
+    set(def, value) {
+      return request(`PSET ${def.name}=${formatParamValue(def, value)}`, (reply, done, fail) => {
+        if (reply.kind === 'value' && reply.name === def.name) done(parseParamValue(def, reply.raw));
+        else failOn(def.name)(reply, fail);
+      });
+    },
+    save() {
+      return request('PSAVE', (reply, done, fail) => {
+        if (reply.kind === 'saved') done();
+        else failOn('SAVE')(reply, fail);
+      });
+    },
+  };
+}
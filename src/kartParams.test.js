@@ -0,0 +1,105 @@
+import { createParamSession, parseParamLine, paramsFromJSON, paramsToJSON, validateParam } from './kartParams';
+
+const int = { name: 'maxPwm', type: 'int', label: 'MAX PWM', unit: '', min: 0, max: 255, step: 5, options: [] };
+const bool = { name: 'reverse', type: 'bool', label: 'REVERSE', unit: '', min: null, max: null, step: null, options: [] };
+const mode = { name: 'driveMode', type: 'enum', label: 'MODE', unit: '', min: null, max: null, step: null, options: ['eco', 'race'] };
+
+describe('parseParamLine', () => {
+  test('reads definitions, values, saves and errors', () => {
+    expect(parseParamLine('PDEF:name=maxPwm;type=int;value=250;min=0;max=255;step=5;label=MAX PWM')).toEqual({
+      kind: 'def',
+      def: { ...int, value: 250 },
+    });
+    expect(parseParamLine('PDEF:name=driveMode;type=enum;value=eco;options=eco|race').def).toMatchObject({ options: ['eco', 'race'], value: 'eco' });
+    expect(parseParamLine('PDEF:name=reverse;type=bool;value=1').def.value).toBe(true);
+    expect(parseParamLine('PDEF:END')).toEqual({ kind: 'end' });
+    expect(parseParamLine('PVAL:kp=1.5')).toEqual({ kind: 'value', name: 'kp', raw: '1.5' });
+    expect(parseParamLine('PSAVED')).toEqual({ kind: 'saved' });
+    expect(parseParamLine('PERR:kp=Out of range')).toEqual({ kind: 'error', name: 'kp', message: 'Out of range' });
+    expect(parseParamLine('PERR:kp')).toEqual({ kind: 'error', name: 'kp', message: 'Rejected by the kart' });
+  });
+
+  test('ignores other lines and definitions without a name or known type', () => {
+    expect(parseParamLine('T:V=7.4')).toBeNull();
+    expect(parseParamLine('PDEF:type=int')).toBeNull();
+    expect(parseParamLine('PDEF:name=x;type=string')).toBeNull();
+  });
+});
+
+test('validateParam checks type, range and step', () => {
+  expect(validateParam(int, 250)).toBeNull();
+  expect(validateParam(int, 'x')).toBe('Not a number');
+  expect(validateParam(int, 2.5)).toBe('Must be a whole number');
+  expect(validateParam(int, 300)).toBe('Max 255');
+  expect(validateParam(int, -5)).toBe('Min 0');
+  expect(validateParam(int, 12)).toBe('Steps of 5');
+  expect(validateParam(bool, 1)).toBe('Must be on or off');
+  expect(validateParam(mode, 'race')).toBeNull();
+  expect(validateParam(mode, 'fast')).toBe('Must be one of eco, race');
+});
+
+describe('paramsFromJSON', () => {
+  test('keeps values that fit the schema and lists the rest', () => {
+    const text = paramsToJSON('KART-1', [{ ...int, value: 200 }, { ...bool, value: false }]);
+    expect(paramsFromJSON(text, [int, bool])).toEqual({ values: { maxPwm: 200, reverse: false }, skipped: [] });
+    expect(paramsFromJSON('{"params":{"maxPwm":300,"ki":1}}', [int])).toEqual({
+      values: {},
+      skipped: ['maxPwm (Max 255)', 'ki (unknown)'],
+    });
+  });
+
+  test('rejects files that are not a parameter set', () => {
+    for (const text of ['null', '{}', '{"params":null}', '{"params":[1,2]}', '{"params":"x"}']) {
+      expect(() => paramsFromJSON(text, [int])).toThrow('Not a parameter set');
+    }
+  });
+});
+
+describe('createParamSession', () => {
+  // Requests are queued, so each one starts a few promise turns later
+  const flush = async () => {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('lists definitions until PDEF:END, one request at a time', async () => {
+    const sent = [];
+    const session = createParamSession((line) => sent.push(line));
+    const list = session.list();
+    const save = session.save();
+    await flush();
+    expect(sent).toEqual(['PLIST']);
+
+    session.handleLine('PDEF:name=maxPwm;type=int;value=250');
+    session.handleLine('PDEF:END');
+    expect((await list).map(d => d.name)).toEqual(['maxPwm']);
+
+    await flush();
+    expect(sent).toEqual(['PLIST', 'PSAVE']);
+    session.handleLine('PERR:SAVE=EEPROM busy');
+    await expect(save).rejects.toThrow('SAVE: EEPROM busy');
+  });
+
+  test('times out without an answer, and each reply restarts the timeout', async () => {
+    const session = createParamSession(() => {}, { timeout: 1000 });
+    const list = session.list();
+    await flush();
+    jest.advanceTimersByTime(800);
+    session.handleLine('PDEF:name=kp;type=float;value=1');
+    jest.advanceTimersByTime(800);
+    session.handleLine('PDEF:END');
+    await expect(list).resolves.toHaveLength(1);
+
+    const get = session.get('kp');
+    await flush();
+    jest.advanceTimersByTime(1000);
+    await expect(get).rejects.toThrow('No answer from the kart');
+  });
+});
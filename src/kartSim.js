@@ -0,0 +1,136 @@
+import { createEmitter } from './transports/emitter';
+
+// Simulated karts on a shared top-down track (metres, y pointing down)
+//
+// Each car follows a kinematic bicycle model driven by the same control
+// frames a real kart gets (angle 0..180, speed 0..100, dir -1/0/1). Like the
+// firmware, a car brakes by itself when frames stop arriving.
+
+export const TRACK = {
+  width: 24,
+  height: 14,
+  // Tarmac is the band between the outer and inner rounded rectangles
+  outer: { x: 1, y: 1, w: 22, h: 12, r: 5 },
+  inner: { x: 5.5, y: 5.5, w: 13, h: 3, r: 1.5 },
+  start: { x: 12, y: 3.25, heading: Math.PI },
+};
+
+const STEP = 20; // ms
+const WHEELBASE = 0.26;
+const MAX_STEER = (28 * Math.PI) / 180;
+const MAX_SPEED = 6; // m/s at 100 %
+const ACCEL = 5; // m/s²
+const BRAKE = 12; // m/s²
+const GRASS_SPEED = 0.4; // share of top speed off the tarmac
+const WHEEL_CIRCUMFERENCE = 0.2; // m
+const FRAME_TIMEOUT = 500;
+const CAR_RADIUS = 0.25;
+
+function insideRoundedRect(x, y, rect) {
+  const cx = Math.max(rect.x + rect.r, Math.min(rect.x + rect.w - rect.r, x));
+  const cy = Math.max(rect.y + rect.r, Math.min(rect.y + rect.h - rect.r, y));
+  return (x - cx) ** 2 + (y - cy) ** 2 <= rect.r ** 2;
+}
+
+export function onTrack(x, y) {
+  return insideRoundedRect(x, y, TRACK.outer) && !insideRoundedRect(x, y, TRACK.inner);
+}
+
+function approach(value, target, maxStep) {
+  if (value < target) return Math.min(target, value + maxStep);
+  return Math.max(target, value - maxStep);
+}
+
+export function createSimCar(name, slot = 0) {
+  return {
+    name,
+    x: TRACK.start.x + slot * 0.8,
+    y: TRACK.start.y + (slot % 2) * 0.6,
+    heading: TRACK.start.heading,
+    v: 0,
+    steer: 0,
+    frame: { angle: 90, speed: 0, dir: 0 },
+    frameAt: 0,
+    battery: 8.2,
+    temp: 25,
+    current: 0,
+  };
+}
+
+// Advances one car by dt seconds
+export function stepCar(car, dt, now) {
+  const frame = now - car.frameAt > FRAME_TIMEOUT ? { angle: 90, speed: 0, dir: 0 } : car.frame;
+  car.steer = ((frame.angle - 90) / 90) * MAX_STEER;
+
+  let target = frame.dir === 0 ? 0 : (frame.speed / 100) * MAX_SPEED * Math.sign(frame.dir);
+  if (!onTrack(car.x, car.y)) target *= GRASS_SPEED;
+  const braking = frame.dir === 0 || Math.sign(target) !== Math.sign(car.v);
+  car.v = approach(car.v, target, (braking ? BRAKE : ACCEL) * dt);
+
+  car.heading += (car.v / WHEELBASE) * Math.tan(car.steer) * dt;
+  const x = car.x + car.v * Math.cos(car.heading) * dt;
+  const y = car.y + car.v * Math.sin(car.heading) * dt;
+
+  // Walls at the edge of the world
+  if (x < CAR_RADIUS || x > TRACK.width - CAR_RADIUS || y < CAR_RADIUS || y > TRACK.height - CAR_RADIUS) {
+    car.v = 0;
+  } else {
+    car.x = x;
+    car.y = y;
+  }
+
+  // Rough electrical model for the fake telemetry
+  const load = Math.abs(target - car.v) / MAX_SPEED + Math.abs(car.v) / MAX_SPEED;
+  car.current = Math.max(0, 0.2 + load * 6);
+  car.battery = Math.max(6, car.battery - car.current * dt * 0.0004);
+  car.temp = approach(car.temp, 25 + car.current * 6, dt * 0.5);
+}
+
+export function carTelemetry(car) {
+  const rpm = (Math.abs(car.v) / WHEEL_CIRCUMFERENCE) * 60;
+  return `T:bat=${car.battery.toFixed(2)};cur=${car.current.toFixed(1)};rpm=${Math.round(rpm)};spd=${(Math.abs(car.v) * 3.6).toFixed(1)};temp=${Math.round(car.temp)}`;
+}
+
+// All simulated cars share one world, stepped while any car exists
+//
+// Events: 'step' (list of cars) after every physics step
+function createSimWorld() {
+  const events = createEmitter();
+  const cars = new Set();
+  let timer = null;
+  let last = 0;
+
+  const step = () => {
+    const now = performance.now();
+    const dt = Math.min(0.1, (now - last) / 1000);
+    last = now;
+    for (const car of cars) stepCar(car, dt, now);
+    events.emit('step', [...cars]);
+  };
+
+  return {
+    add(name) {
+      const car = createSimCar(name, cars.size);
+      cars.add(car);
+      if (!timer) {
+        last = performance.now();
+        timer = setInterval(step, STEP);
+      }
+      events.emit('step', [...cars]);
+      return car;
+    },
+    remove(car) {
+      cars.delete(car);
+      if (!cars.size) {
+        clearInterval(timer);
+        timer = null;
+      }
+      events.emit('step', [...cars]);
+    },
+    cars: () => [...cars],
+    on: events.on,
+    off: events.off,
+  };
+}
+
+export const simWorld = createSimWorld();
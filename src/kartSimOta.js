@@ -0,0 +1,80 @@
+import { OTA_PREFIX, crc32, decodeBlock } from './firmwareUpdate';
+
+const MAX_IMAGE_SIZE = 1024 * 1024;
+
+// Answers the OTA:* update commands like firmware. The received part of an
+// image survives a dropped link, so BEGIN with the same image resumes.
+//   isMoving()  BEGIN is refused while it returns true
+//   onBoot()    called after BOOT has been answered
+//   block, mtu  reported in READY when set
+export function createOtaFirmware({ isMoving = () => false, onBoot = () => {}, block = null, mtu = null } = {}) {
+  let image = null;
+  let expectedCrc = null;
+  let received = 0;
+  let verified = false;
+  let installed = null;
+
+  const reset = () => {
+    image = null;
+    expectedCrc = null;
+    received = 0;
+    verified = false;
+  };
+
+  const ready = () => {
+    const fields = [['next', received], ['block', block], ['mtu', mtu]].filter(([, v]) => v !== null);
+    return `${OTA_PREFIX}READY ${fields.map(([k, v]) => `${k}=${v}`).join(';')}`;
+  };
+
+  return {
+    received: () => received,
+    // The last image that was verified and booted
+    installed: () => installed,
+    // Reply lines for an update command, or null for any other line
+    handle(line) {
+      if (!line.startsWith(OTA_PREFIX)) return null;
+      const begin = /^OTA:BEGIN size=(\d+);crc=([0-9A-Fa-f]{8})$/.exec(line);
+      if (begin) {
+        if (isMoving()) return [`${OTA_PREFIX}ERR Kart is moving`];
+        const size = parseInt(begin[1], 10);
+        const crc = parseInt(begin[2], 16);
+        if (!size || size > MAX_IMAGE_SIZE) return [`${OTA_PREFIX}ERR Image too big`];
+        if (!image || image.length !== size || expectedCrc !== crc) {
+          image = new Uint8Array(size);
+          expectedCrc = crc;
+          received = 0;
+        }
+        verified = false;
+        return [ready()];
+      }
+      if (line.startsWith(`${OTA_PREFIX}D `)) {
+        if (!image) return [`${OTA_PREFIX}ERR No update started`];
+        const data = decodeBlock(line);
+        if (!data) return [`${OTA_PREFIX}NAK ${received}`];
+        // A repeated block (its ACK got lost) is acknowledged again
+        if (data.offset > received || data.offset + data.bytes.length > image.length) return [`${OTA_PREFIX}NAK ${received}`];
+        image.set(data.bytes, data.offset);
+        received = Math.max(received, data.offset + data.bytes.length);
+        return [`${OTA_PREFIX}ACK ${received}`];
+      }
+      if (line === `${OTA_PREFIX}END`) {
+        if (!image || received < image.length) return [`${OTA_PREFIX}ERR Image incomplete`];
+        const crc = crc32(image);
+        verified = crc === expectedCrc;
+        return [`${OTA_PREFIX}OK ${crc.toString(16).toUpperCase().padStart(8, '0')}`];
+      }
+      if (line === `${OTA_PREFIX}BOOT`) {
+        if (!verified) return [`${OTA_PREFIX}ERR Image not verified`];
+        installed = image;
+        reset();
+        setTimeout(onBoot, 20);
+        return [`${OTA_PREFIX}BOOT`];
+      }
+      if (line === `${OTA_PREFIX}ABORT`) {
+        reset();
+        return [`${OTA_PREFIX}ABORTED`];
+      }
+      return [`${OTA_PREFIX}ERR Unknown command`];
+    },
+  };
+}
@@ -0,0 +1,65 @@
+import { formatParamValue, parseParamValue, validateParam } from './kartParams';
+
+// Settings of the simulated karts (and the ?mock Bluetooth kart), shaped like
+// what real firmware reports
+export const SIM_PARAMS = [
+  { name: 'maxPwm', type: 'int', label: 'MAX PWM', unit: '', min: 0, max: 255, step: 1, value: 255 },
+  { name: 'servoMin', type: 'int', label: 'SERVO MIN', unit: '°', min: 0, max: 90, step: 1, value: 30 },
+  { name: 'servoMax', type: 'int', label: 'SERVO MAX', unit: '°', min: 90, max: 180, step: 1, value: 150 },
+  { name: 'kp', type: 'float', label: 'PID KP', unit: '', min: 0, max: 10, step: 0.01, value: 1.2 },
+  { name: 'ki', type: 'float', label: 'PID KI', unit: '', min: 0, max: 5, step: 0.01, value: 0.1 },
+  { name: 'kd', type: 'float', label: 'PID KD', unit: '', min: 0, max: 5, step: 0.01, value: 0.05 },
+  { name: 'failsafeMs', type: 'int', label: 'FAILSAFE TIMEOUT', unit: 'ms', min: 100, max: 5000, step: 50, value: 500 },
+  { name: 'reverse', type: 'bool', label: 'REVERSE ALLOWED', unit: '', value: true },
+  { name: 'driveMode', type: 'enum', label: 'DRIVE MODE', unit: '', options: ['normal', 'eco', 'race'], value: 'normal' },
+];
+
+const defLine = (p) => {
+  const fields = [
+    ['name', p.name],
+    ['type', p.type],
+    ['label', p.label],
+    ['unit', p.unit],
+    ...(p.type === 'int' || p.type === 'float' ? [['min', p.min], ['max', p.max], ['step', p.step]] : []),
+    ...(p.type === 'enum' ? [['options', p.options.join('|')]] : []),
+    ['value', formatParamValue(p, p.value)],
+  ];
+  return 'PDEF:' + fields.map(([k, v]) => `${k}=${v}`).join(';');
+};
+
+// Answers PLIST / PGET / PSET / PSAVE like firmware; saved() is what would
+// be in EEPROM
+export function createParamFirmware(params = SIM_PARAMS) {
+  const live = params.map(p => ({ ...p }));
+  let saved = live.map(p => ({ ...p }));
+  const find = (name) => live.find(p => p.name === name);
+
+  return {
+    values: () => Object.fromEntries(live.map(p => [p.name, p.value])),
+    saved: () => Object.fromEntries(saved.map(p => [p.name, p.value])),
+    // Reply lines for a parameter command, or null for any other line
+    handle(line) {
+      if (line === 'PLIST') return [...live.map(defLine), 'PDEF:END'];
+      if (line === 'PSAVE') {
+        saved = live.map(p => ({ ...p }));
+        return ['PSAVED'];
+      }
+      const get = /^PGET (.+)$/.exec(line);
+      if (get) {
+        const p = find(get[1]);
+        return [p ? `PVAL:${p.name}=${formatParamValue(p, p.value)}` : `PERR:${get[1]}=Unknown parameter`];
+      }
+      const set = /^PSET ([^=]+)=(.*)$/.exec(line);
+      if (set) {
+        const p = find(set[1]);
+        if (!p) return [`PERR:${set[1]}=Unknown parameter`];
+        const value = parseParamValue(p, set[2]);
+        const error = validateParam(p, value);
+        if (error) return [`PERR:${p.name}=${error}`];
+        p.value = value;
+        return [`PVAL:${p.name}=${formatParamValue(p, p.value)}`];
+      }
+      return null;
+    },
+  };
+}
@@ -0,0 +1,45 @@
+// Keyboard driving: which keys do what, and the raw input they ask for
+//
+// Held keys are tracked by e.code, so W and ArrowUp can be held together and
+// releasing one leaves the other in effect.
+
+export const KEY_ACTIONS = {
+  KeyW: 'up',
+  ArrowUp: 'up',
+  KeyS: 'down',
+  ArrowDown: 'down',
+  KeyA: 'left',
+  ArrowLeft: 'left',
+  KeyD: 'right',
+  ArrowRight: 'right',
+  ShiftLeft: 'boost',
+  ShiftRight: 'boost',
+  Space: 'brake',
+};
+
+// Speed cap steps, in percent
+export const CAP_KEYS = {
+  BracketLeft: -10,
+  Minus: -10,
+  NumpadSubtract: -10,
+  BracketRight: 10,
+  Equal: 10,
+  NumpadAdd: 10,
+};
+
+export const MIN_CAP = 10;
+export const MAX_CAP = 100;
+export const DEFAULT_CAP = 50;
+
+export function heldActions(codes) {
+  return new Set([...codes].map(code => KEY_ACTIONS[code]));
+}
+
+// Up/down drive at the speed cap (boost = full speed), brake wins over both
+export function keyboardInput(codes, cap) {
+  const held = heldActions(codes);
+  const steer = (held.has('right') ? 1 : 0) - (held.has('left') ? 1 : 0);
+  const dir = (held.has('up') ? 1 : 0) - (held.has('down') ? 1 : 0);
+  if (held.has('brake')) return { steer, throttle: 0 };
+  return { steer, throttle: dir * (held.has('boost') ? 1 : cap / 100) };
+}
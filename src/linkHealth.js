@@ -0,0 +1,107 @@
+// Link-health heartbeat
+//
+// Every HEARTBEAT_INTERVAL the app sends "P:<seq>" and the kart echoes "A:<seq>".
+// Round-trip time and packet loss are measured from the echoes. The watchdog
+// only arms after the first echo, so firmware without heartbeat support keeps
+// working (the indicator just shows the link as unmeasured).
+
+export const HEARTBEAT_INTERVAL = 250;
+export const ACK_TIMEOUT = 500;
+export const DEFAULT_MAX_MISSED_ACKS = 4;
+const LOSS_WINDOW = 20;
+
+export const EMPTY_LINK_STATS = { rtt: null, loss: 0, missed: 0, quality: null, stale: false };
+
+export function linkQuality(rtt, loss) {
+  if (rtt === null) return null;
+  if (loss >= 50) return 0;
+  if (rtt < 50 && loss < 5) return 4;
+  if (rtt < 100 && loss < 10) return 3;
+  if (rtt < 200 && loss < 25) return 2;
+  return 1;
+}
+
+export function parseAck(line) {
+  const match = /^A:(\d+)$/.exec(line);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+export function createLinkMonitor({ sendPing, onUpdate, onStale, maxMissed = DEFAULT_MAX_MISSED_ACKS }) {
+  let timer = null;
+  let seq = 0;
+  let pending = new Map(); // seq -> sent time
+  let results = []; // true = acked, false = lost (last LOSS_WINDOW pings)
+  let rtt = null;
+  let missed = 0;
+  let armed = false;
+  let stale = false;
+
+  const record = (acked) => {
+    results = [...results, acked].slice(-LOSS_WINDOW);
+  };
+
+  const stats = () => {
+    const lost = results.filter(r => !r).length;
+    const loss = results.length ? Math.round((lost / results.length) * 100) : 0;
+    return { rtt: rtt === null ? null : Math.round(rtt), loss, missed, quality: stale ? 0 : linkQuality(rtt, loss), stale };
+  };
+
+  const tick = () => {
+    const now = performance.now();
+    for (const [s, sentAt] of pending) {
+      if (now - sentAt > ACK_TIMEOUT) {
+        pending.delete(s);
+        record(false);
+        if (armed) missed++;
+      }
+    }
+
+    if (armed && !stale && missed >= maxMissed) {
+      stale = true;
+      onStale(stats());
+    }
+
+    seq = (seq + 1) & 0xFFFF;
+    pending.set(seq, now);
+    sendPing('P:' + seq);
+    onUpdate(stats());
+  };
+
+  return {
+    start() {
+      if (!timer) timer = setInterval(tick, HEARTBEAT_INTERVAL);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    reset() {
+      pending = new Map();
+      results = [];
+      rtt = null;
+      missed = 0;
+      armed = false;
+      stale = false;
+      onUpdate(stats());
+    },
+    // Returns true when the line was a heartbeat echo
+    handleLine(line) {
+      const ackSeq = parseAck(line);
+      if (ackSeq === null) return false;
+      const sentAt = pending.get(ackSeq);
+      if (sentAt !== undefined) {
+        pending.delete(ackSeq);
+        const sample = performance.now() - sentAt;
+        rtt = rtt === null ? sample : rtt * 0.8 + sample * 0.2;
+        record(true);
+        armed = true;
+        missed = 0;
+        stale = false;
+      }
+      return true;
+    },
+    setMaxMissed(value) {
+      maxMissed = value;
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// Scripted maneuvers: timed steps of steering, speed and direction
+//
+//   duration  step length in ms
+//   steering  -90 (left) .. 90 (right)
+//   speed     0..100
+//   dir       1 = forward, -1 = backward
+//   ramp      blend from the previous step's values over the whole step
+//             instead of jumping straight to them
+//
+// Saved maneuvers are stored by name; presets can be loaded and saved under
+// a new name but not overwritten.
+
+const STORAGE_KEY = 'kart.maneuvers';
+
+export const NEW_STEP = { duration: 1000, steering: 0, speed: 0, dir: 1, ramp: false };
+
+export const MANEUVER_PRESETS = {
+  'ACCEL TEST 0-100': [
+    { duration: 2000, steering: 0, speed: 100, dir: 1, ramp: true },
+    { duration: 1000, steering: 0, speed: 0, dir: 1, ramp: true },
+  ],
+  'FIGURE EIGHT': [
+    { duration: 1000, steering: 0, speed: 40, dir: 1, ramp: true },
+    { duration: 4000, steering: -60, speed: 40, dir: 1, ramp: false },
+    { duration: 500, steering: 0, speed: 40, dir: 1, ramp: true },
+    { duration: 4000, steering: 60, speed: 40, dir: 1, ramp: false },
+    { duration: 1000, steering: 0, speed: 0, dir: 1, ramp: true },
+  ],
+  '3-POINT TURN': [
+    { duration: 1500, steering: -70, speed: 35, dir: 1, ramp: false },
+    { duration: 500, steering: 0, speed: 0, dir: 1, ramp: false },
+    { duration: 1500, steering: 70, speed: 35, dir: -1, ramp: false },
+    { duration: 500, steering: 0, speed: 0, dir: 1, ramp: false },
+    { duration: 1500, steering: -30, speed: 35, dir: 1, ramp: false },
+  ],
+};
+
+export function loadManeuvers() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveManeuvers(maneuvers) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(maneuvers));
+}
+
+export function maneuverDuration(steps) {
+  return steps.reduce((total, step) => total + step.duration, 0);
+}
+
+// Outputs at time t (ms since start), or null once the maneuver is over
+export function sampleManeuver(steps, t) {
+  let prev = { steering: 0, speed: 0, dir: 1 };
+  let start = 0;
+  for (const step of steps) {
+    if (t < start + step.duration) {
+      if (!step.ramp) return { steering: step.steering, speed: step.speed, direction: step.dir };
+      // Throttle blends as a signed value so ramps may pass through a stop
+      const f = (t - start) / step.duration;
+      const from = prev.speed * prev.dir;
+      const to = step.speed * step.dir;
+      const throttle = from + (to - from) * f;
+      return {
+        steering: Math.round(prev.steering + (step.steering - prev.steering) * f),
+        speed: Math.round(Math.abs(throttle)),
+        direction: throttle < 0 ? -1 : 1,
+      };
+    }
+    start += step.duration;
+    prev = step;
+  }
+  return null;
+}
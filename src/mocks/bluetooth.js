@@ -0,0 +1,201 @@
+import { createEmitter } from '../transports/emitter';
+import { createLineReader } from '../transports/lineReader';
+import { BLE_CHARACTERISTIC_UUID, BLE_SERVICE_UUID } from '../transports/bleTransport';
+import { FRAME_LENGTH, FRAME_START, HANDSHAKE_QUERY, PROTOCOL_VERSION, decodeBinaryFrame } from '../protocol';
+import { createParamFirmware } from '../kartSimParams';
+import { createOtaFirmware } from '../kartSimOta';
+
+const REPLY_DELAY = 5;
+const TELEMETRY_INTERVAL = 200;
+
+// Behaviour of the fake kart, changeable at any time through mock.firmware:
+//   binary     answers "?V" with the binary protocol version (false = legacy text firmware)
+//   acks       echoes heartbeat pings
+//   telemetry  reports a "T:" line every TELEMETRY_INTERVAL while connected
+//   inRange    gatt.connect() fails while false
+//   cancel     requestDevice() fails as if the chooser was closed
+export const DEFAULT_FIRMWARE = {
+  name: 'MOCK KART',
+  binary: true,
+  acks: true,
+  telemetry: false,
+  inRange: true,
+  cancel: false,
+};
+
+const domError = (message, name) => new DOMException(message, name);
+
+// Fake navigator.bluetooth with one HM-10 style kart behind the service and
+// characteristic the BLE transport asks for. Every write is recorded:
+//   writes  raw Uint8Array chunks, in order
+//   lines   text lines the app sent (handshake, pings, text frames)
+//   frames  control frames, from text lines and binary frames alike
+// and it keeps a parameter store (params) for the PLIST/PGET/PSET/PSAVE commands
+// and takes firmware updates (ota), rebooting once one is installed
+export function createMockBluetooth(options = {}) {
+  const firmware = { ...DEFAULT_FIRMWARE, ...options };
+  const deviceEvents = createEmitter();
+  const characteristicEvents = createEmitter();
+  const writes = [];
+  const lines = [];
+  const frames = [];
+  let connected = false;
+  let notifying = false;
+  let telemetryTimer = null;
+  const params = createParamFirmware();
+  const ota = createOtaFirmware({
+    isMoving: () => {
+      const frame = lastFrame();
+      return !!frame && frame.dir !== 0 && frame.speed > 0;
+    },
+    onBoot: () => lose(),
+  });
+
+  const notify = (line) => {
+    if (!connected || !notifying) return;
+    characteristic.value = new DataView(new TextEncoder().encode(line + '\n').buffer);
+    characteristicEvents.emit('characteristicvaluechanged', { target: characteristic });
+  };
+  const reply = (line) => setTimeout(() => notify(line), REPLY_DELAY);
+
+  const handleLine = (line) => {
+    lines.push(line);
+    if (line === HANDSHAKE_QUERY) {
+      if (firmware.binary) reply('V:' + PROTOCOL_VERSION);
+      return;
+    }
+    const ping = /^P:(\d+)$/.exec(line);
+    if (ping) {
+      if (firmware.acks) reply('A:' + ping[1]);
+      return;
+    }
+    const replies = params.handle(line) || ota.handle(line);
+    if (replies) {
+      replies.forEach(reply);
+      return;
+    }
+    const [angle, speed, dir] = line.split(';').map(Number);
+    if ([angle, speed, dir].every(Number.isFinite)) frames.push({ angle, speed, dir });
+  };
+  const readLine = createLineReader(handleLine);
+
+  const write = (value) => {
+    if (!connected) return Promise.reject(domError('GATT Server is disconnected.', 'NetworkError'));
+    const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice();
+    writes.push(bytes);
+    if (bytes.length === FRAME_LENGTH && bytes[0] === FRAME_START) {
+      const frame = decodeBinaryFrame(bytes);
+      if (frame) frames.push(frame);
+    } else {
+      readLine(new TextDecoder().decode(bytes));
+    }
+    return Promise.resolve();
+  };
+
+  const lastFrame = () => frames[frames.length - 1] || null;
+
+  const startTelemetry = () => {
+    if (!firmware.telemetry || telemetryTimer) return;
+    telemetryTimer = setInterval(() => {
+      const frame = lastFrame();
+      const speed = frame && frame.dir !== 0 ? frame.speed : 0;
+      notify(`T:bat=8.10;cur=${(0.2 + speed * 0.05).toFixed(1)};rpm=${speed * 30};spd=${(speed * 0.2).toFixed(1)};temp=30`);
+    }, TELEMETRY_INTERVAL);
+  };
+
+  // Link gone for whatever reason: the browser fires gattserverdisconnected
+  const lose = () => {
+    if (!connected) return;
+    connected = false;
+    notifying = false;
+    clearInterval(telemetryTimer);
+    telemetryTimer = null;
+    deviceEvents.emit('gattserverdisconnected', { target: device });
+  };
+
+  const characteristic = {
+    uuid: BLE_CHARACTERISTIC_UUID,
+    properties: { read: false, write: true, writeWithoutResponse: true, notify: true },
+    value: null,
+    startNotifications() {
+      if (!connected) return Promise.reject(domError('GATT Server is disconnected.', 'NetworkError'));
+      notifying = true;
+      startTelemetry();
+      return Promise.resolve(characteristic);
+    },
+    stopNotifications() {
+      notifying = false;
+      return Promise.resolve(characteristic);
+    },
+    writeValue: write,
+    writeValueWithoutResponse: write,
+    writeValueWithResponse: write,
+    addEventListener: characteristicEvents.on,
+    removeEventListener: characteristicEvents.off,
+  };
+
+  const service = {
+    uuid: BLE_SERVICE_UUID,
+    getCharacteristic(uuid) {
+      if (uuid !== BLE_CHARACTERISTIC_UUID) return Promise.reject(domError('No Characteristics matching UUID found.', 'NotFoundError'));
+      return Promise.resolve(characteristic);
+    },
+  };
+
+  const server = {
+    get connected() {
+      return connected;
+    },
+    getPrimaryService(uuid) {
+      if (uuid !== BLE_SERVICE_UUID) return Promise.reject(domError('No Services matching UUID found.', 'NotFoundError'));
+      return Promise.resolve(service);
+    },
+  };
+
+  const device = {
+    id: 'mock-kart',
+    get name() {
+      return firmware.name;
+    },
+    gatt: {
+      device: null,
+      get connected() {
+        return connected;
+      },
+      connect() {
+        if (!firmware.inRange) return Promise.reject(domError('Connection attempt failed.', 'NetworkError'));
+        connected = true;
+        return Promise.resolve(server);
+      },
+      disconnect: lose,
+    },
+    addEventListener: deviceEvents.on,
+    removeEventListener: deviceEvents.off,
+  };
+  device.gatt.device = device;
+  server.device = device;
+
+  return {
+    getAvailability: () => Promise.resolve(true),
+    requestDevice() {
+      if (firmware.cancel) return Promise.reject(domError('User cancelled the requestDevice() chooser.', 'NotFoundError'));
+      return Promise.resolve(device);
+    },
+    firmware,
+    params,
+    ota,
+    device,
+    characteristic,
+    writes,
+    lines,
+    frames,
+    lastFrame,
+    // Kart -> app line (a telemetry line, a reply...)
+    notify,
+    // Kart goes out of range; it stays unreachable while firmware.inRange is false
+    drop(inRange = true) {
+      firmware.inRange = inRange;
+      lose();
+    },
+  };
+}
@@ -0,0 +1,62 @@
+const SLOTS = 4;
+const BUTTONS = 17;
+const AXES = 4;
+
+export const MOCK_PAD_ID = 'Mock Gamepad (STANDARD GAMEPAD)';
+
+const fire = (type, gamepad) => {
+  const event = new Event(type);
+  event.gamepad = gamepad;
+  window.dispatchEvent(event);
+};
+
+// Fake navigator.getGamepads() with standard-mapping pads that can be
+// plugged in, moved and unplugged; connect/disconnect fire the window events
+// the browser would
+export function createMockGamepads() {
+  const pads = Array(SLOTS).fill(null);
+
+  const padAt = (index) => {
+    if (!pads[index]) throw new Error(`No mock gamepad at index ${index}`);
+    return pads[index];
+  };
+  const touch = (pad) => {
+    pad.timestamp = performance.now();
+  };
+
+  return {
+    getGamepads: () => pads.slice(),
+    connect(index = pads.indexOf(null), id = MOCK_PAD_ID) {
+      const pad = {
+        id,
+        index,
+        connected: true,
+        mapping: 'standard',
+        timestamp: performance.now(),
+        axes: Array(AXES).fill(0),
+        buttons: Array.from({ length: BUTTONS }, () => ({ pressed: false, touched: false, value: 0 })),
+      };
+      pads[index] = pad;
+      fire('gamepadconnected', pad);
+      return pad;
+    },
+    disconnect(index) {
+      const pad = pads[index];
+      if (!pad) return;
+      pad.connected = false;
+      pads[index] = null;
+      fire('gamepaddisconnected', pad);
+    },
+    setAxis(index, axis, value) {
+      const pad = padAt(index);
+      pad.axes[axis] = value;
+      touch(pad);
+    },
+    // value 0..1 (analog triggers); anything above 0.5 counts as pressed
+    setButton(index, button, value) {
+      const pad = padAt(index);
+      pad.buttons[button] = { pressed: value > 0.5, touched: value > 0, value };
+      touch(pad);
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import { createMockBluetooth } from './bluetooth';
+import { createMockGamepads } from './gamepads';
+import { createMockRelay } from './relay';
+
+export { createMockBluetooth, DEFAULT_FIRMWARE } from './bluetooth';
+export { createMockGamepads, MOCK_PAD_ID } from './gamepads';
+export { createParamFirmware, SIM_PARAMS as MOCK_PARAMS } from '../kartSimParams';
+export { createOtaFirmware } from '../kartSimOta';
+export { createMockRelay } from './relay';
+
+// True when the page was opened with ?mock in the URL
+export function mockRequested() {
+  return new URLSearchParams(window.location.search).has('mock');
+}
+
+const replace = (key, value) => {
+  const own = Object.getOwnPropertyDescriptor(navigator, key);
+  Object.defineProperty(navigator, key, { value, configurable: true, writable: true });
+  return () => {
+    if (own) Object.defineProperty(navigator, key, own);
+    else delete navigator[key];
+  };
+};
+
+const replaceGlobal = (key, value) => {
+  const own = window[key];
+  window[key] = value;
+  return () => {
+    window[key] = own;
+  };
+};
+
+// Puts the fake Web Bluetooth and Gamepad API (and a relay behind WebSocket)
+// in place of the browser's; used by the tests and, with ?mock, to try the
+// app without a kart, pad or relay
+export function installMocks(firmware) {
+  const bluetooth = createMockBluetooth(firmware);
+  const gamepads = createMockGamepads();
+  const relay = createMockRelay(window.WebSocket);
+  const restore = [
+    replace('bluetooth', bluetooth),
+    replace('getGamepads', gamepads.getGamepads),
+    replaceGlobal('WebSocket', relay.WebSocket),
+  ];
+  return {
+    bluetooth,
+    gamepads,
+    relay,
+    uninstall() {
+      restore.forEach(fn => fn());
+    },
+  };
+}
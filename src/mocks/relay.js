@@ -0,0 +1,82 @@
+// Fake WebSocket with the remote-driving relay built in. Sockets opened on
+// <anything>/bridge and <anything>/remote are paired the way
+// relay/kart-relay.js pairs them (a new socket replaces the old one of its
+// role, and each side hears "RELAY:PEER 1/0" about the other); any other URL
+// gets the browser's WebSocket.
+//   relay.up     new sockets fail to open while false
+//   relay.delay  one-way delay of every relayed message, ms
+export function createMockRelay(RealWebSocket = window.WebSocket) {
+  const relay = { up: true, delay: 0 };
+  const sockets = { bridge: null, remote: null };
+  const peerOf = (role) => (role === 'bridge' ? 'remote' : 'bridge');
+
+  const deliver = (socket, data) => {
+    if (socket.readyState === MockWebSocket.OPEN && socket.onmessage) socket.onmessage({ data });
+  };
+
+  const tellPeer = (role) => {
+    const peer = sockets[peerOf(role)];
+    if (peer) deliver(peer, `RELAY:PEER ${sockets[role] ? 1 : 0}\n`);
+  };
+
+  const close = (socket) => {
+    if (socket.readyState === MockWebSocket.CLOSED) return;
+    socket.readyState = MockWebSocket.CLOSED;
+    if (sockets[socket.role] === socket) {
+      sockets[socket.role] = null;
+      tellPeer(socket.role);
+    }
+    setTimeout(() => socket.onclose && socket.onclose({}), 0);
+  };
+
+  function MockWebSocket(url) {
+    const role = /\/(bridge|remote)$/.exec(url)?.[1];
+    if (!role) return new RealWebSocket(url);
+
+    const socket = {
+      url,
+      role,
+      readyState: MockWebSocket.CONNECTING,
+      binaryType: 'blob',
+      onopen: null,
+      onmessage: null,
+      onclose: null,
+      send(data) {
+        if (socket.readyState !== MockWebSocket.OPEN) throw new Error('WebSocket is not open');
+        const peer = sockets[peerOf(role)];
+        if (!peer) return;
+        setTimeout(() => sockets[role] === socket && deliver(peer, data), relay.delay);
+      },
+      close: () => close(socket),
+    };
+
+    setTimeout(() => {
+      if (!relay.up) {
+        close(socket);
+        return;
+      }
+      if (sockets[role]) close(sockets[role]);
+      sockets[role] = socket;
+      socket.readyState = MockWebSocket.OPEN;
+      if (socket.onopen) socket.onopen({});
+      deliver(socket, `RELAY:PEER ${sockets[peerOf(role)] ? 1 : 0}\n`);
+      tellPeer(role);
+    }, 0);
+    return socket;
+  }
+  MockWebSocket.CONNECTING = 0;
+  MockWebSocket.OPEN = 1;
+  MockWebSocket.CLOSING = 2;
+  MockWebSocket.CLOSED = 3;
+
+  return {
+    WebSocket: MockWebSocket,
+    relay,
+    sockets,
+    // The relay drops one side (or both); they can reconnect while relay.up
+    drop(role) {
+      const roles = role ? [role] : ['bridge', 'remote'];
+      roles.forEach(r => sockets[r] && close(sockets[r]));
+    },
+  };
+}
@@ -0,0 +1,128 @@
+// Control frame protocol
+//
+// Legacy text frame:   "angle;speed;dir\n"
+// Binary frame (v1), 14 bytes, little-endian:
+//   0      0xA5 start byte
+//   1      protocol version
+//   2-3    sequence number (uint16, wraps)
+//   4-7    timestamp in ms since connect (uint32, wraps)
+//   8      servo angle 0..180
+//   9      motor speed 0..100
+//   10     direction (int8: 1 forward, -1 reverse, 0 brake)
+//   11     flags (reserved, 0)
+//   12-13  CRC-16/CCITT-FALSE over bytes 0..11
+//
+// Handshake: the app sends "?V" and firmware that understands binary frames
+// answers "V:<version>". No answer (or "V:0") keeps the legacy text format.
+
+export const PROTOCOL_VERSION = 1;
+export const FRAME_START = 0xA5;
+export const FRAME_LENGTH = 14;
+export const HANDSHAKE_QUERY = '?V';
+export const HANDSHAKE_TIMEOUT = 600;
+export const BRAKE_FRAME = { angle: 90, speed: 0, dir: 0 };
+
+export function crc16(bytes, length = bytes.length) {
+  let crc = 0xFFFF;
+  for (let i = 0; i < length; i++) {
+    crc ^= bytes[i] << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc;
+}
+
+// Convert steering (-90 to +90) to servo angle (0 to 180) for the kart.
+// Direction is sent as 0 (brake) whenever speed is 0.
+export function toControlFrame(steering, motorSpeed, direction) {
+  return {
+    angle: steering + 90,
+    speed: motorSpeed,
+    dir: motorSpeed === 0 ? 0 : direction,
+  };
+}
+
+// Line content only; the newline is added by send()
+export function encodeTextFrame({ angle, speed, dir }) {
+  return angle + ';' + speed + ';' + dir;
+}
+
+// Inverse of encodeTextFrame; null for anything that isn't an in-range frame
+export function parseTextFrame(line) {
+  const match = /^(\d{1,3});(\d{1,3});(-1|0|1)$/.exec(line);
+  if (!match) return null;
+  const [angle, speed, dir] = match.slice(1).map(Number);
+  if (angle > 180 || speed > 100) return null;
+  return { angle, speed, dir };
+}
+
+export function encodeBinaryFrame({ angle, speed, dir }, seq, timestamp) {
+  const bytes = new Uint8Array(FRAME_LENGTH);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, FRAME_START);
+  view.setUint8(1, PROTOCOL_VERSION);
+  view.setUint16(2, seq & 0xFFFF, true);
+  view.setUint32(4, timestamp >>> 0, true);
+  view.setUint8(8, Math.max(0, Math.min(180, Math.round(angle))));
+  view.setUint8(9, Math.max(0, Math.min(100, Math.round(speed))));
+  view.setInt8(10, dir);
+  view.setUint8(11, 0);
+  view.setUint16(12, crc16(bytes, 12), true);
+  return bytes;
+}
+
+// Returns null for anything that is not a valid frame (bad start byte, length or CRC)
+export function decodeBinaryFrame(bytes) {
+  if (!bytes || bytes.length !== FRAME_LENGTH || bytes[0] !== FRAME_START) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint16(12, true) !== crc16(bytes, 12)) return null;
+  return {
+    version: view.getUint8(1),
+    seq: view.getUint16(2, true),
+    timestamp: view.getUint32(4, true),
+    angle: view.getUint8(8),
+    speed: view.getUint8(9),
+    dir: view.getInt8(10),
+  };
+}
+
+// True when seq is newer than lastSeq, allowing for uint16 wrap-around
+export function isNewerSeq(seq, lastSeq) {
+  const delta = (seq - lastSeq) & 0xFFFF;
+  return delta !== 0 && delta < 0x8000;
+}
+
+export function parseHandshake(line) {
+  const match = /^V:(\d+)/.exec(line);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Asks the firmware which protocol it speaks; resolves to { format, version }
+// `write` lets the caller route the query through its outbound queue
+export function negotiateProtocol(transport, {
+  preferBinary = true,
+  timeout = HANDSHAKE_TIMEOUT,
+  write = (data) => transport.write(data),
+} = {}) {
+  const legacy = { format: 'text', version: 0 };
+  if (!preferBinary) return Promise.resolve(legacy);
+
+  return new Promise(resolve => {
+    let timer = null;
+    const finish = (result) => {
+      clearTimeout(timer);
+      transport.off('line', handleLine);
+      resolve(result);
+    };
+    const handleLine = (line) => {
+      const version = parseHandshake(line);
+      if (version === null) return;
+      finish(version >= 1 ? { format: 'binary', version: Math.min(version, PROTOCOL_VERSION) } : legacy);
+    };
+
+    transport.on('line', handleLine);
+    timer = setTimeout(() => finish(legacy), timeout);
+    Promise.resolve(write(HANDSHAKE_QUERY + '\n')).catch(() => finish(legacy));
+  });
+}
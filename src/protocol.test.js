@@ -0,0 +1,43 @@
+import { BRAKE_FRAME, crc16, decodeBinaryFrame, encodeBinaryFrame, encodeTextFrame, parseTextFrame, toControlFrame } from './protocol';
+
+test('steering -90..90 maps to servo angle 0..180 and speed 0 always brakes', () => {
+  expect(toControlFrame(0, 0, 1)).toEqual(BRAKE_FRAME);
+  expect(toControlFrame(-90, 40, 1)).toEqual({ angle: 0, speed: 40, dir: 1 });
+  expect(toControlFrame(90, 100, -1)).toEqual({ angle: 180, speed: 100, dir: -1 });
+});
+
+test('text frames are "angle;speed;dir"', () => {
+  expect(encodeTextFrame({ angle: 135, speed: 50, dir: 1 })).toBe('135;50;1');
+  expect(encodeTextFrame({ angle: 45, speed: 100, dir: -1 })).toBe('45;100;-1');
+  expect(encodeTextFrame(BRAKE_FRAME)).toBe('90;0;0');
+  expect(parseTextFrame('45;100;-1')).toEqual({ angle: 45, speed: 100, dir: -1 });
+  expect(parseTextFrame('181;0;0')).toBeNull();
+  expect(parseTextFrame('90;50;2')).toBeNull();
+  expect(parseTextFrame('P:12')).toBeNull();
+});
+
+test('crc16 is CRC-16/CCITT-FALSE', () => {
+  expect(crc16(new TextEncoder().encode('123456789'))).toBe(0x29B1);
+});
+
+test('binary frames have the documented 14-byte layout', () => {
+  const bytes = encodeBinaryFrame({ angle: 135, speed: 50, dir: -1 }, 0x1234, 0x01020304);
+  expect(Array.from(bytes.slice(0, 12))).toEqual([
+    0xA5, 0x01, // start, version
+    0x34, 0x12, // seq (LE)
+    0x04, 0x03, 0x02, 0x01, // timestamp (LE)
+    135, 50, 0xFF, // angle, speed, dir (int8)
+    0x00, // flags
+  ]);
+  const crc = crc16(bytes, 12);
+  expect(bytes[12]).toBe(crc & 0xFF);
+  expect(bytes[13]).toBe(crc >> 8);
+  expect(decodeBinaryFrame(bytes)).toEqual({ version: 1, seq: 0x1234, timestamp: 0x01020304, angle: 135, speed: 50, dir: -1 });
+});
+
+test('corrupted binary frames are rejected', () => {
+  const bytes = encodeBinaryFrame(BRAKE_FRAME, 1, 0);
+  bytes[9] = 80;
+  expect(decodeBinaryFrame(bytes)).toBeNull();
+  expect(decodeBinaryFrame(bytes.slice(0, 13))).toBeNull();
+});
@@ -0,0 +1,74 @@
+import { createEmitter } from './transports/emitter';
+
+// Installed-app state: a new version waiting to take over, the browser's
+// deferred install prompt, and the per-mode orientation lock.
+//
+// Events: 'change' ({ updateReady, canInstall }) whenever either changes
+
+const events = createEmitter();
+let waitingWorker = null;
+let installPrompt = null;
+let reloading = false;
+
+export const pwaStatus = () => ({ updateReady: !!waitingWorker, canInstall: !!installPrompt });
+const changed = () => events.emit('change', pwaStatus());
+
+// Called by the service worker registration when a new deploy is installed
+export function setUpdateReady(registration) {
+  waitingWorker = registration.waiting;
+  changed();
+}
+
+// Lets the waiting worker take over, then reloads into the new version
+export function applyUpdate() {
+  if (!waitingWorker) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+export function dismissUpdate() {
+  waitingWorker = null;
+  changed();
+}
+
+window.addEventListener('beforeinstallprompt', (event) => {
+  event.preventDefault();
+  installPrompt = event;
+  changed();
+});
+
+window.addEventListener('appinstalled', () => {
+  installPrompt = null;
+  changed();
+});
+
+export function promptInstall() {
+  if (!installPrompt) return Promise.resolve(false);
+  const prompt = installPrompt;
+  installPrompt = null;
+  changed();
+  prompt.prompt();
+  return prompt.userChoice.then(choice => choice.outcome === 'accepted');
+}
+
+export const isInstalled = () => !!window.matchMedia &&
+  window.matchMedia('(display-mode: fullscreen), (display-mode: standalone)').matches;
+
+// Orientation can only be locked by the installed app (or in fullscreen)
+export function lockOrientation(orientation) {
+  if (!isInstalled() || !window.screen.orientation || !window.screen.orientation.lock) return;
+  window.screen.orientation.lock(orientation).catch(() => {});
+}
+
+// Asks the browser not to evict saved settings and sessions under storage
+// pressure (granted silently to installed apps)
+export function requestPersistentStorage() {
+  if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+}
+
+export const onPwaChange = (fn) => events.on('change', fn);
+export const offPwaChange = (fn) => events.off('change', fn);
@@ -0,0 +1,173 @@
+// Lap timing, race sessions and the local leaderboard
+//
+// A race is a plain object advanced by the functions below:
+//
+//   countdown ─▶ running ─▶ finished        (countdown start)
+//       └─▶ false-start                     (moved before GO)
+//   armed ─────▶ running ─▶ finished        (flying start: the clock starts
+//                                            at the first line crossing)
+//
+// STOP finishes a running race with the laps so far; anything else stops
+// without a result.
+//
+// Laps come from a gamepad button, the on-screen LAP button or a "LAP" line
+// from a trackside beacon. Triggers closer than MIN_LAP_TIME after the last
+// one are ignored, so a beacon that fires twice doesn't record a 0.1 s lap.
+// Times are performance.now() milliseconds.
+
+const SETTINGS_KEY = 'kart.race';
+const BOARD_KEY = 'kart.leaderboard';
+const BOARD_LENGTH = 200;
+
+export const COUNTDOWN_MS = 3000;
+export const MIN_LAP_TIME = 2000;
+// Output above this before GO is a false start
+export const FALSE_START_SPEED = 5;
+// L1 on standard-mapping pads
+export const LAP_BUTTON = 4;
+
+export const DEFAULT_RACE_SETTINGS = {
+  driver: '',
+  laps: 5,
+  countdown: true,
+};
+
+export function loadRaceSettings() {
+  try {
+    return { ...DEFAULT_RACE_SETTINGS, ...(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {}) };
+  } catch (e) {
+    return { ...DEFAULT_RACE_SETTINGS };
+  }
+}
+
+export function saveRaceSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// "LAP" or "LAP:<beacon id>"
+export function isLapLine(line) {
+  return /^LAP(:.*)?$/.test(line);
+}
+
+// laps = 0 races until stopped
+export function newRace({ driver, kart, laps, countdown }, now) {
+  return {
+    driver: driver.trim() || 'DRIVER',
+    kart: kart || null,
+    targetLaps: laps,
+    phase: countdown ? 'countdown' : 'armed',
+    goAt: countdown ? now + COUNTDOWN_MS : null,
+    lapStart: countdown ? now + COUNTDOWN_MS : null,
+    laps: [],
+    date: Date.now(),
+    saved: false,
+  };
+}
+
+// Whole seconds left before GO (3, 2, 1), 0 once running
+export function countdownLeft(race, now) {
+  if (race.phase !== 'countdown') return 0;
+  return Math.max(0, Math.ceil((race.goAt - now) / 1000));
+}
+
+// Moves a countdown on to running at GO, or to false-start if the kart was
+// driven before it; returns the same object when nothing changed
+export function advanceRace(race, now, speed) {
+  if (race.phase !== 'countdown') return race;
+  if (now < race.goAt) return speed > FALSE_START_SPEED ? { ...race, phase: 'false-start' } : race;
+  return { ...race, phase: 'running' };
+}
+
+export function recordLap(race, now) {
+  if (race.phase === 'armed') return { ...race, phase: 'running', lapStart: now };
+  if (race.phase !== 'running' || now - race.lapStart < MIN_LAP_TIME) return race;
+  const laps = [...race.laps, now - race.lapStart];
+  const finished = race.targetLaps > 0 && laps.length >= race.targetLaps;
+  return { ...race, laps, lapStart: now, phase: finished ? 'finished' : 'running' };
+}
+
+export function stopRace(race) {
+  return race.phase === 'running' ? { ...race, phase: 'finished' } : { ...race, phase: 'stopped' };
+}
+
+// { current, last, best, delta }: delta is the last lap against the best lap
+// before it (negative = faster)
+export function lapStats(race, now) {
+  const { laps } = race;
+  const last = laps.length ? laps[laps.length - 1] : null;
+  const best = laps.length ? Math.min(...laps) : null;
+  const previousBest = laps.length > 1 ? Math.min(...laps.slice(0, -1)) : null;
+  return {
+    current: race.phase === 'running' ? now - race.lapStart : null,
+    last,
+    best,
+    delta: previousBest === null ? null : last - previousBest,
+  };
+}
+
+export function formatLapTime(ms) {
+  if (ms === null || ms === undefined) return '--:--.---';
+  const total = Math.max(0, Math.round(ms));
+  const minutes = Math.floor(total / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${String(total % 1000).padStart(3, '0')}`;
+}
+
+export function formatDelta(ms) {
+  if (ms === null || ms === undefined) return '';
+  return `${ms < 0 ? '-' : '+'}${(Math.abs(ms) / 1000).toFixed(3)}`;
+}
+
+export function loadLeaderboard() {
+  try {
+    return JSON.parse(localStorage.getItem(BOARD_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveLeaderboard(board) {
+  localStorage.setItem(BOARD_KEY, JSON.stringify(board));
+}
+
+// result: { date, driver, kart, laps: [ms], best, total }
+export function addResult(board, race) {
+  if (!race.laps.length) return board;
+  const result = {
+    date: race.date,
+    driver: race.driver,
+    kart: race.kart,
+    laps: race.laps.map(Math.round),
+    best: Math.round(Math.min(...race.laps)),
+    total: Math.round(race.laps.reduce((sum, lap) => sum + lap, 0)),
+  };
+  return [...board, result].slice(-BOARD_LENGTH);
+}
+
+// Each driver's best lap, fastest first
+export function driverBests(board) {
+  const byDriver = new Map();
+  for (const result of board) {
+    const entry = byDriver.get(result.driver);
+    if (!entry) {
+      byDriver.set(result.driver, { driver: result.driver, best: result.best, kart: result.kart, date: result.date, races: 1 });
+      continue;
+    }
+    entry.races++;
+    if (result.best < entry.best) Object.assign(entry, { best: result.best, kart: result.kart, date: result.date });
+  }
+  return [...byDriver.values()].sort((a, b) => a.best - b.best);
+}
+
+// One row per lap, for spreadsheets
+export function resultsToCSV(board) {
+  const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const rows = ['date,driver,kart,lap,time_ms,time'];
+  for (const result of board) {
+    const date = new Date(result.date).toISOString();
+    result.laps.forEach((lap, i) => {
+      rows.push([date, escape(result.driver), escape(result.kart || ''), i + 1, lap, formatLapTime(lap)].join(','));
+    });
+  }
+  return rows.join('\n') + '\n';
+}
@@ -0,0 +1,102 @@
+import {
+  COUNTDOWN_MS, MIN_LAP_TIME, addResult, advanceRace, countdownLeft, driverBests, formatDelta, formatLapTime,
+  isLapLine, lapStats, newRace, recordLap, resultsToCSV, stopRace,
+} from './raceTimer';
+
+const settings = { driver: ' Ana ', kart: 'KART-1', laps: 2, countdown: true };
+
+describe('countdown start', () => {
+  test('goes to running at GO', () => {
+    const race = newRace(settings, 0);
+    expect(race).toMatchObject({ driver: 'Ana', phase: 'countdown', goAt: COUNTDOWN_MS });
+    expect(countdownLeft(race, 100)).toBe(3);
+    expect(countdownLeft(race, 2500)).toBe(1);
+    expect(advanceRace(race, 1000, 0)).toBe(race);
+    expect(advanceRace(race, COUNTDOWN_MS, 50).phase).toBe('running');
+  });
+
+  test('moving before GO is a false start', () => {
+    const race = newRace(settings, 0);
+    expect(advanceRace(race, 1000, 4)).toBe(race);
+    expect(advanceRace(race, 1000, 10).phase).toBe('false-start');
+  });
+});
+
+describe('recordLap', () => {
+  test('a flying start begins at the first crossing and finishes after the target laps', () => {
+    let race = newRace({ ...settings, countdown: false }, 0);
+    expect(race.phase).toBe('armed');
+    race = recordLap(race, 500);
+    expect(race).toMatchObject({ phase: 'running', lapStart: 500, laps: [] });
+    race = recordLap(race, 30500);
+    race = recordLap(race, 58500);
+    expect(race).toMatchObject({ phase: 'finished', laps: [30000, 28000] });
+    expect(recordLap(race, 90000)).toBe(race);
+  });
+
+  test('ignores a second trigger within MIN_LAP_TIME', () => {
+    const race = recordLap(newRace({ ...settings, countdown: false }, 0), 0);
+    expect(recordLap(race, MIN_LAP_TIME - 1)).toBe(race);
+    expect(recordLap(race, MIN_LAP_TIME).laps).toEqual([MIN_LAP_TIME]);
+  });
+
+  test('ignores laps during the countdown', () => {
+    const race = newRace(settings, 0);
+    expect(recordLap(race, 1000)).toBe(race);
+  });
+});
+
+test('stopRace keeps a running race and drops one that never started', () => {
+  const running = recordLap(newRace({ ...settings, countdown: false }, 0), 0);
+  expect(stopRace(running).phase).toBe('finished');
+  expect(stopRace(newRace(settings, 0)).phase).toBe('stopped');
+});
+
+test('lapStats compares the last lap with the best before it', () => {
+  const race = { phase: 'running', lapStart: 1000, laps: [30000, 28500] };
+  expect(lapStats(race, 6000)).toEqual({ current: 5000, last: 28500, best: 28500, delta: -1500 });
+  expect(lapStats({ ...race, laps: [30000] }, 6000).delta).toBeNull();
+});
+
+test('lap times and deltas are formatted m:ss.mmm / +s.mmm', () => {
+  expect(formatLapTime(83456.4)).toBe('1:23.456');
+  expect(formatLapTime(null)).toBe('--:--.---');
+  expect(formatDelta(-1500)).toBe('-1.500');
+  expect(formatDelta(250)).toBe('+0.250');
+});
+
+test('isLapLine accepts LAP with an optional beacon id', () => {
+  expect(isLapLine('LAP')).toBe(true);
+  expect(isLapLine('LAP:gate1')).toBe(true);
+  expect(isLapLine('LAPS')).toBe(false);
+});
+
+describe('leaderboard', () => {
+  const race = (driver, laps, kart = 'KART-1') => ({ driver, kart, laps, date: 0 });
+
+  test('addResult skips races without laps', () => {
+    expect(addResult([], race('Ana', []))).toEqual([]);
+    expect(addResult([], race('Ana', [30000.4, 29000.6]))).toEqual([
+      { date: 0, driver: 'Ana', kart: 'KART-1', laps: [30000, 29001], best: 29001, total: 59001 },
+    ]);
+  });
+
+  test('driverBests ranks each driver by their best lap', () => {
+    let board = [];
+    board = addResult(board, race('Ana', [31000]));
+    board = addResult(board, race('Bo', [30000]));
+    board = addResult(board, race('Ana', [29000], 'KART-2'));
+    expect(driverBests(board).map(e => [e.driver, e.best, e.kart, e.races])).toEqual([
+      ['Ana', 29000, 'KART-2', 2],
+      ['Bo', 30000, 'KART-1', 1],
+    ]);
+  });
+
+  test('resultsToCSV writes one row per lap and quotes names', () => {
+    const board = addResult([], race('Ana, "fast"', [30000]));
+    expect(resultsToCSV(board)).toBe(
+      'date,driver,kart,lap,time_ms,time\n' +
+      '1970-01-01T00:00:00.000Z,"Ana, ""fast""",KART-1,1,30000,0:30.000\n'
+    );
+  });
+});
@@ -0,0 +1,217 @@
+import { createEmitter } from './transports/emitter';
+import { createWebSocketTransport } from './transports/webSocketTransport';
+import { DEFAULT_RELAY_PORT, parseRelayLine, relayUrl } from './transports/relayTransport';
+import { DEFAULT_MAX_MISSED_ACKS, EMPTY_LINK_STATS, createLinkMonitor } from './linkHealth';
+import { BRAKE_FRAME, HANDSHAKE_QUERY, parseTextFrame } from './protocol';
+import { reconnectDelay } from './kartLink';
+
+// Phone-as-bridge remote driving
+//
+//   remote app ──ws──▶ relay (relay/kart-relay.js) ◀──ws── bridge phone ──BLE──▶ kart
+//
+// Towards the remote the bridge stands in for the kart: it answers the
+// handshake with the text protocol, echoes the heartbeat and takes text
+// control frames. Lines from the kart go back to the remote; any other line
+// from the remote (console, parameters) goes on to the kart.
+//
+// The remote's frames only reach the kart while the relay is up, the remote
+// is on it, the bridge's own heartbeat to the remote is under the latency cap
+// and a frame came in the last FRAME_TIMEOUT. Otherwise the bridge brakes, and
+// after a brake the remote has to send a stop frame before it drives again.
+// The kart's own link (watchdog, brake hold, e-stop) still applies on top.
+//
+// Events: 'change' (status), 'log', 'line' (remote -> kart)
+
+const STORAGE_KEY = 'kart.bridge';
+
+export const FRAME_TIMEOUT = 500;
+
+export const DEFAULT_BRIDGE = {
+  url: `ws://192.168.1.2:${DEFAULT_RELAY_PORT}`,
+  latencyCap: 300, // heartbeat round trip, ms
+};
+
+export const LATENCY_CAP_RANGE = { min: 100, max: 1000, step: 50 };
+
+export const BRAKE_LABELS = {
+  relay: 'relay not connected',
+  remote: 'no remote driver',
+  stale: 'remote heartbeat lost',
+  unmeasured: 'latency not measured yet',
+  latency: 'latency over the cap',
+  frames: 'no frames from the remote',
+  release: 'waiting for the remote to let go',
+};
+
+export function loadBridgeSettings() {
+  try {
+    return { ...DEFAULT_BRIDGE, ...(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}) };
+  } catch (e) {
+    return { ...DEFAULT_BRIDGE };
+  }
+}
+
+export function saveBridgeSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// What the bridge tells the remote: "BRIDGE:BRAKE <reason>" or "BRIDGE:OK"
+export function parseBridgeLine(line) {
+  const match = /^BRIDGE:(?:BRAKE (\w+)|OK)$/.exec(line);
+  return match ? { reason: match[1] || null } : null;
+}
+
+export function createRemoteBridge({ url, latencyCap = DEFAULT_BRIDGE.latencyCap, maxMissedAcks = DEFAULT_MAX_MISSED_ACKS }) {
+  const events = createEmitter();
+  const socket = createWebSocketTransport(relayUrl(url, 'bridge'));
+  let running = false;
+  let state = 'idle';
+  let attempt = 0;
+  let retryTimer = null;
+  let remote = false;
+  let stats = EMPTY_LINK_STATS;
+  let brakeReason = 'relay';
+  let last = null; // { frame, at }
+
+  const log = (message) => events.emit('log', message);
+  const status = () => ({ state, remote, stats, brakeReason, latencyCap });
+  const changed = () => events.emit('change', status());
+  const send = (line) => {
+    if (socket.isConnected()) socket.write(line + '\n').catch(() => {});
+  };
+
+  // Logged (and told to the remote) when driving stops or starts again
+  const setBrake = (reason) => {
+    if (reason === brakeReason) return;
+    const wasDriving = brakeReason === null;
+    brakeReason = reason;
+    if (reason && wasDriving) {
+      log(`⚠️ Bridge braking: ${BRAKE_LABELS[reason]}`);
+      send('BRIDGE:BRAKE ' + reason);
+    } else if (!reason) {
+      log('✅ Bridge: remote driver in control');
+      send('BRIDGE:OK');
+    }
+    changed();
+  };
+
+  const monitor = createLinkMonitor({
+    sendPing: send,
+    onUpdate: (next) => {
+      stats = next;
+      changed();
+    },
+    onStale: () => setBrake('stale'),
+    maxMissed: maxMissedAcks,
+  });
+
+  const handleLine = (line) => {
+    const relay = parseRelayLine(line);
+    if (relay) {
+      if (relay.peer === remote) return;
+      remote = relay.peer;
+      last = null;
+      monitor.reset();
+      log(remote ? '🛰 Remote driver joined' : '⚠️ Remote driver left');
+      changed();
+      return;
+    }
+    if (monitor.handleLine(line)) return;
+    const ping = /^P:(\d+)$/.exec(line);
+    if (ping) {
+      send('A:' + ping[1]);
+      return;
+    }
+    if (line === HANDSHAKE_QUERY) {
+      send('V:0');
+      return;
+    }
+    const frame = parseTextFrame(line);
+    if (frame) {
+      last = { frame, at: performance.now() };
+      return;
+    }
+    events.emit('line', line);
+  };
+
+  const open = () => {
+    retryTimer = null;
+    state = attempt ? 'reconnecting' : 'connecting';
+    changed();
+    socket.connect()
+      .then(() => {
+        if (!running) return socket.disconnect();
+        attempt = 0;
+        state = 'connected';
+        monitor.reset();
+        monitor.start();
+        log('🛰 Bridge on the relay');
+        changed();
+      })
+      .catch(() => {
+        if (running) scheduleRetry();
+      });
+  };
+
+  const scheduleRetry = () => {
+    state = 'reconnecting';
+    retryTimer = setTimeout(open, reconnectDelay(attempt));
+    attempt++;
+    changed();
+  };
+
+  const handleLost = () => {
+    monitor.stop();
+    remote = false;
+    last = null;
+    setBrake('relay');
+    log('⚠️ Relay connection lost');
+    if (running) scheduleRetry();
+  };
+
+  socket.on('line', handleLine);
+  socket.on('disconnect', handleLost);
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      attempt = 0;
+      open();
+    },
+    stop() {
+      running = false;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      monitor.stop();
+      remote = false;
+      last = null;
+      brakeReason = 'relay';
+      state = 'idle';
+      changed();
+      return socket.disconnect();
+    },
+    // The remote's latest frame, or brake when it can't be trusted
+    frame(now = performance.now()) {
+      let reason = null;
+      if (!socket.isConnected()) reason = 'relay';
+      else if (!remote) reason = 'remote';
+      else if (stats.stale) reason = 'stale';
+      else if (stats.rtt === null) reason = 'unmeasured';
+      else if (stats.rtt > latencyCap) reason = 'latency';
+      else if (!last || now - last.at > FRAME_TIMEOUT) reason = 'frames';
+      else if (brakeReason && last.frame.speed > 0) reason = 'release';
+      setBrake(reason);
+      return reason ? BRAKE_FRAME : last.frame;
+    },
+    // Kart -> remote
+    send,
+    setLatencyCap(value) {
+      latencyCap = value;
+      changed();
+    },
+    status,
+    on: events.on,
+    off: events.off,
+  };
+}
@@ -0,0 +1,135 @@
+import { createRemoteBridge, parseBridgeLine, FRAME_TIMEOUT } from './remoteBridge';
+import { parseRelayLine, relayUrl } from './transports/relayTransport';
+import { createEmitter } from './transports/emitter';
+import { BRAKE_FRAME } from './protocol';
+import { HEARTBEAT_INTERVAL } from './linkHealth';
+
+// The relay socket, driven by the test: receive() is a line from the remote
+let mockSocket;
+jest.mock('./transports/webSocketTransport', () => ({
+  createWebSocketTransport: () => mockSocket,
+}));
+
+function fakeSocket() {
+  const events = createEmitter();
+  let connected = false;
+  return {
+    sent: [],
+    connect: () => {
+      connected = true;
+      return Promise.resolve();
+    },
+    disconnect: () => {
+      connected = false;
+      return Promise.resolve();
+    },
+    isConnected: () => connected,
+    write(data) {
+      this.sent.push(data.trim());
+      return Promise.resolve();
+    },
+    receive: (line) => events.emit('line', line),
+    drop() {
+      connected = false;
+      events.emit('disconnect');
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
+
+test('parseBridgeLine reads brake reasons and OK', () => {
+  expect(parseBridgeLine('BRIDGE:BRAKE latency')).toEqual({ reason: 'latency' });
+  expect(parseBridgeLine('BRIDGE:OK')).toEqual({ reason: null });
+  expect(parseBridgeLine('BRIDGE:BRAKE')).toBeNull();
+  expect(parseBridgeLine('T:V=7.4')).toBeNull();
+});
+
+test('relay urls and peer lines', () => {
+  expect(relayUrl('ws://10.0.0.2:8787/', 'bridge')).toBe('ws://10.0.0.2:8787/bridge');
+  expect(parseRelayLine('RELAY:PEER 1')).toEqual({ peer: true });
+  expect(parseRelayLine('RELAY:PEER 0')).toEqual({ peer: false });
+  expect(parseRelayLine('RELAY:PEER 2')).toBeNull();
+});
+
+describe('createRemoteBridge', () => {
+  let bridge;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    mockSocket = fakeSocket();
+    bridge = createRemoteBridge({ url: 'ws://relay:8787', latencyCap: 300 });
+    bridge.start();
+    await Promise.resolve();
+    await Promise.resolve();
+  });
+
+  afterEach(() => {
+    bridge.stop();
+    jest.useRealTimers();
+  });
+
+  // One heartbeat, echoed by the remote after rtt ms; the bridge's stats
+  // catch up on the following heartbeat
+  const heartbeat = (rtt) => {
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+    const ping = mockSocket.sent.filter(l => l.startsWith('P:')).pop();
+    jest.advanceTimersByTime(rtt);
+    mockSocket.receive('A:' + ping.slice(2));
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL - (rtt % HEARTBEAT_INTERVAL));
+  };
+
+  const reason = () => bridge.status().brakeReason;
+
+  test('drives only once the remote is on, measured and has let go', () => {
+    expect(bridge.frame()).toEqual(BRAKE_FRAME);
+    expect(reason()).toBe('remote');
+
+    mockSocket.receive('RELAY:PEER 1');
+    bridge.frame();
+    expect(reason()).toBe('unmeasured');
+
+    heartbeat(50);
+    mockSocket.receive('90;60;1');
+    expect(bridge.frame()).toEqual(BRAKE_FRAME);
+    expect(reason()).toBe('release');
+
+    mockSocket.receive('95;0;0');
+    bridge.frame();
+    mockSocket.receive('120;60;1');
+    expect(bridge.frame()).toEqual({ angle: 120, speed: 60, dir: 1 });
+    expect(reason()).toBeNull();
+    expect(mockSocket.sent).toContain('BRIDGE:OK');
+  });
+
+  test('brakes when frames stop, the latency goes over the cap or the relay drops', () => {
+    mockSocket.receive('RELAY:PEER 1');
+    heartbeat(50);
+    mockSocket.receive('95;0;0');
+    expect(bridge.frame()).toEqual({ angle: 95, speed: 0, dir: 0 });
+
+    jest.advanceTimersByTime(FRAME_TIMEOUT + 1);
+    expect(bridge.frame()).toEqual(BRAKE_FRAME);
+    expect(reason()).toBe('frames');
+    expect(mockSocket.sent).toContain('BRIDGE:BRAKE frames');
+
+    for (let i = 0; i < 10; i++) heartbeat(450);
+    mockSocket.receive('95;0;0');
+    bridge.frame();
+    expect(reason()).toBe('latency');
+
+    mockSocket.drop();
+    expect(bridge.frame()).toEqual(BRAKE_FRAME);
+    expect(reason()).toBe('relay');
+  });
+
+  test('answers the handshake and the heartbeat like text firmware, and passes other lines on', () => {
+    const lines = [];
+    bridge.on('line', (line) => lines.push(line));
+    mockSocket.receive('?V');
+    mockSocket.receive('P:7');
+    mockSocket.receive('PLIST');
+    expect(mockSocket.sent).toEqual(expect.arrayContaining(['V:0', 'A:7']));
+    expect(lines).toEqual(['PLIST']);
+  });
+});
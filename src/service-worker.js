@@ -0,0 +1,86 @@
+/* eslint-disable no-restricted-globals */
+
+// Offline support for the track, where there is no signal
+//
+// The app shell and every built asset are precached at install. Each deploy
+// produces a new precache manifest (content-hashed revisions), so the browser
+// finds a new worker; it waits until the app's update prompt sends
+// SKIP_WAITING, and only then are the outdated caches dropped. Settings
+// (localStorage) and recorded sessions (IndexedDB) are never touched.
+
+import { clientsClaim, setCacheNameDetails } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+const PUBLIC_CACHE = 'kart-public';
+const FONT_CACHE = 'kart-fonts';
+
+// Files in public/ that are not part of the webpack build
+const PUBLIC_FILES = ['manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+// Same URL as the @import in App.css
+const FONT_CSS = 'https://fonts.googleapis.com/css2?family=Orbitron:wght@400;700;900&display=swap';
+
+setCacheNameDetails({ prefix: 'kart' });
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+
+// Every navigation gets the precached index.html (?mock included)
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    return !url.pathname.match(fileExtensionRegexp);
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+const publicUrls = PUBLIC_FILES.map(file => new URL(`${process.env.PUBLIC_URL}/${file}`, self.location.origin).href);
+
+registerRoute(
+  ({ url }) => publicUrls.includes(url.href),
+  new StaleWhileRevalidate({ cacheName: PUBLIC_CACHE })
+);
+
+// Orbitron from Google Fonts: the stylesheet changes, the font files do not
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: FONT_CACHE })
+);
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: FONT_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// The public files and the font are fetched before the first worker controls
+// the page, so fill their caches at install instead of on the next visit
+const warmPublicFiles = () => caches.open(PUBLIC_CACHE).then(cache => cache.addAll(publicUrls));
+
+const warmFonts = async () => {
+  const cache = await caches.open(FONT_CACHE);
+  const response = await fetch(FONT_CSS);
+  await cache.put(FONT_CSS, response.clone());
+  const css = await response.text();
+  await cache.addAll(css.match(/https:\/\/fonts\.gstatic\.com\/[^)'"]+/g) || []);
+};
+
+self.addEventListener('install', (event) => {
+  // Installing without signal still works; the caches fill on the next visit
+  event.waitUntil(Promise.all([warmPublicFiles().catch(() => {}), warmFonts().catch(() => {})]));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
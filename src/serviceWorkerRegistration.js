@@ -0,0 +1,83 @@
+// Registers the service worker from src/service-worker.js in production builds
+//
+// The worker precaches the app, so after the first visit it loads without a
+// network. A new deploy installs in the background and waits; onUpdate gets
+// the registration so the app can offer to switch over (see pwa.js).
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    // [::1] is the IPv6 localhost address.
+    window.location.hostname === '[::1]' ||
+    // 127.0.0.0/8 are considered localhost for IPv4.
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+export function register({ onUpdate = () => {}, onSuccess = () => {} } = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker can't serve a page from another origin (e.g. a CDN PUBLIC_URL)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    const start = isLocalhost ? checkValidServiceWorker(swUrl) : Promise.resolve(true);
+    start.then(valid => valid && registerValidSW(swUrl, { onUpdate, onSuccess }));
+  });
+}
+
+function registerValidSW(swUrl, { onUpdate, onSuccess }) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then(registration => {
+      // A worker can already be waiting from a visit that skipped the update
+      if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration);
+
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== 'installed') return;
+          // With a controller this is an update, otherwise the first install
+          if (navigator.serviceWorker.controller) onUpdate(registration);
+          else onSuccess(registration);
+        };
+      };
+
+      // Long sessions at the track still notice a new deploy once back online
+      const checkForUpdate = () => registration.update().catch(() => {});
+      setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkForUpdate();
+      });
+    })
+    .catch(error => {
+      console.error('Error during service worker registration:', error);
+    });
+}
+
+// On localhost, make sure the worker really exists (another app may have
+// been served from the same port before)
+function checkValidServiceWorker(swUrl) {
+  return fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then(response => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+        return unregister().then(() => window.location.reload()).then(() => false);
+      }
+      return true;
+    })
+    .catch(() => {
+      console.log('No internet connection found. App is running in offline mode.');
+      return true;
+    });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return Promise.resolve();
+  return navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error(error.message));
+}
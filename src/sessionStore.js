@@ -0,0 +1,155 @@
+// Drive sessions stored in IndexedDB
+//
+// sessions: { id, name, kartName, startedAt, endedAt, eventCount, failed }
+//   failed: the recording ended on a write error; eventCount is what was saved
+// events:   { id, sessionId, t, kind, ... }  t = ms since the session started
+//   kind 'frame': { input, output, brake }  control frame before/after calibration
+//   kind 'line':  { line }           line received from the kart
+
+const DB_NAME = 'kart-sessions';
+const DB_VERSION = 1;
+const FLUSH_INTERVAL = 1000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+        events.createIndex('sessionId', 'sessionId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function listSessions() {
+  const db = await openDb();
+  const sessions = await promisify(db.transaction('sessions').objectStore('sessions').getAll());
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export async function loadSessionEvents(sessionId) {
+  const db = await openDb();
+  const index = db.transaction('events').objectStore('events').index('sessionId');
+  const events = await promisify(index.getAll(sessionId));
+  return events.sort((a, b) => a.t - b.t || a.id - b.id);
+}
+
+export async function deleteSession(sessionId) {
+  const db = await openDb();
+  const tx = db.transaction(['sessions', 'events'], 'readwrite');
+  tx.objectStore('sessions').delete(sessionId);
+  const index = tx.objectStore('events').index('sessionId');
+  const keys = await promisify(index.getAllKeys(sessionId));
+  keys.forEach(key => tx.objectStore('events').delete(key));
+  return transactionDone(tx);
+}
+
+// Buffers events in memory and writes them in batches while recording. A batch
+// that can't be written (storage full, transaction aborted) ends the recording
+// and is reported through onError; stop() then rejects with the same error,
+// after closing the session row so it doesn't stay 'recording' forever.
+export async function startRecording({ name, kartName, onError = () => {} }) {
+  const db = await openDb();
+  const session = { name, kartName, startedAt: Date.now(), endedAt: null, eventCount: 0 };
+  const id = await promisify(db.transaction('sessions', 'readwrite').objectStore('sessions').add(session));
+  const start = performance.now();
+  let buffer = [];
+  let count = 0;
+  let saved = 0;
+  let failure = null;
+  let stopped = false;
+
+  const flush = () => {
+    if (!buffer.length) return Promise.resolve();
+    const batch = buffer;
+    buffer = [];
+    const tx = db.transaction('events', 'readwrite');
+    batch.forEach(event => tx.objectStore('events').add(event));
+    return transactionDone(tx).then(() => {
+      saved += batch.length;
+    });
+  };
+  const timer = setInterval(() => {
+    flush().catch(error => {
+      if (failure || stopped) return;
+      failure = error || new Error('Recording failed');
+      clearInterval(timer);
+      buffer = [];
+      onError(failure);
+    });
+  }, FLUSH_INTERVAL);
+
+  return {
+    id,
+    add(kind, data) {
+      if (failure) return;
+      buffer.push({ sessionId: id, t: Math.round(performance.now() - start), kind, ...data });
+      count++;
+    },
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      let failed = true;
+      try {
+        if (failure) throw failure;
+        await flush();
+        failed = false;
+        return count;
+      } finally {
+        const row = { ...session, id, endedAt: Date.now(), eventCount: saved };
+        const tx = db.transaction('sessions', 'readwrite');
+        tx.objectStore('sessions').put(failed ? { ...row, failed: true } : row);
+        // On a failed recording the original error is the one worth reporting
+        await transactionDone(tx).catch(error => {
+          if (!failed) throw error;
+        });
+      }
+    },
+  };
+}
+
+export function sessionToJSON(session, events) {
+  return JSON.stringify({ session, events: events.map(({ id, sessionId, ...event }) => event) }, null, 2);
+}
+
+export function sessionToCSV(events) {
+  const rows = ['t,kind,angle,speed,dir,out_angle,out_speed,out_dir,brake,line'];
+  for (const e of events) {
+    if (e.kind === 'frame') {
+      rows.push([e.t, e.kind, e.input.angle, e.input.speed, e.input.dir, e.output.angle, e.output.speed, e.output.dir, e.brake ? 1 : 0, ''].join(','));
+    } else {
+      rows.push([e.t, e.kind, '', '', '', '', '', '', '', `"${String(e.line).replace(/"/g, '""')}"`].join(','));
+    }
+  }
+  return rows.join('\n');
+}
@@ -0,0 +1,113 @@
+import { sessionToCSV, startRecording } from './sessionStore';
+
+// An IndexedDB whose event writes can be made to fail like a full disk;
+// session rows put by stop() are kept in rows
+const quota = { full: false };
+const rows = [];
+const settle = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+function fakeTransaction(store) {
+  const tx = {
+    objectStore: () => ({
+      add() {
+        const request = { result: 1 };
+        Promise.resolve().then(() => request.onsuccess && request.onsuccess());
+        return request;
+      },
+      put: (row) => rows.push(row),
+    }),
+  };
+  Promise.resolve().then(() => {
+    if (quota.full && store === 'events') {
+      tx.error = new Error('QuotaExceededError');
+      if (tx.onabort) tx.onabort();
+    } else {
+      if (tx.oncomplete) tx.oncomplete();
+    }
+  });
+  return tx;
+}
+
+beforeAll(() => {
+  window.indexedDB = {
+    open() {
+      const request = { result: { transaction: fakeTransaction } };
+      Promise.resolve().then(() => request.onsuccess());
+      return request;
+    },
+  };
+});
+
+afterAll(() => {
+  delete window.indexedDB;
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  quota.full = false;
+  rows.length = 0;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('a failed write ends the recording once, through onError', async () => {
+  const onError = jest.fn();
+  const recorder = await startRecording({ name: 'test', kartName: null, onError });
+  recorder.add('line', { line: 'T:V=7.4' });
+  quota.full = true;
+
+  jest.advanceTimersByTime(1000);
+  await settle();
+  expect(onError).toHaveBeenCalledTimes(1);
+  expect(onError.mock.calls[0][0].message).toBe('QuotaExceededError');
+
+  // No more writes are attempted, and stop reports the failure
+  recorder.add('line', { line: 'T:V=7.3' });
+  jest.advanceTimersByTime(5000);
+  await settle();
+  expect(onError).toHaveBeenCalledTimes(1);
+  await expect(recorder.stop()).rejects.toThrow('QuotaExceededError');
+});
+
+test('a failed recording still gets its end time, saved count and failed flag', async () => {
+  const recorder = await startRecording({ name: 'test', kartName: null });
+  recorder.add('line', { line: 'T:V=7.4' });
+  jest.advanceTimersByTime(1000);
+  await settle();
+  recorder.add('line', { line: 'T:V=7.3' });
+  quota.full = true;
+  jest.advanceTimersByTime(1000);
+  await settle();
+
+  await expect(recorder.stop()).rejects.toThrow('QuotaExceededError');
+  expect(rows).toHaveLength(1);
+  expect(rows[0]).toMatchObject({ eventCount: 1, failed: true });
+  expect(rows[0].endedAt).not.toBeNull();
+});
+
+test('stop flushes the buffer and returns the event count', async () => {
+  const onError = jest.fn();
+  const recorder = await startRecording({ name: 'test', kartName: null, onError });
+  recorder.add('line', { line: 'T:V=7.4' });
+  recorder.add('frame', { input: { angle: 90, speed: 0, dir: 0 }, output: { angle: 90, speed: 0, dir: 0 }, brake: true });
+  jest.advanceTimersByTime(1000);
+  await settle();
+  await expect(recorder.stop()).resolves.toBe(2);
+  expect(onError).not.toHaveBeenCalled();
+  expect(rows[0]).toMatchObject({ eventCount: 2 });
+  expect(rows[0]).not.toHaveProperty('failed');
+});
+
+test('sessionToCSV quotes received lines', () => {
+  const csv = sessionToCSV([
+    { t: 0, kind: 'frame', input: { angle: 90, speed: 50, dir: 1 }, output: { angle: 95, speed: 60, dir: 1 }, brake: false },
+    { t: 10, kind: 'line', line: 'say "hi"' },
+  ]);
+  expect(csv.split('\n')).toEqual([
+    't,kind,angle,speed,dir,out_angle,out_speed,out_dir,brake,line',
+    '0,frame,90,50,1,95,60,1,0,',
+    '10,line,,,,,,,,"say ""hi"""',
+  ]);
+});
@@ -0,0 +1,47 @@
+// Telemetry line format (kart -> app):
+//
+//   T:key=value;key=value;...      e.g. T:bat=7.4;cur=1.2;rpm=1200;temp=41
+//
+// Known keys: bat (battery V), cur (motor current A), rpm (motor RPM),
+// spd (speed km/h) and temp (motor/driver temperature °C). Unknown keys are
+// kept as long as their value is numeric, so firmware can add fields freely.
+
+export const TELEMETRY_PREFIX = 'T:';
+export const HISTORY_LENGTH = 60;
+
+export const TELEMETRY_FIELDS = {
+  bat: { label: 'BATTERY', unit: 'V', min: 6, max: 8.4, decimals: 1, warnBelow: 6.6 },
+  cur: { label: 'CURRENT', unit: 'A', min: 0, max: 10, decimals: 1 },
+  rpm: { label: 'RPM', unit: '', min: 0, max: 10000, decimals: 0 },
+  spd: { label: 'SPEED', unit: 'km/h', min: 0, max: 30, decimals: 1 },
+  temp: { label: 'TEMP', unit: '°C', min: 20, max: 80, decimals: 0, warnAbove: 60 },
+};
+
+export const EMPTY_TELEMETRY = { latest: {}, history: {}, updatedAt: null };
+
+// Returns { key: number } for a telemetry line, or null for any other line
+export function parseTelemetryLine(line) {
+  if (!line.startsWith(TELEMETRY_PREFIX)) return null;
+
+  const values = {};
+  for (const pair of line.slice(TELEMETRY_PREFIX.length).split(';')) {
+    const [key, raw] = pair.split('=');
+    if (!key || raw === undefined) continue;
+    const value = parseFloat(raw);
+    if (!Number.isNaN(value)) values[key.trim()] = value;
+  }
+  return Object.keys(values).length ? values : null;
+}
+
+// Merges a parsed sample into the latest values and rolling histories
+export function appendTelemetry(telemetry, values, time = Date.now()) {
+  const history = { ...telemetry.history };
+  for (const [key, value] of Object.entries(values)) {
+    history[key] = [...(history[key] || []), value].slice(-HISTORY_LENGTH);
+  }
+  return {
+    latest: { ...telemetry.latest, ...values },
+    history,
+    updatedAt: time,
+  };
+}
@@ -0,0 +1,102 @@
+import { createEmitter } from './emitter';
+import { createLineReader } from './lineReader';
+
+// BLE Service and Characteristic UUIDs
+export const BLE_SERVICE_UUID = 0xFFA0;
+export const BLE_CHARACTERISTIC_UUID = 0xFFE1;
+
+// Web Bluetooth link (HM-10 style UART over a single characteristic)
+export function createBleTransport() {
+  const events = createEmitter();
+  const readLine = createLineReader(line => events.emit('line', line));
+  let device = null;
+  let characteristic = null;
+  let closing = false;
+
+  const handleValueChanged = (event) => {
+    readLine(new TextDecoder().decode(event.target.value));
+  };
+
+  const releaseCharacteristic = () => {
+    if (characteristic) {
+      characteristic.removeEventListener('characteristicvaluechanged', handleValueChanged);
+      characteristic = null;
+    }
+  };
+
+  const handleGattDisconnected = () => {
+    releaseCharacteristic();
+    if (!closing) events.emit('disconnect');
+  };
+
+  const openCharacteristic = () => {
+    events.emit('state', 'connecting');
+    events.emit('log', 'Connecting...');
+    return device.gatt.connect()
+      .then(server => server.getPrimaryService(BLE_SERVICE_UUID))
+      .then(service => service.getCharacteristic(BLE_CHARACTERISTIC_UUID))
+      .then(c => {
+        releaseCharacteristic();
+        characteristic = c;
+        events.emit('log', 'Starting notifications...');
+        return characteristic.startNotifications();
+      })
+      .then(() => {
+        characteristic.addEventListener('characteristicvaluechanged', handleValueChanged);
+        events.emit('log', 'Notifications started');
+      });
+  };
+
+  const requestDevice = () => {
+    events.emit('state', 'scanning');
+    events.emit('log', 'Searching...');
+    return navigator.bluetooth.requestDevice({
+      filters: [{ services: [BLE_SERVICE_UUID] }],
+    }).then(d => {
+      events.emit('log', 'Found: ' + d.name);
+      device = d;
+      device.addEventListener('gattserverdisconnected', handleGattDisconnected);
+    });
+  };
+
+  return {
+    type: 'ble',
+    maxChunkSize: 20,
+    get name() {
+      return device ? device.name : null;
+    },
+    isConnected: () => !!(characteristic && device?.gatt?.connected),
+    connect() {
+      if (!navigator.bluetooth) {
+        return Promise.reject(new Error('Web Bluetooth is not available in this browser'));
+      }
+      closing = false;
+      return (device ? Promise.resolve() : requestDevice()).then(openCharacteristic);
+    },
+    reconnect() {
+      if (!device) return Promise.reject(new Error('No device to reconnect to'));
+      return openCharacteristic();
+    },
+    write(data) {
+      if (!characteristic) return Promise.reject(new Error('Not connected'));
+      const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+      // Without-response writes are much faster; fall back where unsupported
+      if (characteristic.properties?.writeWithoutResponse && characteristic.writeValueWithoutResponse) {
+        return characteristic.writeValueWithoutResponse(bytes);
+      }
+      return characteristic.writeValue(bytes);
+    },
+    disconnect() {
+      closing = true;
+      releaseCharacteristic();
+      if (device) {
+        device.removeEventListener('gattserverdisconnected', handleGattDisconnected);
+        if (device.gatt.connected) device.gatt.disconnect();
+        device = null;
+      }
+      return Promise.resolve();
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
@@ -0,0 +1,17 @@
+// Minimal event emitter shared by all transports
+export function createEmitter() {
+  const listeners = {};
+
+  return {
+    on(event, fn) {
+      (listeners[event] = listeners[event] || []).push(fn);
+    },
+    off(event, fn) {
+      if (!listeners[event]) return;
+      listeners[event] = listeners[event].filter(l => l !== fn);
+    },
+    emit(event, ...args) {
+      (listeners[event] || []).slice().forEach(fn => fn(...args));
+    },
+  };
+}
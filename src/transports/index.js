@@ -0,0 +1,33 @@
+import { createBleTransport } from './bleTransport';
+import { createWebSocketTransport } from './webSocketTransport';
+import { createSerialTransport } from './serialTransport';
+import { createSimTransport } from './simTransport';
+import { createRelayTransport } from './relayTransport';
+
+// Every transport exposes the same interface:
+//   connect(), reconnect(), write(string | Uint8Array), disconnect(), isConnected()
+//   on/off('line' | 'disconnect' | 'log' | 'state', fn)
+// so the control loop and safety behaviour do not care which link is in use.
+export const LINK_TYPES = [
+  { type: 'ble', icon: '📶', label: 'BLUETOOTH', isSupported: () => !!navigator.bluetooth },
+  { type: 'ws', icon: '📡', label: 'WI-FI', isSupported: () => typeof WebSocket !== 'undefined' },
+  { type: 'serial', icon: '🔌', label: 'USB SERIAL', isSupported: () => !!navigator.serial },
+  { type: 'sim', icon: '🧪', label: 'SIMULATED KART', isSupported: () => true },
+  { type: 'relay', icon: '🛰', label: 'REMOTE (RELAY)', isSupported: () => typeof WebSocket !== 'undefined' },
+];
+
+export function createTransport(type, options = {}) {
+  switch (type) {
+    case 'ws':
+      return createWebSocketTransport(options.url);
+    case 'serial':
+      return createSerialTransport(options);
+    case 'sim':
+      return createSimTransport();
+    case 'relay':
+      return createRelayTransport(options.url);
+    case 'ble':
+    default:
+      return createBleTransport();
+  }
+}
@@ -0,0 +1,16 @@
+// Splits incoming text chunks into trimmed, non-empty lines
+export function createLineReader(onLine) {
+  let buffer = '';
+
+  return (text) => {
+    for (const c of text) {
+      if (c === '\n') {
+        const line = buffer.trim();
+        buffer = '';
+        if (line) onLine(line);
+      } else {
+        buffer += c;
+      }
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { createEmitter } from './emitter';
+import { createWebSocketTransport } from './webSocketTransport';
+
+export const DEFAULT_RELAY_PORT = 8787;
+
+// The relay (relay/kart-relay.js) pairs one bridge and one remote socket by
+// path, and tells each side whether the other is there: "RELAY:PEER 1" / "0"
+export function relayUrl(url, role) {
+  return url.replace(/\/+$/, '') + '/' + role;
+}
+
+export function parseRelayLine(line) {
+  const match = /^RELAY:PEER ([01])$/.exec(line);
+  return match ? { peer: match[1] === '1' } : null;
+}
+
+// Remote driving: the "kart" is a bridge phone on the far side of a relay.
+// The bridge answers like text-protocol firmware and pings back with the
+// same heartbeat to measure the latency, which this end echoes.
+export function createRelayTransport(url) {
+  const events = createEmitter();
+  const socket = createWebSocketTransport(relayUrl(url, 'remote'));
+
+  socket.on('line', (line) => {
+    const ping = /^P:(\d+)$/.exec(line);
+    if (ping) {
+      socket.write('A:' + ping[1] + '\n').catch(() => {});
+      return;
+    }
+    const relay = parseRelayLine(line);
+    if (relay) {
+      events.emit('log', relay.peer ? 'Bridge phone is on the relay' : '⚠️ No bridge phone on the relay');
+      return;
+    }
+    events.emit('line', line);
+  });
+  for (const name of ['disconnect', 'log', 'state']) {
+    socket.on(name, (...args) => events.emit(name, ...args));
+  }
+
+  return {
+    ...socket,
+    type: 'relay',
+    name: url,
+    on: events.on,
+    off: events.off,
+  };
+}
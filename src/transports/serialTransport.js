@@ -0,0 +1,95 @@
+import { createEmitter } from './emitter';
+import { createLineReader } from './lineReader';
+
+const DEFAULT_BAUD_RATE = 115200;
+
+// Web Serial link for bench testing over USB
+export function createSerialTransport({ baudRate = DEFAULT_BAUD_RATE } = {}) {
+  const events = createEmitter();
+  const readLine = createLineReader(line => events.emit('line', line));
+  let port = null;
+  let reader = null;
+  let writer = null;
+  let readLoop = null;
+  let closing = false;
+
+  const closePort = async () => {
+    if (writer) {
+      writer.releaseLock();
+      writer = null;
+    }
+    try {
+      await port.close();
+    } catch (e) {}
+  };
+
+  const read = async () => {
+    const decoder = new TextDecoder();
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        readLine(decoder.decode(value, { stream: true }));
+      }
+    } catch (e) {
+      if (!closing) events.emit('log', e.toString());
+    } finally {
+      reader.releaseLock();
+      reader = null;
+    }
+
+    if (!closing) {
+      await closePort();
+      events.emit('disconnect');
+    }
+  };
+
+  const open = async () => {
+    events.emit('state', 'connecting');
+    events.emit('log', 'Opening serial port...');
+    await port.open({ baudRate });
+    writer = port.writable.getWriter();
+    reader = port.readable.getReader();
+    readLoop = read();
+  };
+
+  return {
+    type: 'serial',
+    maxChunkSize: Infinity,
+    get name() {
+      const info = port?.getInfo ? port.getInfo() : {};
+      return info.usbProductId ? `USB ${info.usbVendorId}:${info.usbProductId}` : 'Serial';
+    },
+    isConnected: () => !!writer,
+    async connect() {
+      if (!navigator.serial) throw new Error('Web Serial is not available in this browser');
+      closing = false;
+      if (!port) {
+        events.emit('state', 'scanning');
+        port = await navigator.serial.requestPort();
+      }
+      await open();
+    },
+    async reconnect() {
+      if (!port) throw new Error('No port to reconnect to');
+      await open();
+    },
+    async write(data) {
+      if (!writer) throw new Error('Not connected');
+      await writer.write(typeof data === 'string' ? new TextEncoder().encode(data) : data);
+    },
+    async disconnect() {
+      closing = true;
+      if (reader) {
+        try {
+          await reader.cancel();
+        } catch (e) {}
+        await readLoop;
+      }
+      if (port) await closePort();
+      port = null;
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
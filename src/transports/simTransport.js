@@ -0,0 +1,101 @@
+import { createEmitter } from './emitter';
+import { createLineReader } from './lineReader';
+import { HANDSHAKE_QUERY, PROTOCOL_VERSION, decodeBinaryFrame } from '../protocol';
+import { carTelemetry, simWorld } from '../kartSim';
+import { createParamFirmware } from '../kartSimParams';
+import { createOtaFirmware } from '../kartSimOta';
+
+const START_DELAY = 100;
+const REPLY_DELAY = 5;
+const TELEMETRY_INTERVAL = 200;
+
+let simCount = 0;
+
+// Simulated kart running in the page: answers the handshake, heartbeat,
+// parameter and update commands, takes text or binary control frames and
+// reports telemetry like firmware
+export function createSimTransport() {
+  const events = createEmitter();
+  const name = `SIM KART ${++simCount}`;
+  let car = null;
+  let telemetryTimer = null;
+  const params = createParamFirmware();
+  // Installing an update restarts the kart, which drops the link
+  const ota = createOtaFirmware({
+    isMoving: () => !!car && Math.abs(car.v) > 0.05,
+    onBoot: () => {
+      stop();
+      events.emit('disconnect');
+    },
+  });
+
+  const reply = (line) => setTimeout(() => car && events.emit('line', line), REPLY_DELAY);
+
+  const setFrame = (frame) => {
+    car.frame = frame;
+    car.frameAt = performance.now();
+  };
+
+  const handleLine = (line) => {
+    if (!car) return;
+    if (line === HANDSHAKE_QUERY) {
+      reply('V:' + PROTOCOL_VERSION);
+      return;
+    }
+    const ping = /^P:(\d+)$/.exec(line);
+    if (ping) {
+      reply('A:' + ping[1]);
+      return;
+    }
+    const replies = params.handle(line) || ota.handle(line);
+    if (replies) {
+      replies.forEach(reply);
+      return;
+    }
+    const [angle, speed, dir] = line.split(';').map(Number);
+    if ([angle, speed, dir].every(Number.isFinite)) setFrame({ angle, speed, dir });
+  };
+  const readLine = createLineReader(handleLine);
+
+  const start = () => new Promise(resolve => {
+    events.emit('state', 'connecting');
+    events.emit('log', 'Starting simulator...');
+    setTimeout(() => {
+      car = simWorld.add(name);
+      telemetryTimer = setInterval(() => events.emit('line', carTelemetry(car)), TELEMETRY_INTERVAL);
+      resolve();
+    }, START_DELAY);
+  });
+
+  const stop = () => {
+    clearInterval(telemetryTimer);
+    telemetryTimer = null;
+    if (car) simWorld.remove(car);
+    car = null;
+  };
+
+  return {
+    type: 'sim',
+    maxChunkSize: Infinity,
+    name,
+    isConnected: () => !!car,
+    connect: start,
+    reconnect: start,
+    write(data) {
+      if (!car) return Promise.reject(new Error('Not connected'));
+      if (typeof data === 'string') {
+        readLine(data);
+      } else {
+        const frame = decodeBinaryFrame(data);
+        if (frame) setFrame(frame);
+      }
+      return Promise.resolve();
+    },
+    disconnect() {
+      stop();
+      return Promise.resolve();
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
@@ -0,0 +1,67 @@
+import { createEmitter } from './emitter';
+import { createLineReader } from './lineReader';
+
+// WebSocket link for ESP32 karts on Wi-Fi (ws://host:port)
+export function createWebSocketTransport(url) {
+  const events = createEmitter();
+  const readLine = createLineReader(line => events.emit('line', line));
+  const decoder = new TextDecoder();
+  let socket = null;
+  let closing = false;
+
+  const open = () => new Promise((resolve, reject) => {
+    events.emit('state', 'connecting');
+    events.emit('log', 'Connecting to ' + url + '...');
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    ws.binaryType = 'arraybuffer';
+
+    ws.onopen = () => {
+      socket = ws;
+      resolve();
+    };
+    ws.onmessage = (e) => {
+      readLine(typeof e.data === 'string' ? e.data : decoder.decode(e.data));
+    };
+    ws.onclose = () => {
+      if (socket === ws) {
+        socket = null;
+        if (!closing) events.emit('disconnect');
+      } else {
+        reject(new Error('WebSocket connection to ' + url + ' failed'));
+      }
+    };
+  });
+
+  return {
+    type: 'ws',
+    maxChunkSize: Infinity,
+    name: url,
+    isConnected: () => !!socket && socket.readyState === WebSocket.OPEN,
+    connect() {
+      closing = false;
+      return open();
+    },
+    reconnect: open,
+    write(data) {
+      if (!socket) return Promise.reject(new Error('Not connected'));
+      socket.send(data);
+      return Promise.resolve();
+    },
+    disconnect() {
+      closing = true;
+      if (socket) {
+        socket.close();
+        socket = null;
+      }
+      return Promise.resolve();
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
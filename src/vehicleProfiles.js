@@ -0,0 +1,113 @@
+import { DEFAULT_KART } from './calibration';
+
+// Vehicle profiles: how a control frame (servo angle, speed, direction) is
+// turned into what the kart's firmware expects
+//
+//   servo         one steering servo and one motor: "angle;speed;dir", or the
+//                 binary frame when the handshake agreed on it
+//   differential  two motors (skid steer, tracks): steering and throttle are
+//                 mixed into "left;right", each motor -100..100
+//   custom        a one-line template for other firmware, e.g. "S{angle}M{throttle}"
+//
+// The mixing runs after calibration, so trim, limits and the PWM range still
+// apply, and the control modes don't know which profile is in use.
+// Profiles are stored per kart (link name) like calibration; "default" is used
+// for karts without their own.
+
+const STORAGE_KEY = 'kart.vehicles';
+
+export const VEHICLE_TYPES = [
+  { type: 'servo', label: 'SERVO + MOTOR' },
+  { type: 'differential', label: 'DIFFERENTIAL (TANK)' },
+  { type: 'custom', label: 'CUSTOM TEMPLATE' },
+];
+
+// Placeholders a template can use, with their ranges
+export const TEMPLATE_FIELDS = [
+  { key: 'angle', range: '0..180' },
+  { key: 'speed', range: '0..100' },
+  { key: 'dir', range: '-1 / 0 / 1' },
+  { key: 'steer', range: '-100..100' },
+  { key: 'throttle', range: '-100..100' },
+  { key: 'left', range: '-100..100' },
+  { key: 'right', range: '-100..100' },
+];
+
+export const DEFAULT_PROFILE = {
+  type: 'servo',
+  turnGain: 1, // share of the steering mixed into the motors
+  pivot: false, // spin in place when steering without throttle (opt-in)
+  template: '{angle};{speed};{dir}',
+};
+
+export function loadVehicleProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveVehicleProfiles(profiles) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+}
+
+export function profileFor(kartName, profiles) {
+  return { ...DEFAULT_PROFILE, ...(profiles[DEFAULT_KART] || {}), ...(kartName && profiles[kartName] ? profiles[kartName] : {}) };
+}
+
+// Steering -1..1, measured from the calibrated centre (90 + trim) so that a
+// trimmed straight-ahead frame has none
+export function steerOf(angle, centre = 90) {
+  return Math.max(-1, Math.min(1, (angle - centre) / 90));
+}
+
+// Arcade mixing: steering right speeds up the left motor and slows the right
+// one, scaled back together when either would go past 100. Brake frames stop
+// both motors; steering without throttle only spins the kart with pivot on.
+//
+//   centre  servo angle of straight ahead after calibration (90 + trim)
+//   brake   the link is braking (stop, stale link, hold, disconnect)
+export function mixDifferential({ angle, speed, dir }, profile, { centre = 90, brake = false } = {}) {
+  const throttle = (speed / 100) * dir;
+  if (brake || (throttle === 0 && !profile.pivot)) return { left: 0, right: 0 };
+  const steer = steerOf(angle, centre) * profile.turnGain;
+  const left = throttle + steer;
+  const right = throttle - steer;
+  const scale = Math.max(1, Math.abs(left), Math.abs(right));
+  return { left: Math.round((left / scale) * 100) || 0, right: Math.round((right / scale) * 100) || 0 };
+}
+
+export function templateValues(frame, profile, options = {}) {
+  return {
+    angle: frame.angle,
+    speed: frame.speed,
+    dir: frame.dir,
+    steer: Math.round(steerOf(frame.angle, options.centre) * 100) || 0,
+    throttle: frame.speed * frame.dir || 0,
+    ...mixDifferential(frame, profile, options),
+  };
+}
+
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+// Error message, or null when the template can be used
+export function templateError(template) {
+  if (!template.trim()) return 'Template is empty';
+  if (/[\r\n]/.test(template)) return 'Template must be one line';
+  const unknown = [...template.matchAll(/\{(\w*)\}/g)].find(m => !TEMPLATE_FIELDS.some(f => f.key === m[1]));
+  return unknown ? `Unknown field ${unknown[0]}` : null;
+}
+
+// The line to send for a frame (newline not included), or null to leave it to
+// the negotiated servo protocol. options are mixDifferential's.
+export function formatVehicleFrame(profile, frame, options = {}) {
+  if (profile.type === 'differential') {
+    const { left, right } = mixDifferential(frame, profile, options);
+    return left + ';' + right;
+  }
+  if (profile.type === 'custom') return fillTemplate(profile.template, templateValues(frame, profile, options));
+  return null;
+}
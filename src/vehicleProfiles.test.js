@@ -0,0 +1,78 @@
+import { BRAKE_FRAME } from './protocol';
+import { applyCalibration, DEFAULT_CALIBRATION } from './calibration';
+import { DEFAULT_PROFILE, fillTemplate, formatVehicleFrame, mixDifferential, profileFor, templateError } from './vehicleProfiles';
+
+const differential = { ...DEFAULT_PROFILE, type: 'differential' };
+const pivoting = { ...differential, pivot: true };
+
+describe('mixDifferential', () => {
+  test('throttle drives both motors, steering right speeds up the left one', () => {
+    expect(mixDifferential({ angle: 90, speed: 100, dir: 1 }, differential)).toEqual({ left: 100, right: 100 });
+    expect(mixDifferential({ angle: 90, speed: 50, dir: -1 }, differential)).toEqual({ left: -50, right: -50 });
+    expect(mixDifferential({ angle: 135, speed: 50, dir: 1 }, differential)).toEqual({ left: 100, right: 0 });
+  });
+
+  test('scales both motors back together past 100', () => {
+    expect(mixDifferential({ angle: 180, speed: 100, dir: 1 }, differential)).toEqual({ left: 100, right: 0 });
+  });
+
+  test('turn gain scales the steering mixed in', () => {
+    expect(mixDifferential({ angle: 180, speed: 0, dir: 0 }, { ...pivoting, turnGain: 0.5 })).toEqual({ left: 50, right: -50 });
+  });
+
+  test('steering without throttle only spins the kart with pivot turned on', () => {
+    expect(DEFAULT_PROFILE.pivot).toBe(false);
+    expect(mixDifferential({ angle: 180, speed: 0, dir: 0 }, differential)).toEqual({ left: 0, right: 0 });
+    expect(mixDifferential({ angle: 180, speed: 0, dir: 0 }, pivoting)).toEqual({ left: 100, right: -100 });
+  });
+
+  test('a brake stops both motors, pivot or not', () => {
+    expect(mixDifferential({ angle: 180, speed: 0, dir: 0 }, pivoting, { brake: true })).toEqual({ left: 0, right: 0 });
+    expect(mixDifferential({ angle: 90, speed: 100, dir: 1 }, pivoting, { brake: true })).toEqual({ left: 0, right: 0 });
+  });
+
+  test('steering is measured from the trimmed centre', () => {
+    const cal = { ...DEFAULT_CALIBRATION, trim: 5 };
+    const straight = applyCalibration({ angle: 90, speed: 100, dir: 1 }, cal);
+    expect(mixDifferential(straight, pivoting, { centre: 95 })).toEqual({ left: 100, right: 100 });
+    expect(mixDifferential(straight, pivoting)).not.toEqual({ left: 100, right: 100 });
+  });
+});
+
+describe('formatVehicleFrame', () => {
+  test('a trimmed brake frame is 0;0', () => {
+    const brake = applyCalibration(BRAKE_FRAME, { ...DEFAULT_CALIBRATION, trim: 5 });
+    expect(brake.angle).toBe(95);
+    expect(formatVehicleFrame(pivoting, brake, { centre: 95 })).toBe('0;0');
+    expect(formatVehicleFrame(pivoting, brake, { centre: 95, brake: true })).toBe('0;0');
+  });
+
+  test('custom templates are filled from the frame and the mix', () => {
+    const custom = { ...DEFAULT_PROFILE, type: 'custom', template: 'S{steer}T{throttle}L{left}R{right}' };
+    expect(formatVehicleFrame(custom, { angle: 135, speed: 50, dir: -1 })).toBe('S50T-50L0R-100');
+    expect(formatVehicleFrame(custom, { angle: 180, speed: 0, dir: 0 }, { brake: true })).toBe('S100T0L0R0');
+  });
+
+  test('the servo profile leaves the frame to the negotiated protocol', () => {
+    expect(formatVehicleFrame(DEFAULT_PROFILE, { angle: 90, speed: 50, dir: 1 })).toBeNull();
+  });
+});
+
+describe('templates', () => {
+  test('templateError rejects empty, multi-line and unknown fields', () => {
+    expect(templateError('{angle};{speed};{dir}')).toBeNull();
+    expect(templateError('  ')).toBe('Template is empty');
+    expect(templateError('{left}\n{right}')).toBe('Template must be one line');
+    expect(templateError('S{angle}M{bogus}')).toBe('Unknown field {bogus}');
+  });
+
+  test('fillTemplate leaves unknown placeholders alone', () => {
+    expect(fillTemplate('{a}-{b}', { a: 1 })).toBe('1-{b}');
+  });
+
+  test('profileFor layers the kart over the default profile', () => {
+    const profiles = { default: { type: 'differential' }, 'KART-2': { turnGain: 0.5 } };
+    expect(profileFor('KART-2', profiles)).toEqual({ ...DEFAULT_PROFILE, type: 'differential', turnGain: 0.5 });
+    expect(profileFor('KART-3', profiles).turnGain).toBe(1);
+  });
+});
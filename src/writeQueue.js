@@ -0,0 +1,113 @@
+// Serialized outbound queue for a transport
+//
+// Only one write is in flight at a time, and each write is awaited before the
+// next starts (BLE rejects overlapping GATT operations). Three lanes:
+//   brake   - jumps the queue and discards any pending control frame
+//   data    - FIFO for text commands, heartbeats, etc.
+//   control - a single latest-wins slot, so only the newest steering/speed
+//             state is ever pending
+// A message longer than the transport's chunk size is written as consecutive
+// chunks without anything interleaved, so lines are never split by another frame.
+// setChunkSize() overrides the transport's chunk size once firmware has
+// reported a larger MTU.
+
+export const CONTROL_TICK = 20;
+export const KEEPALIVE_INTERVAL = 200;
+const MIN_CONTROL_INTERVAL = 30;
+const MAX_CONTROL_INTERVAL = 100;
+
+// Shortest gap between changed control frames the link can keep up with
+export function controlInterval(avgWriteTime) {
+  if (avgWriteTime === null) return MAX_CONTROL_INTERVAL;
+  return Math.max(MIN_CONTROL_INTERVAL, Math.min(MAX_CONTROL_INTERVAL, avgWriteTime * 2));
+}
+
+function toChunks(data, size) {
+  if (data.length <= size) return [data];
+  const chunks = [];
+  for (let i = 0; i < data.length; i += size) {
+    chunks.push(typeof data === 'string' ? data.slice(i, i + size) : data.subarray(i, i + size));
+  }
+  return chunks;
+}
+
+export function createWriteQueue(transport, { onError = () => {} } = {}) {
+  let brake = null;
+  let control = null;
+  let data = [];
+  let busy = false;
+  let closed = false;
+  let avgWriteTime = null;
+  let chunkSize = null;
+  let idleWaiters = [];
+
+  const next = () => {
+    if (brake) {
+      const item = brake;
+      brake = null;
+      return item;
+    }
+    if (data.length) return data.shift();
+    const item = control;
+    control = null;
+    return item;
+  };
+
+  const pump = async () => {
+    if (busy) return;
+    busy = true;
+    let item;
+    while (!closed && (item = next())) {
+      for (const chunk of toChunks(item, chunkSize || transport.maxChunkSize)) {
+        const start = performance.now();
+        try {
+          await transport.write(chunk);
+        } catch (error) {
+          onError(error);
+          break;
+        }
+        const elapsed = performance.now() - start;
+        avgWriteTime = avgWriteTime === null ? elapsed : avgWriteTime * 0.8 + elapsed * 0.2;
+      }
+    }
+    busy = false;
+    idleWaiters.forEach(resolve => resolve());
+    idleWaiters = [];
+  };
+
+  return {
+    write(item) {
+      if (closed) return;
+      data.push(item);
+      pump();
+    },
+    writeControl(item) {
+      if (closed) return;
+      control = item;
+      pump();
+    },
+    writeBrake(item) {
+      if (closed) return;
+      brake = item;
+      control = null;
+      pump();
+    },
+    // Resolves once everything queued so far has been written
+    drain() {
+      if (!busy) return Promise.resolve();
+      return new Promise(resolve => idleWaiters.push(resolve));
+    },
+    averageWriteTime: () => avgWriteTime,
+    // null goes back to the transport's own limit
+    setChunkSize(size) {
+      chunkSize = size;
+    },
+    chunkSize: () => chunkSize || transport.maxChunkSize,
+    close() {
+      closed = true;
+      brake = null;
+      control = null;
+      data = [];
+    },
+  };
+}